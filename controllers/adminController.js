@@ -3,6 +3,27 @@
 // =============================================================================
 const bcrypt = require('bcryptjs');
 const pool = require('../config/database');
+const { disableMfa } = require('../services/mfa');
+const { clearUsernameLockout } = require('../services/loginThrottle');
+const { revokeEmployeeSessions } = require('../services/tokens');
+const { SUPERUSER_ROLE, invalidatePermissionCache } = require('../services/permissions');
+const {
+  POLICY,
+  validatePasswordStrength,
+  isPasswordReused,
+  setPassword,
+  generateTemporaryPassword
+} = require('../services/passwordPolicy');
+const { getUpcomingMaturities, PREMATURE_RATE_REDUCTION } = require('../services/fixedDeposits');
+
+/**
+ * SQL condition leaving out reversed transactions and their reversing entries
+ * (the pair cancels out, so reports net them to zero)
+ */
+const notReversedSql = (column) => `NOT EXISTS (
+  SELECT 1 FROM transaction_reversal_entry tre
+  WHERE tre.reversing_transaction_id IS NOT NULL
+    AND ${column} IN (tre.original_transaction_id, tre.reversing_transaction_id))`;
 
 /**
  * Register new employee (Admin, Manager, Agent)
@@ -25,18 +46,13 @@ exports.registerEmployee = async (req, res) => {
     email
   } = req.body;
 
-  // Validation
-  if (!username || !password || !first_name || !last_name || !nic || !gender || !date_of_birth || !branch_id) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'All basic fields are required'
-    });
-  }
-
-  if (!contact_no_1 || !address || !email) {
+  // Field formats validated by validateEmployeeRegistration
+  const passwordErrors = validatePasswordStrength(password, { username });
+  if (passwordErrors.length > 0) {
     return res.status(400).json({
       status: 'error',
-      message: 'All contact fields are required'
+      message: passwordErrors.join('. '),
+      errors: passwordErrors
     });
   }
 
@@ -86,6 +102,13 @@ exports.registerEmployee = async (req, res) => {
         message: 'Username already exists'
       });
     }
+    // Unknown role (FK to app_role)
+    if (error && error.code === '23503' && String(error.detail || '').includes('(role)')) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid role'
+      });
+    }
     res.status(500).json({
       status: 'error',
       message: 'Database error: ' + error.message
@@ -167,9 +190,6 @@ exports.updateUserStatus = async (req, res) => {
   const client = await pool.connect();
 
   try {
-    if (!status || !['Active', 'Inactive'].includes(status)) {
-      return res.status(400).json({ status: 'error', message: 'Invalid status. Use Active or Inactive.' });
-    }
     // Delegate to DB procedures which enforce self-deactivation guard and existence checks
     if (status === 'Inactive') {
       await client.query('CALL proc_deactivate_employee($1, $2)', [id, req.user?.id]);
@@ -186,6 +206,63 @@ exports.updateUserStatus = async (req, res) => {
   }
 };
 
+/**
+ * Reset a user's password to a one-time temporary password
+ * POST /api/admin/users/:id/reset-password
+ * Body (optional): { temporary_password } - generated when omitted
+ * The user must change it on next login; all their sessions are revoked.
+ */
+exports.resetUserPassword = async (req, res) => {
+  const { id } = req.params;
+  const { temporary_password } = req.body || {};
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const userRes = await client.query('SELECT employee_id, username FROM employee WHERE employee_id = $1 FOR UPDATE', [id]);
+    if (userRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    const user = userRes.rows[0];
+    const temporaryPassword = temporary_password || generateTemporaryPassword();
+
+    const passwordErrors = validatePasswordStrength(temporaryPassword, { username: user.username });
+    if (passwordErrors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: passwordErrors.join('. '), errors: passwordErrors });
+    }
+
+    if (await isPasswordReused(client, user.employee_id, temporaryPassword)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        status: 'error',
+        message: `Temporary password must not match any of the user's last ${POLICY.history_count} passwords`
+      });
+    }
+
+    await setPassword(client, user.employee_id, temporaryPassword, { mustChange: true });
+    await revokeEmployeeSessions(client, user.employee_id, 'password_reset');
+    await clearUsernameLockout(client, user.username);
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Password reset. The user must change it on next login.',
+      temporary_password: temporaryPassword
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * Get all branches
  * GET /api/admin/branches
@@ -230,14 +307,7 @@ exports.getBranches = async (req, res) => {
 exports.createBranch = async (req, res) => {
   const { name, contact_no_1, contact_no_2, address, email } = req.body;
 
-  // Validation - branch_id is auto-generated by DB, so it's not required from client
-  if (!name || !contact_no_1 || !address || !email) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'All required fields must be provided'
-    });
-  }
-
+  // branch_id is auto-generated by DB, so it's not required from client
   const client = await pool.connect();
 
   try {
@@ -276,6 +346,12 @@ exports.createBranch = async (req, res) => {
 
     const newBranchId = branchResult.rows[0].branch_id;
 
+    // New branches start on the calendar date
+    await client.query(
+      'INSERT INTO branch_business_date (branch_id, business_date) VALUES ($1, CURRENT_DATE)',
+      [newBranchId]
+    );
+
     await client.query('COMMIT');
     
     res.status(201).json({
@@ -338,7 +414,9 @@ exports.deleteBranch = async (req, res) => {
       });
     }
 
-    // Delete branch
+    // Delete branch settings, then the branch
+    await client.query('DELETE FROM branch_approval_threshold WHERE branch_id = $1', [id]);
+    await client.query('DELETE FROM branch_business_date WHERE branch_id = $1', [id]);
     await client.query('DELETE FROM branch WHERE branch_id = $1', [id]);
     
     // Delete contact
@@ -362,244 +440,952 @@ exports.deleteBranch = async (req, res) => {
   }
 };
 
-// Removed: refreshViews endpoint (materialized views were removed)
-
 /**
- * Get agent transactions report
- * GET /api/admin/reports/agent-transactions?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ * Get a branch's maker-checker thresholds
+ * GET /api/admin/branches/:id/approval-thresholds
+ * A null threshold means that transaction type never needs approval.
  */
-exports.getAgentTransactionsReport = async (req, res) => {
-  const { startDate, endDate } = req.query;
-  
-  if (!startDate || !endDate) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'startDate and endDate are required'
-    });
-  }
-
+exports.getApprovalThresholds = async (req, res) => {
+  const { id } = req.params;
   const client = await pool.connect();
   try {
-    const result = await client.query(`
-      SELECT 
-        e.employee_id,
-        e.first_name || ' ' || e.last_name AS employee_name,
-        COUNT(v.transaction_id) AS total_transactions,
-        COALESCE(SUM(v.deposit_amount), 0) AS total_deposits,
-        COALESCE(SUM(v.withdrawal_amount), 0) AS total_withdrawals,
-        COALESCE(SUM(v.net_value), 0) AS net_value
-      FROM employee e
-      LEFT JOIN v_transaction_enriched v ON e.employee_id = v.employee_id
-        AND DATE(v.time) BETWEEN $1 AND $2
-      WHERE e.role = 'Agent'
-      GROUP BY e.employee_id, e.first_name, e.last_name
-      ORDER BY total_transactions DESC
-    `, [startDate, endDate]);
+    const result = await client.query(
+      `SELECT b.branch_id, b.name, t.deposit_threshold, t.withdrawal_threshold, t.fd_premature_threshold,
+              t.updated_by, t.updated_at
+       FROM branch b
+       LEFT JOIN branch_approval_threshold t ON b.branch_id = t.branch_id
+       WHERE b.branch_id = $1`,
+      [id]
+    );
 
-    res.json({
-      status: 'success',
-      data: result.rows
-    });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Branch not found' });
+    }
+
+    res.json({ status: 'success', thresholds: result.rows[0] });
   } catch (error) {
     console.error('Database error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Database error'
-    });
+    res.status(500).json({ status: 'error', message: 'Database error' });
   } finally {
     client.release();
   }
 };
 
 /**
- * Get account summaries report
- * GET /api/admin/reports/account-summaries?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ * Set a branch's maker-checker thresholds
+ * PUT /api/admin/branches/:id/approval-thresholds
+ * Body: { deposit_threshold, withdrawal_threshold, fd_premature_threshold } (numbers, or null to disable)
+ * fd_premature_threshold applies to the principal of FDs closed before maturity.
  */
-exports.getAccountSummariesReport = async (req, res) => {
-  const { startDate, endDate } = req.query;
-  
-  if (!startDate || !endDate) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'startDate and endDate are required'
-    });
-  }
-
+exports.updateApprovalThresholds = async (req, res) => {
+  const { id } = req.params;
+  const { deposit_threshold = null, withdrawal_threshold = null, fd_premature_threshold = null } = req.body;
   const client = await pool.connect();
   try {
-    const result = await client.query(`
-      SELECT 
-        a.account_id,
-        ac.customer_names,
-        COUNT(v.transaction_id) AS transaction_count,
-        COALESCE(SUM(v.deposit_amount), 0) AS total_deposits,
-        COALESCE(SUM(v.withdrawal_amount), 0) AS total_withdrawals,
-        a.balance AS current_balance
-      FROM account a
-      JOIN v_account_customers ac ON ac.account_id = a.account_id
-      LEFT JOIN v_transaction_enriched v ON a.account_id = v.account_id
-        AND DATE(v.time) BETWEEN $1 AND $2
-      WHERE a.account_status = 'Active'
-      GROUP BY a.account_id, a.balance, ac.customer_names
-      ORDER BY a.account_id
-    `, [startDate, endDate]);
+    const result = await client.query(
+      `INSERT INTO branch_approval_threshold
+         (branch_id, deposit_threshold, withdrawal_threshold, fd_premature_threshold, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (branch_id) DO UPDATE
+         SET deposit_threshold = EXCLUDED.deposit_threshold,
+             withdrawal_threshold = EXCLUDED.withdrawal_threshold,
+             fd_premature_threshold = EXCLUDED.fd_premature_threshold,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = NOW()
+       RETURNING branch_id, deposit_threshold, withdrawal_threshold, fd_premature_threshold, updated_at`,
+      [id, deposit_threshold, withdrawal_threshold, fd_premature_threshold, req.user.id]
+    );
 
     res.json({
       status: 'success',
-      data: result.rows
+      message: 'Approval thresholds updated',
+      thresholds: result.rows[0]
     });
   } catch (error) {
     console.error('Database error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Database error'
-    });
+    if (error && error.code === '23503') {
+      return res.status(404).json({ status: 'error', message: 'Branch not found' });
+    }
+    res.status(500).json({ status: 'error', message: 'Database error' });
   } finally {
     client.release();
   }
 };
 
 /**
- * Get active fixed deposits report
- * GET /api/admin/reports/active-fds
+ * Get transaction limits for every saving plan
+ * GET /api/admin/plan-limits
+ * Plans without a limits row (or with NULL columns) are unlimited.
  */
-exports.getActiveFDsReport = async (req, res) => {
+exports.getPlanLimits = async (req, res) => {
   const client = await pool.connect();
   try {
     const result = await client.query(`
-      SELECT *
-      FROM v_active_fd_overview
-      ORDER BY open_date DESC
+      SELECT 
+        sp.saving_plan_id, sp.plan_type, sp.interest, sp.min_balance,
+        l.max_single_withdrawal, l.max_daily_withdrawal_count,
+        l.max_daily_withdrawal_total, l.max_monthly_deposit_total,
+        l.updated_by, l.updated_at
+      FROM savingplan sp
+      LEFT JOIN savingplan_limit l ON sp.saving_plan_id = l.saving_plan_id
+      ORDER BY sp.saving_plan_id
     `);
 
-    res.json({
-      status: 'success',
-      data: result.rows
-    });
+    res.json({ status: 'success', plan_limits: result.rows });
   } catch (error) {
     console.error('Database error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Database error'
-    });
+    res.status(500).json({ status: 'error', message: 'Database error' });
   } finally {
     client.release();
   }
 };
 
 /**
- * Get interest summary report by month and year
- * GET /api/admin/reports/interest-summary?month=1&year=2024
+ * Set transaction limits for a saving plan
+ * PUT /api/admin/plan-limits/:planId
+ * Body: { max_single_withdrawal, max_daily_withdrawal_count, max_daily_withdrawal_total,
+ *         max_monthly_deposit_total } - omitted or null means unlimited
  */
-exports.getInterestSummaryReport = async (req, res) => {
-  const { month, year } = req.query;
-  
-  if (!month || !year) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'month and year are required'
-    });
-  }
+exports.updatePlanLimits = async (req, res) => {
+  const { planId } = req.params;
+  const {
+    max_single_withdrawal = null,
+    max_daily_withdrawal_count = null,
+    max_daily_withdrawal_total = null,
+    max_monthly_deposit_total = null
+  } = req.body;
 
   const client = await pool.connect();
   try {
-    const summary = await client.query(`
-      SELECT plan_type, account_type, total_interest, account_count, average_interest
-      FROM v_monthly_interest_summary
-      WHERE month = $1 AND year = $2
-    `, [month, year]);
+    const result = await client.query(
+      `INSERT INTO savingplan_limit
+         (saving_plan_id, max_single_withdrawal, max_daily_withdrawal_count,
+          max_daily_withdrawal_total, max_monthly_deposit_total, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (saving_plan_id) DO UPDATE
+         SET max_single_withdrawal = EXCLUDED.max_single_withdrawal,
+             max_daily_withdrawal_count = EXCLUDED.max_daily_withdrawal_count,
+             max_daily_withdrawal_total = EXCLUDED.max_daily_withdrawal_total,
+             max_monthly_deposit_total = EXCLUDED.max_monthly_deposit_total,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = NOW()
+       RETURNING *`,
+      [planId, max_single_withdrawal, max_daily_withdrawal_count,
+        max_daily_withdrawal_total, max_monthly_deposit_total, req.user.id]
+    );
+
     res.json({
       status: 'success',
-      data: summary.rows
+      message: 'Plan limits updated',
+      plan_limits: result.rows[0]
     });
   } catch (error) {
     console.error('Database error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Database error'
-    });
+    if (error && error.code === '23503') {
+      return res.status(404).json({ status: 'error', message: 'Saving plan not found' });
+    }
+    res.status(500).json({ status: 'error', message: 'Database error' });
   } finally {
     client.release();
   }
 };
 
 /**
- * Get customer activity report
- * GET /api/admin/reports/customer-activity?startDate=2024-01-01&endDate=2024-12-31
+ * Remove all transaction limits from a saving plan
+ * DELETE /api/admin/plan-limits/:planId
  */
-exports.getCustomerActivityReport = async (req, res) => {
-  const { startDate, endDate } = req.query;
-  
-  if (!startDate || !endDate) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'startDate and endDate are required'
-    });
+exports.deletePlanLimits = async (req, res) => {
+  const { planId } = req.params;
+  const client = await pool.connect();
+  try {
+    const result = await client.query('DELETE FROM savingplan_limit WHERE saving_plan_id = $1', [planId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ status: 'error', message: 'No limits configured for this plan' });
+    }
+
+    res.json({ status: 'success', message: 'Plan limits removed' });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
   }
+};
 
+/**
+ * Get FD plans with the rate applied on premature closure
+ * GET /api/admin/fd-plans
+ * Plans without a configured premature rate use the plan rate less
+ * FD_PREMATURE_RATE_REDUCTION points (never below zero).
+ */
+exports.getFdPlans = async (req, res) => {
   const client = await pool.connect();
   try {
     const result = await client.query(`
       SELECT 
-        v.customer_id,
-        v.customer_name,
-        COALESCE(SUM(v.deposit_amount), 0) AS total_deposits,
-        COALESCE(SUM(v.withdrawal_amount), 0) AS total_withdrawals,
-        COALESCE(SUM(v.net_value), 0) AS net_balance,
-        COUNT(DISTINCT v.account_id) AS account_count,
-        MAX(v.transaction_date) AS last_activity
-      FROM v_customer_transaction_enriched v
-      WHERE v.transaction_date BETWEEN $1 AND $2
-      GROUP BY v.customer_id, v.customer_name
-      HAVING COUNT(v.transaction_id) > 0
-      ORDER BY net_balance DESC
-    `, [startDate, endDate]);
+        p.fd_plan_id, p.fd_options, p.interest,
+        pr.premature_rate AS configured_premature_rate,
+        COALESCE(pr.premature_rate, GREATEST(p.interest - $1, 0)) AS premature_rate,
+        pr.updated_by, pr.updated_at
+      FROM fdplan p
+      LEFT JOIN fdplan_premature_rate pr ON p.fd_plan_id = pr.fd_plan_id
+      ORDER BY p.fd_plan_id
+    `, [PREMATURE_RATE_REDUCTION]);
 
-    res.json({
-      status: 'success',
-      data: result.rows
-    });
+    res.json({ status: 'success', default_rate_reduction: PREMATURE_RATE_REDUCTION, fd_plans: result.rows });
   } catch (error) {
     console.error('Database error:', error);
-    res.status(500).json({
-      status: 'error',
-      message: 'Database error'
-    });
+    res.status(500).json({ status: 'error', message: 'Database error' });
   } finally {
     client.release();
   }
 };
 
 /**
- * Savings Interest Summary for Admin UI
- * GET /api/admin/savings-interest/summary
+ * Set the premature closure rate for an FD plan
+ * PUT /api/admin/fd-plans/:planId/premature-rate
+ * Body: { premature_rate } - % per annum, at most the plan rate
  */
-exports.getSavingsInterestSummary = async (req, res) => {
+exports.updateFdPlanPrematureRate = async (req, res) => {
+  const { planId } = req.params;
+  const { premature_rate } = req.body;
+
   const client = await pool.connect();
   try {
-    // Monthly interest credited this month
-    const monthlyRes = await client.query(
-      `SELECT COALESCE(SUM(interest_amount), 0) AS total
-       FROM savings_interest_calculations
-       WHERE status = 'credited'
-         AND date_trunc('month', credited_at) = date_trunc('month', now())`
-    );
+    const plan = await client.query('SELECT interest FROM fdplan WHERE fd_plan_id = $1', [planId]);
+    if (plan.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'FD plan not found' });
+    }
+    if (parseFloat(premature_rate) > parseFloat(plan.rows[0].interest)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Premature rate cannot exceed the plan rate of ${plan.rows[0].interest}%`
+      });
+    }
 
-    // Active savings accounts and total balance
-    const activeRes = await client.query(
-      `SELECT COUNT(*)::int AS count, COALESCE(SUM(balance), 0)::numeric AS total_balance
-       FROM account
-       WHERE account_status = 'Active' AND saving_plan_id IS NOT NULL`
+    const result = await client.query(
+      `INSERT INTO fdplan_premature_rate (fd_plan_id, premature_rate, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (fd_plan_id) DO UPDATE
+         SET premature_rate = EXCLUDED.premature_rate,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = NOW()
+       RETURNING *`,
+      [planId, premature_rate, req.user.id]
     );
 
-    // Recent processed periods (group by calculation_date)
-    const recentRes = await client.query(
-      `WITH per_day AS (
-         SELECT calculation_date::date AS calc_date,
-                MAX(credited_at) AS processed_at
-         FROM savings_interest_calculations
-         WHERE status = 'credited'
-         GROUP BY calculation_date
+    res.json({
+      status: 'success',
+      message: 'Premature rate updated',
+      premature_rate: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the fee schedule
+ * GET /api/admin/fees/schedule
+ */
+exports.getFeeSchedule = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        fs.fee_id, fs.event_type, fs.saving_plan_id, sp.plan_type, fs.calc_type, fs.amount,
+        fs.min_fee, fs.max_fee, fs.free_count, fs.within_days, fs.active,
+        fs.updated_by, fs.updated_at
+      FROM fee_schedule fs
+      LEFT JOIN savingplan sp ON fs.saving_plan_id = sp.saving_plan_id
+      ORDER BY fs.event_type, fs.saving_plan_id NULLS FIRST
+    `);
+
+    res.json({ status: 'success', fee_schedule: result.rows });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Create or replace the fee for an event (and saving plan)
+ * PUT /api/admin/fees/schedule
+ * Body: { event_type, saving_plan_id?, calc_type, amount, min_fee?, max_fee?,
+ *         free_count?, within_days?, active? } - no saving_plan_id means all plans
+ */
+exports.updateFeeSchedule = async (req, res) => {
+  const {
+    event_type,
+    saving_plan_id = null,
+    calc_type,
+    amount,
+    min_fee = null,
+    max_fee = null,
+    free_count = null,
+    within_days = null,
+    active = true
+  } = req.body;
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `INSERT INTO fee_schedule
+         (event_type, saving_plan_id, calc_type, amount, min_fee, max_fee,
+          free_count, within_days, active, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+       ON CONFLICT (event_type, COALESCE(saving_plan_id, 0)) DO UPDATE
+         SET calc_type = EXCLUDED.calc_type,
+             amount = EXCLUDED.amount,
+             min_fee = EXCLUDED.min_fee,
+             max_fee = EXCLUDED.max_fee,
+             free_count = EXCLUDED.free_count,
+             within_days = EXCLUDED.within_days,
+             active = EXCLUDED.active,
+             updated_by = EXCLUDED.updated_by,
+             updated_at = NOW()
+       RETURNING *`,
+      [event_type, saving_plan_id, calc_type, amount, min_fee, max_fee,
+        free_count, within_days, active, req.user.id]
+    );
+
+    res.json({
+      status: 'success',
+      message: 'Fee schedule updated',
+      fee: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    if (error && error.code === '23503') {
+      return res.status(404).json({ status: 'error', message: 'Saving plan not found' });
+    }
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Remove a fee from the schedule
+ * Fees that were already charged stay in the history: deactivate them instead.
+ * DELETE /api/admin/fees/schedule/:id
+ */
+exports.deleteFeeSchedule = async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    const result = await client.query('DELETE FROM fee_schedule WHERE fee_id = $1', [id]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ status: 'error', message: 'Fee not found' });
+    }
+
+    res.json({ status: 'success', message: 'Fee removed from schedule' });
+  } catch (error) {
+    console.error('Database error:', error);
+    if (error && error.code === '23503') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Fee has already been charged. Set active to false instead'
+      });
+    }
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get permission catalogue
+ * GET /api/admin/permissions
+ */
+exports.getPermissions = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT permission_key, description FROM permission ORDER BY permission_key'
+    );
+
+    res.json({
+      status: 'success',
+      permissions: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get roles with their permission sets
+ * GET /api/admin/roles
+ */
+exports.getRoles = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        r.role_name,
+        r.description,
+        r.is_system,
+        CASE WHEN r.role_name = $1
+          THEN (SELECT ARRAY_AGG(permission_key ORDER BY permission_key) FROM permission)
+          ELSE COALESCE(ARRAY_AGG(rp.permission_key ORDER BY rp.permission_key)
+                        FILTER (WHERE rp.permission_key IS NOT NULL), ARRAY[]::varchar[])
+        END AS permissions,
+        (SELECT COUNT(*)::int FROM employee e WHERE e.role = r.role_name) AS employee_count
+      FROM app_role r
+      LEFT JOIN role_permission rp ON r.role_name = rp.role_name
+      GROUP BY r.role_name, r.description, r.is_system
+      ORDER BY r.is_system DESC, r.role_name
+    `, [SUPERUSER_ROLE]);
+
+    res.json({
+      status: 'success',
+      roles: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Replace the permission set of a role
+ * Returns an error message for unknown permission keys, otherwise null
+ */
+const replaceRolePermissions = async (client, roleName, permissions) => {
+  const unique = [...new Set(permissions)];
+  const known = await client.query(
+    'SELECT permission_key FROM permission WHERE permission_key = ANY($1)',
+    [unique]
+  );
+  if (known.rows.length !== unique.length) {
+    const knownKeys = new Set(known.rows.map(r => r.permission_key));
+    return `Unknown permission(s): ${unique.filter(p => !knownKeys.has(p)).join(', ')}`;
+  }
+
+  await client.query('DELETE FROM role_permission WHERE role_name = $1', [roleName]);
+  for (const permission of unique) {
+    await client.query(
+      'INSERT INTO role_permission (role_name, permission_key) VALUES ($1, $2)',
+      [roleName, permission]
+    );
+  }
+  return null;
+};
+
+/**
+ * Create a custom role
+ * POST /api/admin/roles
+ * Body: { role_name, description, permissions: [] }
+ */
+exports.createRole = async (req, res) => {
+  const { role_name, description, permissions = [] } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'INSERT INTO app_role (role_name, description, is_system) VALUES ($1, $2, FALSE)',
+      [role_name, description || null]
+    );
+    await client.query(
+      'INSERT INTO mfa_role_policy (role, mfa_required) VALUES ($1, FALSE) ON CONFLICT (role) DO NOTHING',
+      [role_name]
+    );
+
+    const permissionError = await replaceRolePermissions(client, role_name, permissions);
+    if (permissionError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: permissionError });
+    }
+
+    await client.query('COMMIT');
+    invalidatePermissionCache();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Role created successfully',
+      role_name
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    if (error && error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'Role already exists' });
+    }
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Update a role's description and/or permission set
+ * PUT /api/admin/roles/:role
+ * Body: { description?, permissions?: [] }
+ */
+exports.updateRole = async (req, res) => {
+  const { role } = req.params;
+  const { description, permissions } = req.body || {};
+
+  if (role === SUPERUSER_ROLE) {
+    return res.status(400).json({
+      status: 'error',
+      message: `The ${SUPERUSER_ROLE} role always has every permission and cannot be edited`
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const roleRes = await client.query('SELECT 1 FROM app_role WHERE role_name = $1 FOR UPDATE', [role]);
+    if (roleRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Role not found' });
+    }
+
+    if (description !== undefined) {
+      await client.query('UPDATE app_role SET description = $2 WHERE role_name = $1', [role, description]);
+    }
+
+    if (permissions !== undefined) {
+      const permissionError = await replaceRolePermissions(client, role, permissions);
+      if (permissionError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ status: 'error', message: permissionError });
+      }
+    }
+
+    await client.query('COMMIT');
+    invalidatePermissionCache();
+
+    res.json({ status: 'success', message: 'Role updated successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a custom role with no employees assigned
+ * DELETE /api/admin/roles/:role
+ */
+exports.deleteRole = async (req, res) => {
+  const { role } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const roleRes = await client.query('SELECT is_system FROM app_role WHERE role_name = $1', [role]);
+    if (roleRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Role not found' });
+    }
+
+    if (roleRes.rows[0].is_system) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: 'System roles cannot be deleted' });
+    }
+
+    const employeesCheck = await client.query('SELECT COUNT(*) as count FROM employee WHERE role = $1', [role]);
+    if (parseInt(employeesCheck.rows[0].count) > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Cannot delete role with assigned employees. Reassign employees first.'
+      });
+    }
+
+    await client.query('DELETE FROM mfa_role_policy WHERE role = $1', [role]);
+    await client.query('DELETE FROM app_role WHERE role_name = $1', [role]);
+
+    await client.query('COMMIT');
+    invalidatePermissionCache();
+
+    res.json({ status: 'success', message: 'Role deleted successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+// Removed: refreshViews endpoint (materialized views were removed)
+
+/**
+ * Get agent transactions report
+ * GET /api/admin/reports/agent-transactions?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ */
+exports.getAgentTransactionsReport = async (req, res) => {
+  const { startDate, endDate } = req.query;
+  
+  if (!startDate || !endDate) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'startDate and endDate are required'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        e.employee_id,
+        e.first_name || ' ' || e.last_name AS employee_name,
+        COUNT(v.transaction_id) AS total_transactions,
+        COALESCE(SUM(v.deposit_amount), 0) AS total_deposits,
+        COALESCE(SUM(v.withdrawal_amount), 0) AS total_withdrawals,
+        COALESCE(SUM(v.net_value), 0) AS net_value
+      FROM employee e
+      LEFT JOIN v_transaction_enriched v ON e.employee_id = v.employee_id
+        AND DATE(v.time) BETWEEN $1 AND $2
+        AND ${notReversedSql('v.transaction_id')}
+      WHERE e.role = 'Agent'
+      GROUP BY e.employee_id, e.first_name, e.last_name
+      ORDER BY total_transactions DESC
+    `, [startDate, endDate]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get account summaries report
+ * GET /api/admin/reports/account-summaries?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ */
+exports.getAccountSummariesReport = async (req, res) => {
+  const { startDate, endDate } = req.query;
+  
+  if (!startDate || !endDate) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'startDate and endDate are required'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        a.account_id,
+        ac.customer_names,
+        COUNT(v.transaction_id) AS transaction_count,
+        COALESCE(SUM(v.deposit_amount), 0) AS total_deposits,
+        COALESCE(SUM(v.withdrawal_amount), 0) AS total_withdrawals,
+        a.balance AS current_balance
+      FROM account a
+      JOIN v_account_customers ac ON ac.account_id = a.account_id
+      LEFT JOIN v_transaction_enriched v ON a.account_id = v.account_id
+        AND DATE(v.time) BETWEEN $1 AND $2
+        AND ${notReversedSql('v.transaction_id')}
+      WHERE a.account_status = 'Active'
+      GROUP BY a.account_id, a.balance, ac.customer_names
+      ORDER BY a.account_id
+    `, [startDate, endDate]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get active fixed deposits report
+ * GET /api/admin/reports/active-fds
+ */
+exports.getActiveFDsReport = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT *
+      FROM v_active_fd_overview
+      ORDER BY open_date DESC
+    `);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get fixed deposits maturing soon across branches, with renew/payout action
+ * GET /api/admin/reports/fd-maturities?days=30&branch_id=
+ */
+exports.getFdMaturitiesReport = async (req, res) => {
+  if (req.query.branch_id && !/^\d+$/.test(req.query.branch_id)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid branch ID' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const report = await getUpcomingMaturities(client, {
+      branchId: req.query.branch_id || null,
+      days: parseInt(req.query.days || '30', 10)
+    });
+
+    res.json({
+      status: 'success',
+      data: report.maturities,
+      days: report.days,
+      summary: report.summary
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get fee income report by branch and fee type
+ * Net income is charged fees less waivers.
+ * GET /api/admin/reports/fee-income?startDate=2024-01-01&endDate=2024-12-31
+ */
+exports.getFeeIncomeReport = async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        b.branch_id, b.name AS branch_name, fc.event_type,
+        COUNT(*) AS charge_count,
+        COALESCE(SUM(fc.amount), 0) AS total_charged,
+        COUNT(*) FILTER (WHERE fc.status = 'waived') AS waived_count,
+        COALESCE(SUM(fc.amount) FILTER (WHERE fc.status = 'waived'), 0) AS total_waived,
+        COALESCE(SUM(fc.amount) FILTER (WHERE fc.status = 'charged'), 0) AS net_income
+      FROM fee_charge fc
+      JOIN transaction t ON fc.transaction_id = t.transaction_id
+      JOIN account a ON fc.account_id = a.account_id
+      JOIN branch b ON a.branch_id = b.branch_id
+      WHERE t.business_date BETWEEN $1 AND $2
+      GROUP BY b.branch_id, b.name, fc.event_type
+      ORDER BY b.branch_id, fc.event_type
+    `, [startDate, endDate]);
+
+    const totalNet = result.rows.reduce((sum, row) => sum + parseFloat(row.net_income), 0);
+
+    res.json({
+      status: 'success',
+      data: result.rows,
+      total_net_income: totalNet
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get end-of-day report for a business date across all branches
+ * Branches that have not closed the day are listed with their current business date.
+ * GET /api/admin/reports/eod?date=2024-01-31
+ */
+exports.getEodReport = async (req, res) => {
+  const { date } = req.query;
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        b.branch_id, b.name AS branch_name,
+        to_char(bd.business_date, 'YYYY-MM-DD') AS current_business_date,
+        e.eod_id IS NOT NULL AS closed,
+        e.summary, e.closed_by, e.closed_at
+      FROM branch b
+      LEFT JOIN branch_business_date bd ON b.branch_id = bd.branch_id
+      LEFT JOIN branch_eod e ON b.branch_id = e.branch_id AND e.business_date = $1
+      ORDER BY b.branch_id
+    `, [date]);
+
+    res.json({
+      status: 'success',
+      business_date: date,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get interest summary report by month and year
+ * GET /api/admin/reports/interest-summary?month=1&year=2024
+ */
+exports.getInterestSummaryReport = async (req, res) => {
+  const { month, year } = req.query;
+  
+  if (!month || !year) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'month and year are required'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    const summary = await client.query(`
+      SELECT plan_type, account_type, total_interest, account_count, average_interest
+      FROM v_monthly_interest_summary
+      WHERE month = $1 AND year = $2
+    `, [month, year]);
+    res.json({
+      status: 'success',
+      data: summary.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get customer activity report
+ * GET /api/admin/reports/customer-activity?startDate=2024-01-01&endDate=2024-12-31
+ */
+exports.getCustomerActivityReport = async (req, res) => {
+  const { startDate, endDate } = req.query;
+  
+  if (!startDate || !endDate) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'startDate and endDate are required'
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        v.customer_id,
+        v.customer_name,
+        COALESCE(SUM(v.deposit_amount), 0) AS total_deposits,
+        COALESCE(SUM(v.withdrawal_amount), 0) AS total_withdrawals,
+        COALESCE(SUM(v.net_value), 0) AS net_balance,
+        COUNT(DISTINCT v.account_id) AS account_count,
+        MAX(v.transaction_date) AS last_activity
+      FROM v_customer_transaction_enriched v
+      WHERE v.transaction_date BETWEEN $1 AND $2
+        AND ${notReversedSql('v.transaction_id')}
+      GROUP BY v.customer_id, v.customer_name
+      HAVING COUNT(v.transaction_id) > 0
+      ORDER BY net_balance DESC
+    `, [startDate, endDate]);
+
+    res.json({
+      status: 'success',
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Savings Interest Summary for Admin UI
+ * GET /api/admin/savings-interest/summary
+ */
+exports.getSavingsInterestSummary = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    // Monthly interest credited this month
+    const monthlyRes = await client.query(
+      `SELECT COALESCE(SUM(interest_amount), 0) AS total
+       FROM savings_interest_calculations
+       WHERE status = 'credited'
+         AND date_trunc('month', credited_at) = date_trunc('month', now())`
+    );
+
+    // Active savings accounts and total balance
+    const activeRes = await client.query(
+      `SELECT COUNT(*)::int AS count, COALESCE(SUM(balance), 0)::numeric AS total_balance
+       FROM account
+       WHERE account_status = 'Active' AND saving_plan_id IS NOT NULL`
+    );
+
+    // Recent processed periods (group by calculation_date)
+    const recentRes = await client.query(
+      `WITH per_day AS (
+         SELECT calculation_date::date AS calc_date,
+                MAX(credited_at) AS processed_at
+         FROM savings_interest_calculations
+         WHERE status = 'credited'
+         GROUP BY calculation_date
        )
        SELECT 
          (calc_date - INTERVAL '30 days')::date AS period_start,
@@ -717,4 +1503,226 @@ exports.getFDInterestSummary = async (req, res) => {
   } finally {
     client.release();
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get 2FA policy per role
+ * GET /api/admin/security/mfa-policy
+ */
+exports.getMfaPolicy = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        p.role,
+        p.mfa_required,
+        p.updated_at,
+        COUNT(e.employee_id)::int AS employee_count,
+        COUNT(m.employee_id) FILTER (WHERE m.enabled)::int AS enrolled_count
+      FROM mfa_role_policy p
+      LEFT JOIN employee e ON e.role::text = p.role AND e.employee_status = 'Active'
+      LEFT JOIN employee_mfa m ON m.employee_id = e.employee_id
+      GROUP BY p.role, p.mfa_required, p.updated_at
+      ORDER BY p.role
+    `);
+
+    res.json({
+      status: 'success',
+      policies: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Require or relax 2FA for a role
+ * PUT /api/admin/security/mfa-policy
+ * Body: { role, mfa_required }
+ */
+exports.updateMfaPolicy = async (req, res) => {
+  const { role, mfa_required } = req.body;
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE mfa_role_policy
+       SET mfa_required = $2, updated_by = $3, updated_at = NOW()
+       WHERE role = $1
+       RETURNING role, mfa_required, updated_at`,
+      [role, mfa_required, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Role not found' });
+    }
+
+    res.json({
+      status: 'success',
+      message: `Two-factor authentication ${mfa_required ? 'required' : 'optional'} for ${role}`,
+      policy: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reset an employee's 2FA (lost device) - they must enroll again on next login
+ * Their open sessions are revoked, so the next login goes through 2FA again.
+ * DELETE /api/admin/users/:id/mfa
+ */
+exports.resetUserMfa = async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const userRes = await client.query('SELECT 1 FROM employee WHERE employee_id = $1', [id]);
+    if (userRes.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    await disableMfa(client, id);
+    await revokeEmployeeSessions(client, id, 'mfa_reset');
+    await client.query('COMMIT');
+
+    res.json({ status: 'success', message: 'Two-factor authentication reset for user' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Unlock an employee locked out by failed login attempts
+ * POST /api/admin/users/:id/unlock
+ */
+exports.unlockUser = async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    const userRes = await client.query('SELECT username FROM employee WHERE employee_id = $1', [id]);
+    if (userRes.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+
+    await clearUsernameLockout(client, userRes.rows[0].username);
+
+    res.json({ status: 'success', message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get usernames and IPs currently locked out
+ * GET /api/admin/security/lockouts
+ */
+exports.getLockouts = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        lt.scope,
+        lt.throttle_key,
+        lt.failed_count,
+        lt.first_failed_at,
+        lt.last_failed_at,
+        lt.locked_until,
+        e.employee_id
+      FROM login_throttle lt
+      LEFT JOIN employee e ON lt.scope = 'username' AND LOWER(e.username) = lt.throttle_key
+      WHERE lt.locked_until > NOW()
+      ORDER BY lt.locked_until DESC
+    `);
+
+    res.json({
+      status: 'success',
+      lockouts: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get login history
+ * GET /api/admin/login-history?employee_id=&username=&success=true|false&startDate=&endDate=&limit=100
+ */
+exports.getLoginHistory = async (req, res) => {
+  const { employee_id, username, success, startDate, endDate } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+  const conditions = [];
+  const params = [];
+
+  if (employee_id) {
+    params.push(employee_id);
+    conditions.push(`lh.employee_id = $${params.length}`);
+  }
+  if (username) {
+    params.push(username);
+    conditions.push(`LOWER(lh.username) = LOWER($${params.length})`);
+  }
+  if (success === 'true' || success === 'false') {
+    params.push(success === 'true');
+    conditions.push(`lh.success = $${params.length}`);
+  }
+  if (startDate) {
+    params.push(startDate);
+    conditions.push(`DATE(lh.created_at) >= $${params.length}`);
+  }
+  if (endDate) {
+    params.push(endDate);
+    conditions.push(`DATE(lh.created_at) <= $${params.length}`);
+  }
+  params.push(limit);
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(`
+      SELECT 
+        lh.history_id,
+        lh.employee_id,
+        lh.username,
+        e.first_name || ' ' || e.last_name AS employee_name,
+        lh.success,
+        lh.failure_reason,
+        lh.ip_address,
+        lh.user_agent,
+        lh.created_at
+      FROM login_history lh
+      LEFT JOIN employee e ON lh.employee_id = e.employee_id
+      ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY lh.created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    res.json({
+      status: 'success',
+      history: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
@@ -2,6 +2,57 @@
 // AGENT CONTROLLER - Agent Business Logic (Part 1 of 2)
 // =============================================================================
 const pool = require('../config/database');
+const { scopeBranchId, canAccessBranch } = require('../middleware/branchScope');
+const { executeTransfer } = require('../services/transfers');
+const { loadReversalLegs, requestReversal, completeReversal } = require('../services/reversals');
+const { roleHasPermission } = require('../services/permissions');
+const { requiresApproval, createApprovalRequest } = require('../services/approvals');
+const { ACTIVE_HOLD_SQL, getAvailableBalance, checkHeldFunds } = require('../services/holds');
+const { checkPlanLimits } = require('../services/planLimits');
+const {
+  findOpenSession,
+  getSessionTotals,
+  checkTillForCash,
+  recordCashMovement,
+  openSession,
+  closeSession
+} = require('../services/tills');
+const {
+  createInstruction,
+  findInstruction,
+  cancelInstruction
+} = require('../services/standingInstructions');
+const { chargeExcessWithdrawalFee, chargeEarlyClosureFee } = require('../services/fees');
+const { buildStatement, toStatementCsv, renderStatementPdf } = require('../services/statements');
+const { buildReceipt, toThermalText, renderReceiptPdf } = require('../services/receipts');
+const { postBatch, findBatch, requestBatchReversal } = require('../services/batches');
+const { sendPdf } = require('../utils/pdf');
+const {
+  issueCertificate,
+  buildCertificate,
+  recordPrint,
+  countPrints,
+  getPrintLog,
+  renderCertificatePdf
+} = require('../services/fdCertificates');
+const {
+  getRenewalHistory,
+  getAccountDeposits,
+  findActiveDeposit,
+  findPendingClosure,
+  requestClosure,
+  completeClosure
+} = require('../services/fixedDeposits');
+
+/**
+ * SQL condition limiting customer `c` to a branch given as a query parameter.
+ * Customers are visible to a branch when they hold an account there or have no
+ * account yet (newly registered). A NULL branch (Admin) matches everyone.
+ */
+const customerInBranchSql = (param) => `(${param} IS NULL
+  OR EXISTS (SELECT 1 FROM takes st JOIN account sa ON st.account_id = sa.account_id
+             WHERE st.customer_id = c.customer_id AND sa.branch_id = ${param})
+  OR NOT EXISTS (SELECT 1 FROM takes st WHERE st.customer_id = c.customer_id))`;
 
 /**
  * Process a transaction (deposit/withdrawal)
@@ -11,21 +62,7 @@ exports.processTransaction = async (req, res) => {
   const { account_id, transaction_type, amount, description } = req.body;
   const employeeId = req.user.id;
 
-  // Validation
-  if (!account_id || !transaction_type || amount === undefined || !description) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'All fields are required'
-    });
-  }
-
-  if (amount <= 0) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Amount must be positive'
-    });
-  }
-
+  // Body validated by validateTransaction
   const client = await pool.connect();
 
   try {
@@ -33,9 +70,10 @@ exports.processTransaction = async (req, res) => {
     // Set actor id for downstream DB audit triggers
     await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [employeeId.toString()]);
 
-    // Check if account exists and is active
+    // Check if account exists and is active; locked so concurrent debits
+    // cannot pass the limit and held-funds checks together
     const accountResult = await client.query(
-      'SELECT * FROM account WHERE account_id = $1 AND account_status = $2',
+      'SELECT * FROM account WHERE account_id = $1 AND account_status = $2 FOR UPDATE',
       [account_id, 'Active']
     );
 
@@ -47,16 +85,84 @@ exports.processTransaction = async (req, res) => {
       });
     }
 
+    const account = accountResult.rows[0];
+
+    const limitError = await checkPlanLimits(client, account_id, transaction_type, amount);
+    if (limitError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: limitError });
+    }
+
+    // Amounts above the branch threshold wait for Manager approval
+    if (await requiresApproval(client, account.branch_id, transaction_type, amount)) {
+      const request = await createApprovalRequest(client, {
+        accountId: account_id,
+        transactionType: transaction_type,
+        amount,
+        description,
+        employeeId
+      });
+
+      if (request.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ status: 'error', message: request.error });
+      }
+
+      await client.query('COMMIT');
+      return res.status(202).json({
+        status: 'success',
+        message: 'Transaction submitted for manager approval',
+        approval_id: request.approval_id,
+        approval_status: 'pending',
+        expires_at: request.expires_at
+      });
+    }
+
+    // Funds held for pending requests cannot be withdrawn
+    if (transaction_type === 'Withdrawal') {
+      const holdError = await checkHeldFunds(client, account_id, amount);
+      if (holdError) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ status: 'error', message: holdError });
+      }
+    }
+
+    const tillError = await checkTillForCash(client, employeeId, transaction_type, amount);
+    if (tillError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: tillError });
+    }
+
     // Use database function for transaction processing
     const transactionResult = await client.query(
       'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
       [transaction_type, amount, description, account_id, employeeId]
     );
 
-    // Get updated balance
+    // Cash in/out of the agent's till
+    await recordCashMovement(client, {
+      employeeId,
+      transactionId: transactionResult.rows[0].transaction_id,
+      transactionType: transaction_type,
+      amount
+    });
+
+    // Withdrawals beyond the plan's free monthly count carry a fee
+    const fee = transaction_type === 'Withdrawal'
+      ? await chargeExcessWithdrawalFee(client, {
+        accountId: account_id,
+        withdrawalTransactionId: transactionResult.rows[0].transaction_id,
+        employeeId
+      })
+      : null;
+
+    // Get updated balance and the business date the transaction was posted on
     const balanceResult = await client.query(
-      'SELECT balance FROM account WHERE account_id = $1',
-      [account_id]
+      `SELECT a.balance, to_char(t.business_date, 'YYYY-MM-DD') AS business_date
+       FROM transaction t
+       JOIN account a ON t.account_id = a.account_id
+       WHERE t.transaction_id = $1`,
+      [transactionResult.rows[0].transaction_id]
     );
 
     await client.query('COMMIT');
@@ -65,7 +171,9 @@ exports.processTransaction = async (req, res) => {
       status: 'success',
       message: 'Transaction processed successfully',
       transaction_id: transactionResult.rows[0].transaction_id,
-      new_balance: parseFloat(balanceResult.rows[0].balance)
+      business_date: balanceResult.rows[0].business_date,
+      new_balance: parseFloat(balanceResult.rows[0].balance),
+      fee_charged: fee
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -89,6 +197,639 @@ exports.processTransaction = async (req, res) => {
   }
 };
 
+/**
+ * Transfer funds between two accounts
+ * POST /api/agent/transfers
+ * Body: { from_account_id, to_account_id, amount, description? }
+ * The source account must belong to the caller's branch; the destination may
+ * be any active account (joint or individual, any branch).
+ */
+exports.createTransfer = async (req, res) => {
+  const { from_account_id, to_account_id, amount, description } = req.body;
+  const employeeId = req.user.id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [employeeId.toString()]);
+
+    const sourceResult = await client.query('SELECT branch_id FROM account WHERE account_id = $1', [from_account_id]);
+    if (sourceResult.rows.length > 0 && !canAccessBranch(req, sourceResult.rows[0].branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Source account does not belong to your branch'
+      });
+    }
+
+    const transfer = await executeTransfer(client, {
+      fromAccountId: from_account_id,
+      toAccountId: to_account_id,
+      amount,
+      description,
+      employeeId
+    });
+
+    if (transfer.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: transfer.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Transfer completed successfully',
+      transfer
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+
+    if (error.message.includes('Insufficient balance') ||
+        error.message.includes('Minimum balance required')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error: ' + error.message
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Create a standing instruction (recurring transfer)
+ * POST /api/agent/standing-instructions
+ * Body: { from_account_id, to_account_id, amount, frequency, start_date, end_date?, description? }
+ */
+exports.createStandingInstruction = async (req, res) => {
+  const { from_account_id, to_account_id, amount, description, frequency, start_date, end_date } = req.body;
+
+  const client = await pool.connect();
+  try {
+    const sourceResult = await client.query('SELECT branch_id FROM account WHERE account_id = $1', [from_account_id]);
+    if (sourceResult.rows.length > 0 && !canAccessBranch(req, sourceResult.rows[0].branch_id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Source account does not belong to your branch'
+      });
+    }
+
+    const instruction = await createInstruction(client, {
+      fromAccountId: from_account_id,
+      toAccountId: to_account_id,
+      amount,
+      description,
+      frequency,
+      startDate: start_date,
+      endDate: end_date,
+      employeeId: req.user.id
+    });
+
+    if (instruction.error) {
+      return res.status(instruction.status).json({ status: 'error', message: instruction.error });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Standing instruction created',
+      standing_instruction: instruction
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * List standing instructions of accounts in the caller's branch
+ * GET /api/agent/standing-instructions?account_id=&status=active|completed|cancelled
+ */
+exports.getStandingInstructions = async (req, res) => {
+  const { account_id, status } = req.query;
+
+  if (status && !['active', 'completed', 'cancelled'].includes(status)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid status. Use active, completed or cancelled' });
+  }
+  if (account_id && !/^\d+$/.test(account_id)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid account ID' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT si.instruction_id, si.from_account_id, si.to_account_id, si.amount, si.description,
+              si.frequency, si.start_date, si.end_date, si.next_run_date, si.cycle_count,
+              si.failed_attempts, si.status, si.created_by, si.created_at
+       FROM standing_instruction si
+       JOIN account a ON si.from_account_id = a.account_id
+       WHERE (a.branch_id = $1 OR $1 IS NULL)
+         AND ($2::int IS NULL OR $2 IN (si.from_account_id, si.to_account_id))
+         AND ($3::text IS NULL OR si.status = $3)
+       ORDER BY si.created_at DESC
+       LIMIT 100`,
+      [scopeBranchId(req), account_id || null, status || null]
+    );
+
+    res.json({ status: 'success', standing_instructions: result.rows });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get a standing instruction with its run history
+ * GET /api/agent/standing-instructions/:id
+ */
+exports.getStandingInstruction = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const instruction = await findInstruction(client, req.params.id);
+
+    if (!instruction) {
+      return res.status(404).json({ status: 'error', message: 'Standing instruction not found' });
+    }
+    if (!canAccessBranch(req, instruction.branch_id)) {
+      return res.status(403).json({ status: 'error', message: 'Access denied. Standing instruction does not belong to your branch' });
+    }
+
+    const runs = await client.query(
+      `SELECT r.run_id, r.scheduled_date, r.attempt, r.status, r.transfer_id,
+              ft.reference AS transfer_reference, r.error_message, r.run_at
+       FROM standing_instruction_run r
+       LEFT JOIN fund_transfer ft ON r.transfer_id = ft.transfer_id
+       WHERE r.instruction_id = $1
+       ORDER BY r.run_at DESC
+       LIMIT 100`,
+      [instruction.instruction_id]
+    );
+
+    res.json({
+      status: 'success',
+      standing_instruction: instruction,
+      runs: runs.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Cancel a standing instruction
+ * POST /api/agent/standing-instructions/:id/cancel
+ * Body: { reason? }
+ */
+exports.cancelStandingInstruction = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const instruction = await findInstruction(client, req.params.id, { forUpdate: true });
+
+    if (!instruction) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Standing instruction not found' });
+    }
+    if (!canAccessBranch(req, instruction.branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ status: 'error', message: 'Access denied. Standing instruction does not belong to your branch' });
+    }
+
+    const result = await cancelInstruction(client, instruction, { employeeId: req.user.id, reason: req.body.reason });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ status: 'error', message: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Standing instruction cancelled',
+      standing_instruction: result
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reverse a transaction (posts a linked opposite entry)
+ * POST /api/agent/transactions/:id/reverse
+ * Body: { reason }
+ * Same-day transactions are reversed immediately; older ones are queued for
+ * Manager approval unless the caller can approve requests themselves.
+ */
+exports.reverseTransaction = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+  const employeeId = req.user.id;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [employeeId.toString()]);
+
+    const legs = await loadReversalLegs(client, id);
+    const requested = legs.find(leg => String(leg.transaction_id) === String(id));
+
+    if (!requested) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Transaction not found' });
+    }
+
+    if (!canAccessBranch(req, requested.branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Transaction does not belong to your branch'
+      });
+    }
+
+    const request = await requestReversal(client, legs, { transactionId: id, reason, employeeId });
+    if (request.error) {
+      await client.query('ROLLBACK');
+      return res.status(request.status).json({ status: 'error', message: request.error });
+    }
+
+    const immediate = requested.same_day || await roleHasPermission(req.user.role, 'approvals.manage');
+
+    if (!immediate) {
+      await client.query('COMMIT');
+      return res.status(202).json({
+        status: 'success',
+        message: 'Reversal submitted for manager approval',
+        reversal_id: request.reversal_id,
+        reversal_status: 'pending'
+      });
+    }
+
+    const reversal = await completeReversal(client, request.reversal_id, employeeId);
+    if (reversal.error) {
+      await client.query('ROLLBACK');
+      return res.status(reversal.status).json({ status: 'error', message: reversal.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Transaction reversed successfully',
+      reversal_status: 'completed',
+      ...reversal
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+
+    if (error.message.includes('Insufficient balance') ||
+        error.message.includes('Minimum balance required')) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    // Concurrent request for the same transaction
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'Transaction has already been reversed' });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error: ' + error.message
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Upload a batch of deposits (group collection)
+ * POST /api/agent/transactions/bulk
+ * Body (JSON): { transactions: [{ account_id, amount, transaction_type?, description? }], description? }
+ * Body (text/csv): header row account_id,amount[,transaction_type][,description]
+ * Valid rows are posted, invalid rows are returned in `errors` with their row number.
+ */
+exports.createTransactionBatch = async (req, res) => {
+  const { transactions, description } = req.body;
+  const employeeId = req.user.id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [employeeId.toString()]);
+
+    const result = await postBatch(client, {
+      rows: transactions,
+      description,
+      source: req.uploadFormat || 'json',
+      employeeId,
+      branchId: req.user.branch_id || null,
+      scopeBranchId: scopeBranchId(req)
+    });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ status: 'error', message: result.error, errors: result.errors });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      status: 'success',
+      message: `${result.batch.posted_count} of ${result.batch.row_count} transactions posted`,
+      batch: result.batch,
+      errors: result.errors
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error: ' + error.message });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * List transaction batches of the caller's branch
+ * GET /api/agent/transactions/bulk
+ */
+exports.getTransactionBatches = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT b.batch_id, b.reference, b.branch_id, b.description, b.source, b.row_count,
+              b.posted_count, b.rejected_count, b.total_amount, b.created_by, b.created_at,
+              b.reversal_id, r.status AS reversal_status
+       FROM transaction_batch b
+       LEFT JOIN transaction_reversal r ON b.reversal_id = r.reversal_id
+       WHERE (b.branch_id = $1 OR $1 IS NULL)
+       ORDER BY b.created_at DESC
+       LIMIT 100`,
+      [scopeBranchId(req)]
+    );
+
+    res.json({ status: 'success', batches: result.rows });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get a transaction batch with all of its rows
+ * GET /api/agent/transactions/bulk/:id
+ */
+exports.getTransactionBatch = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const batch = await findBatch(client, req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ status: 'error', message: 'Batch not found' });
+    }
+    if (!canAccessBranch(req, batch.branch_id)) {
+      return res.status(403).json({ status: 'error', message: 'Access denied. Batch does not belong to your branch' });
+    }
+
+    const items = await client.query(
+      `SELECT row_number, account_id, transaction_type, amount, description, status,
+              transaction_id, error_message
+       FROM transaction_batch_item
+       WHERE batch_id = $1
+       ORDER BY row_number`,
+      [batch.batch_id]
+    );
+
+    res.json({ status: 'success', batch, items: items.rows });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reverse every posted transaction of a batch as one unit
+ * POST /api/agent/transactions/bulk/:id/reverse
+ * Body: { reason }
+ * Same rules as single reversals: same-day batches are reversed immediately,
+ * older ones are queued for Manager approval.
+ */
+exports.reverseTransactionBatch = async (req, res) => {
+  const employeeId = req.user.id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [employeeId.toString()]);
+
+    const batch = await findBatch(client, req.params.id, { forUpdate: true });
+
+    if (!batch) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Batch not found' });
+    }
+    if (!canAccessBranch(req, batch.branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ status: 'error', message: 'Access denied. Batch does not belong to your branch' });
+    }
+
+    const request = await requestBatchReversal(client, batch, { reason: req.body.reason, employeeId });
+    if (request.error) {
+      await client.query('ROLLBACK');
+      return res.status(request.status).json({ status: 'error', message: request.error });
+    }
+
+    const immediate = request.same_day || await roleHasPermission(req.user.role, 'approvals.manage');
+
+    if (!immediate) {
+      await client.query('COMMIT');
+      return res.status(202).json({
+        status: 'success',
+        message: 'Batch reversal submitted for manager approval',
+        batch_id: batch.batch_id,
+        reversal_id: request.reversal_id,
+        reversal_status: 'pending'
+      });
+    }
+
+    const reversal = await completeReversal(client, request.reversal_id, employeeId);
+    if (reversal.error) {
+      await client.query('ROLLBACK');
+      return res.status(reversal.status).json({ status: 'error', message: reversal.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Batch reversed successfully',
+      batch_id: batch.batch_id,
+      reversal_status: 'completed',
+      ...reversal
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+
+    if (error.message.includes('Insufficient balance') ||
+        error.message.includes('Minimum balance required')) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    // A transaction of the batch was reversed concurrently
+    if (error.code === '23505') {
+      return res.status(409).json({ status: 'error', message: 'A transaction of this batch has already been reversed' });
+    }
+
+    res.status(500).json({ status: 'error', message: 'Database error: ' + error.message });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the caller's open till session with expected cash
+ * GET /api/agent/till
+ */
+exports.getTill = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const session = await findOpenSession(client, req.user.id);
+
+    if (!session) {
+      return res.json({ status: 'success', till: null });
+    }
+
+    const totals = await getSessionTotals(client, session);
+
+    res.json({
+      status: 'success',
+      till: { ...session, ...totals }
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Open a till session with a cash float
+ * POST /api/agent/till/open
+ * Body: { opening_float, branch_id? } - branch_id is required when the caller has no home branch
+ */
+exports.openTill = async (req, res) => {
+  const { opening_float } = req.body;
+  const branchId = scopeBranchId(req) || req.user.branch_id || req.body.branch_id;
+
+  if (!branchId) {
+    return res.status(400).json({ status: 'error', message: 'Branch ID is required to open a till' });
+  }
+  if (!canAccessBranch(req, branchId)) {
+    return res.status(403).json({ status: 'error', message: 'Access denied. You can only open a till at your own branch' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const branchResult = await client.query('SELECT branch_id FROM branch WHERE branch_id = $1', [branchId]);
+    if (branchResult.rows.length === 0) {
+      return res.status(400).json({ status: 'error', message: 'Branch not found' });
+    }
+
+    const session = await openSession(client, {
+      employeeId: req.user.id,
+      branchId,
+      openingFloat: opening_float
+    });
+
+    if (!session) {
+      return res.status(409).json({ status: 'error', message: 'You already have an open till session' });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Till opened successfully',
+      till: session
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Close the caller's till with the counted cash
+ * POST /api/agent/till/close
+ * Body: { declared_cash, note? }
+ * Returns expected cash and variance (declared - expected; negative = shortage)
+ */
+exports.closeTill = async (req, res) => {
+  const { declared_cash, note } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const session = await findOpenSession(client, req.user.id, { forUpdate: true });
+    if (!session) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'No open till session' });
+    }
+
+    const closed = await closeSession(client, session, { declaredCash: declared_cash, note });
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: parseFloat(closed.variance) === 0
+        ? 'Till closed and balanced'
+        : 'Till closed with a variance',
+      till: closed
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * Register a new customer
  * POST /api/agent/customers/register
@@ -96,14 +837,7 @@ exports.processTransaction = async (req, res) => {
 exports.registerCustomer = async (req, res) => {
   const { first_name, last_name, nic, gender, date_of_birth, contact_no_1, contact_no_2, address, email } = req.body;
 
-  // Validation
-  if (!first_name || !last_name || !nic || !gender || !date_of_birth || !contact_no_1 || !address || !email) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'All required fields must be provided'
-    });
-  }
-
+  // Body validated by validateCustomerRegistration
   const client = await pool.connect();
 
   try {
@@ -166,10 +900,11 @@ exports.getCustomers = async (req, res) => {
   const client = await pool.connect();
   try {
     const result = await client.query(`
-      SELECT customer_id, first_name, last_name, nic, date_of_birth 
-      FROM customer 
-      ORDER BY first_name, last_name
-    `);
+      SELECT c.customer_id, c.first_name, c.last_name, c.nic, c.date_of_birth 
+      FROM customer c
+      WHERE ${customerInBranchSql('$1')}
+      ORDER BY c.first_name, c.last_name
+    `, [scopeBranchId(req)]);
     
     res.json({
       status: 'success',
@@ -189,6 +924,8 @@ exports.getCustomers = async (req, res) => {
 /**
  * Get single customer by NIC/Birth Certificate number (exact match)
  * GET /api/agent/customers/by-nic/:nic
+ * Not branch-scoped: used as the identity check when onboarding a customer
+ * who may already bank at another branch.
  */
 exports.getCustomerByNic = async (req, res) => {
   const rawNic = (req.params.nic || '').toString().trim();
@@ -257,6 +994,18 @@ exports.getCustomerById = async (req, res) => {
       });
     }
 
+    // Restrict to customers of the caller's branch
+    const scopeResult = await client.query(
+      `SELECT ${customerInBranchSql('$2')} AS in_scope FROM customer c WHERE c.customer_id = $1`,
+      [id, scopeBranchId(req)]
+    );
+    if (!scopeResult.rows[0].in_scope) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Customer does not belong to your branch'
+      });
+    }
+
     res.json({
       status: 'success',
       customer: result.rows[0]
@@ -280,14 +1029,7 @@ exports.updateCustomer = async (req, res) => {
   const { id } = req.params;
   const { first_name, last_name, nic, gender, date_of_birth, contact_no_1, contact_no_2, address, email } = req.body;
 
-  // Validation
-  if (!first_name || !last_name || !nic || !gender || !date_of_birth || !contact_no_1 || !address || !email) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'All required fields must be provided'
-    });
-  }
-
+  // Body validated by validateCustomerUpdate
   // Note: No global age restriction here. Age constraints are enforced when creating
   // or changing accounts based on the selected saving plan (e.g., Children/Teen/Adult/Senior).
 
@@ -356,14 +1098,7 @@ exports.updateCustomerContact = async (req, res) => {
   const { id } = req.params;
   const { contact_no_1, contact_no_2, address, email } = req.body;
 
-  // Validation
-  if (!contact_no_1 || !address || !email) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Contact number, address, and email are required'
-    });
-  }
-
+  // Body validated by validateCustomerContactUpdate
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -418,28 +1153,7 @@ exports.createAccount = async (req, res) => {
   const branchIdNum = Number(branch_id);
   const initialDeposit = Number(initial_deposit);
 
-  // Validation
-  if (!customerIdNum || !savingPlanIdNum || !branchIdNum || initial_deposit === undefined) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'All required fields must be provided'
-    });
-  }
-
-  if (isNaN(initialDeposit)) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Invalid initial deposit amount'
-    });
-  }
-
-  if (initialDeposit < 0) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Initial deposit cannot be negative'
-    });
-  }
-
+  // Body validated by validateAccountCreation
   const client = await pool.connect();
 
   try {
@@ -609,9 +1323,10 @@ exports.getAccounts = async (req, res) => {
       JOIN takes t ON a.account_id = t.account_id
       JOIN customer c ON t.customer_id = c.customer_id
       WHERE a.account_status = 'Active'
+        AND (a.branch_id = $1 OR $1 IS NULL)
       GROUP BY a.account_id, a.balance, a.account_status
       ORDER BY a.account_id
-    `);
+    `, [scopeBranchId(req)]);
     
     res.json({
       status: 'success',
@@ -770,6 +1485,7 @@ exports.getAccountDetails = async (req, res) => {
          a.balance,
          a.account_status,
          a.open_date,
+         a.branch_id,
          COALESCE(b.name, 'Unknown') AS branch_name,
          COALESCE(sp.plan_type::text, 'Unknown') AS plan_type,
          COALESCE(sp.interest, 0) AS interest,
@@ -787,6 +1503,10 @@ exports.getAccountDetails = async (req, res) => {
 
     const base = accountResult.rows[0];
 
+    if (!canAccessBranch(req, base.branch_id)) {
+      return res.status(403).json({ status: 'error', message: 'Access denied. Account does not belong to your branch' });
+    }
+
     // Customers linked to account
     const customersResult = await client.query(
       `SELECT c.customer_id, c.first_name, c.last_name, c.nic, c.date_of_birth
@@ -799,17 +1519,36 @@ exports.getAccountDetails = async (req, res) => {
 
     // Recent transactions (last 20)
     const txResult = await client.query(
-      `SELECT transaction_id, transaction_type, amount, time, description
-       FROM transaction
-       WHERE account_id = $1
-       ORDER BY time DESC
+      `SELECT t.transaction_id, t.transaction_type, t.amount, t.time, t.description,
+              ft.reference AS transfer_reference,
+              CASE WHEN ft.debit_transaction_id = t.transaction_id THEN ft.to_account_id
+                   ELSE ft.from_account_id END AS counterparty_account_id
+       FROM transaction t
+       LEFT JOIN fund_transfer ft
+         ON t.transaction_id IN (ft.debit_transaction_id, ft.credit_transaction_id)
+       WHERE t.account_id = $1
+       ORDER BY t.time DESC
        LIMIT 20`,
       [id]
     );
 
+    // Funds currently blocked by holds and liens
+    const holdsResult = await client.query(
+      `SELECT h.hold_id, h.amount, h.source AS hold_type, h.reason, h.expires_at, h.created_at
+       FROM account_hold h
+       WHERE h.account_id = $1 AND ${ACTIVE_HOLD_SQL}
+       ORDER BY h.created_at`,
+      [id]
+    );
+    const funds = await getAvailableBalance(client, id);
+
+    const fixedDeposits = await getAccountDeposits(client, id, { status: 'Active' });
+
     const account = {
       account_id: base.account_id,
       balance: parseFloat(base.balance),
+      available_balance: funds.available,
+      held: funds.held,
       account_status: base.account_status,
       open_date: base.open_date,
       branch_name: base.branch_name,
@@ -817,12 +1556,16 @@ exports.getAccountDetails = async (req, res) => {
       interest: parseFloat(base.interest),
       min_balance: parseFloat(base.min_balance),
       customers: customersResult.rows,
+      holds: holdsResult.rows,
+      fixed_deposits: fixedDeposits,
       transactions: txResult.rows.map(r => ({
         transaction_id: r.transaction_id,
         transaction_type: r.transaction_type,
         amount: parseFloat(r.amount),
         time: r.time,
-        description: r.description
+        description: r.description,
+        transfer_reference: r.transfer_reference,
+        counterparty_account_id: r.transfer_reference ? r.counterparty_account_id : null
       }))
     };
 
@@ -836,20 +1579,131 @@ exports.getAccountDetails = async (req, res) => {
 };
 
 /**
- * Create a fixed deposit
- * POST /api/agent/fixed-deposits/create
+ * All fixed deposits funded from an account
+ * GET /api/agent/accounts/:id/fixed-deposits?status=Active|Closed
  */
-exports.createFixedDeposit = async (req, res) => {
-  const { customer_id, account_id, fd_plan_id, principal_amount, auto_renewal_status } = req.body;
+exports.getAccountFixedDeposits = async (req, res) => {
+  const { id } = req.params;
+  const status = req.query.status || null;
+
+  if (status && !['Active', 'Closed'].includes(status)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid status. Use Active or Closed' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const accountResult = await client.query('SELECT account_id, branch_id FROM account WHERE account_id = $1', [id]);
+
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Account not found' });
+    }
+    if (!canAccessBranch(req, accountResult.rows[0].branch_id)) {
+      return res.status(403).json({ status: 'error', message: 'Access denied. Account does not belong to your branch' });
+    }
+
+    const fixedDeposits = await getAccountDeposits(client, id, { status });
+    const active = fixedDeposits.filter(fd => fd.fd_status === 'Active');
 
-  if (!customer_id || !account_id || !fd_plan_id || principal_amount === undefined) {
-    return res.status(400).json({ status: 'error', message: 'All required fields must be provided' });
+    res.json({
+      status: 'success',
+      account_id: accountResult.rows[0].account_id,
+      summary: {
+        active_count: active.length,
+        active_principal: active.reduce((sum, fd) => sum + parseFloat(fd.fd_balance), 0)
+      },
+      fixed_deposits: fixedDeposits
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Printable receipt for a transaction
+ * GET /api/agent/transactions/:id/receipt?format=pdf|text (text: 58mm thermal printer)
+ */
+exports.getTransactionReceipt = async (req, res) => {
+  const { id } = req.params;
+  const format = req.query.format || 'pdf';
+
+  const client = await pool.connect();
+  try {
+    const receipt = await buildReceipt(client, id);
+
+    if (!receipt) {
+      return res.status(404).json({ status: 'error', message: 'Transaction not found' });
+    }
+    if (!canAccessBranch(req, receipt.branch_id)) {
+      return res.status(403).json({ status: 'error', message: 'Access denied. Transaction does not belong to your branch' });
+    }
+
+    if (format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(toThermalText(receipt));
+    }
+
+    sendPdf(res, `receipt-${receipt.transaction_id}.pdf`, (doc) => renderReceiptPdf(doc, receipt), { size: 'A6', margin: 30 });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
   }
+};
+
+/**
+ * Account statement with running balances for a business date range
+ * GET /api/agent/accounts/:id/statement?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv|pdf
+ */
+exports.getAccountStatement = async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+  const format = req.query.format || 'json';
+
+  const client = await pool.connect();
+  try {
+    const branchResult = await client.query('SELECT branch_id FROM account WHERE account_id = $1', [id]);
+
+    if (branchResult.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Account not found' });
+    }
+    if (!canAccessBranch(req, branchResult.rows[0].branch_id)) {
+      return res.status(403).json({ status: 'error', message: 'Access denied. Account does not belong to your branch' });
+    }
+
+    const statement = await buildStatement(client, id, { from, to });
+    const filename = `statement-${id}-${from}-to-${to}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(toStatementCsv(statement));
+    }
 
-  if (principal_amount <= 0) {
-    return res.status(400).json({ status: 'error', message: 'Principal amount must be greater than 0' });
+    if (format === 'pdf') {
+      return sendPdf(res, `${filename}.pdf`, (doc) => renderStatementPdf(doc, statement));
+    }
+
+    res.json({ status: 'success', statement });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
   }
+};
+
+/**
+ * Create a fixed deposit
+ * POST /api/agent/fixed-deposits/create
+ */
+exports.createFixedDeposit = async (req, res) => {
+  const { customer_id, account_id, fd_plan_id, principal_amount, auto_renewal_status, capitalise_interest } = req.body;
 
+  // Body validated by validateFDCreation
   // Normalize auto_renewal to DB enum ('True' | 'False')
   let autoRenewalStr;
   if (typeof auto_renewal_status === 'boolean') {
@@ -880,11 +1734,13 @@ exports.createFixedDeposit = async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Customer must be at least 18 years old for Fixed Deposit' });
     }
 
+    // Locked so concurrent debits cannot pass the funds check together
     const accountResult = await client.query(
       `SELECT a.*, sp.min_balance, sp.plan_type 
        FROM account a 
        JOIN savingplan sp ON a.saving_plan_id = sp.saving_plan_id 
-       WHERE a.account_id = $1 AND a.account_status = $2`,
+       WHERE a.account_id = $1 AND a.account_status = $2
+       FOR UPDATE OF a`,
       [account_id, 'Active']
     );
     if (accountResult.rows.length === 0) {
@@ -892,9 +1748,8 @@ exports.createFixedDeposit = async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Account not found or closed' });
     }
 
-    const account = accountResult.rows[0];
-    const minBalance = parseFloat(account.min_balance);
-    const availableForFD = parseFloat(account.balance) - minBalance;
+    // Minimum balance and held funds cannot move into the FD
+    const { available: availableForFD } = await getAvailableBalance(client, account_id);
 
     if (parseFloat(principal_amount) > availableForFD) {
       await client.query('ROLLBACK');
@@ -904,6 +1759,12 @@ exports.createFixedDeposit = async (req, res) => {
       });
     }
 
+    const limitError = await checkPlanLimits(client, account_id, 'Withdrawal', principal_amount);
+    if (limitError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: limitError });
+    }
+
     const planResult = await client.query('SELECT * FROM fdplan WHERE fd_plan_id = $1', [fd_plan_id]);
     if (planResult.rows.length === 0) {
       await client.query('ROLLBACK');
@@ -915,20 +1776,25 @@ exports.createFixedDeposit = async (req, res) => {
 
     // Let DB trigger fd_autocalc_maturity_date compute maturity_date based on plan
     const fdResult = await client.query(
-      `INSERT INTO fixeddeposit (fd_balance, auto_renewal_status, fd_status, open_date, fd_plan_id)
-       VALUES ($1, $2, $3, $4, $5)
+      `INSERT INTO fixeddeposit
+         (fd_balance, auto_renewal_status, fd_status, open_date, fd_plan_id, capitalise_interest, account_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING fd_id, maturity_date`,
-      [principal_amount, autoRenewalStr, 'Active', openDate, fd_plan_id]
+      [principal_amount, autoRenewalStr, 'Active', openDate, fd_plan_id, capitalise_interest === true, account_id]
     );
 
     const fdId = fdResult.rows[0].fd_id;
 
-    await client.query(
-      'SELECT create_transaction_with_validation($1, $2, $3, $4, $5)',
+    const fundingResult = await client.query(
+      'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
       ['Withdrawal', principal_amount, `Fixed Deposit Creation - ${fdPlan.fd_options} Plan`, account_id, req.user.id]
     );
+    await client.query(
+      'UPDATE fixeddeposit SET funding_transaction_id = $1 WHERE fd_id = $2',
+      [fundingResult.rows[0].transaction_id, fdId]
+    );
 
-    await client.query('UPDATE account SET fd_id = $1 WHERE account_id = $2', [fdId, account_id]);
+    const certificate = await issueCertificate(client, fdId, req.user.id);
 
     const updatedAccount = await client.query('SELECT balance FROM account WHERE account_id = $1', [account_id]);
 
@@ -939,7 +1805,9 @@ exports.createFixedDeposit = async (req, res) => {
       message: 'Fixed Deposit created successfully',
       fd_id: fdId,
       maturity_date: new Date(fdResult.rows[0].maturity_date).toISOString().split('T')[0],
-      new_savings_balance: parseFloat(updatedAccount.rows[0].balance)
+      new_savings_balance: parseFloat(updatedAccount.rows[0].balance),
+      certificate_serial_no: certificate.serial_no,
+      certificate_url: `/api/agent/fixed-deposits/${fdId}/certificate`
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -971,7 +1839,7 @@ exports.searchFixedDeposits = async (req, res) => {
         STRING_AGG(DISTINCT c.nic, ',') as customer_nics
       FROM fixeddeposit fd
       JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
-      JOIN account a ON fd.fd_id = a.fd_id
+      JOIN account a ON fd.account_id = a.account_id
       JOIN takes t ON a.account_id = t.account_id
       JOIN customer c ON t.customer_id = c.customer_id
       WHERE CAST(fd.fd_id AS TEXT) ILIKE $1 OR c.nic ILIKE $1
@@ -1021,7 +1889,7 @@ exports.getFixedDepositsByNic = async (req, res) => {
         STRING_AGG(DISTINCT c2.nic, ', ') as customer_nics
       FROM fixeddeposit fd
       JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
-      JOIN account a ON fd.fd_id = a.fd_id
+      JOIN account a ON fd.account_id = a.account_id
       JOIN takes t ON a.account_id = t.account_id
       JOIN customer c ON t.customer_id = c.customer_id
       -- Filter by requested NIC on any holder of the linked savings account
@@ -1042,59 +1910,195 @@ exports.getFixedDepositsByNic = async (req, res) => {
   }
 };
 
+/**
+ * Renewal history of a fixed deposit (every term of the chain it belongs to)
+ * GET /api/agent/fixed-deposits/:id/renewals
+ */
+exports.getFixedDepositRenewals = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const fdResult = await client.query('SELECT fd_id FROM fixeddeposit WHERE fd_id = $1', [req.params.id]);
+    if (fdResult.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Fixed deposit not found' });
+    }
+
+    const renewals = await getRenewalHistory(client, req.params.id);
+
+    // Every term of a chain belongs to the same savings account
+    if (renewals.length > 0) {
+      const accountResult = await client.query('SELECT branch_id FROM account WHERE account_id = $1', [renewals[0].account_id]);
+      if (!canAccessBranch(req, accountResult.rows[0].branch_id)) {
+        return res.status(403).json({ status: 'error', message: 'Access denied. Fixed deposit does not belong to your branch' });
+      }
+    }
+
+    res.json({ status: 'success', fd_id: fdResult.rows[0].fd_id, renewals });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Print the deposit certificate of an active FD (PDF)
+ * GET /api/agent/fixed-deposits/:id/certificate?reason=
+ * The first print is the original; reprints need a reason and are marked DUPLICATE.
+ */
+exports.getFixedDepositCertificate = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.query;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await buildCertificate(client, id);
+
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Fixed deposit not found' });
+    }
+    if (!canAccessBranch(req, existing.branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ status: 'error', message: 'Access denied. Fixed deposit does not belong to your branch' });
+    }
+    if (existing.fd_status !== 'Active') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: 'Certificates can only be printed for active fixed deposits' });
+    }
+
+    // FDs opened before certificates existed, or by renewal, get one on first print
+    const issued = await issueCertificate(client, existing.fd_id, req.user.id);
+
+    if (await countPrints(client, issued.certificate_id) > 0 && !reason) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: 'A reason is required to reprint a certificate' });
+    }
+
+    const printNumber = await recordPrint(client, issued.certificate_id, { employeeId: req.user.id, reason });
+    const certificate = { ...existing, certificate_id: issued.certificate_id, serial_no: issued.serial_no, issued_at: issued.issued_at };
+
+    await client.query('COMMIT');
+
+    sendPdf(res, `fd-certificate-${certificate.serial_no}.pdf`, (doc) => renderCertificatePdf(doc, certificate, printNumber));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Print log of an FD's certificate
+ * GET /api/agent/fixed-deposits/:id/certificate/prints
+ */
+exports.getFixedDepositCertificatePrints = async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    const certificate = await buildCertificate(client, id);
+
+    if (!certificate) {
+      return res.status(404).json({ status: 'error', message: 'Fixed deposit not found' });
+    }
+    if (!canAccessBranch(req, certificate.branch_id)) {
+      return res.status(403).json({ status: 'error', message: 'Access denied. Fixed deposit does not belong to your branch' });
+    }
+
+    const prints = await getPrintLog(client, id);
+
+    res.json({
+      status: 'success',
+      fd_id: certificate.fd_id,
+      serial_no: certificate.serial_no,
+      issued_at: certificate.issued_at,
+      prints
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * Deactivate fixed deposit
  * POST /api/agent/fixed-deposits/deactivate
+ * Body: { fd_id, reason? }
+ * Before maturity the interest is recomputed at the premature rate and a
+ * penalty may apply; closures above the branch threshold wait for a Manager
+ * unless the caller can approve requests themselves. The response carries
+ * the breakdown.
  */
 exports.deactivateFixedDeposit = async (req, res) => {
-  const { fd_id } = req.body;
-
-  if (!fd_id) {
-    return res.status(400).json({ status: 'error', message: 'FD ID is required' });
-  }
+  const { fd_id, reason } = req.body;
+  const employeeId = req.user.id;
 
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [employeeId.toString()]);
 
-    const fdResult = await client.query(
-      'SELECT * FROM fixeddeposit WHERE fd_id = $1 AND fd_status = $2',
-      [fd_id, 'Active']
-    );
+    const fd = await findActiveDeposit(client, fd_id);
 
-    if (fdResult.rows.length === 0) {
+    if (!fd) {
       await client.query('ROLLBACK');
       return res.status(400).json({ status: 'error', message: 'Active fixed deposit not found' });
     }
 
-    const fd = fdResult.rows[0];
-
-    const accountResult = await client.query('SELECT account_id FROM account WHERE fd_id = $1', [fd_id]);
-    
-    if (accountResult.rows.length === 0) {
+    if (!fd.account_id) {
       await client.query('ROLLBACK');
       return res.status(400).json({ status: 'error', message: 'Linked savings account not found' });
     }
 
-    const accountId = accountResult.rows[0].account_id;
+    if (!canAccessBranch(req, fd.branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ status: 'error', message: 'Access denied. Fixed deposit does not belong to your branch' });
+    }
 
-    await client.query(
-      'SELECT create_transaction_with_validation($1, $2, $3, $4, $5)',
-      ['Deposit', fd.fd_balance, `FD Deactivation - Principal Return (${fd_id})`, accountId, req.user.id]
-    );
+    if (await findPendingClosure(client, fd_id)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ status: 'error', message: 'A closure for this fixed deposit is already awaiting approval' });
+    }
+
+    const needsApproval = fd.is_premature &&
+      await requiresApproval(client, fd.branch_id, 'PrematureFDClosure', fd.fd_balance) &&
+      !(await roleHasPermission(req.user.role, 'approvals.manage'));
+
+    if (needsApproval) {
+      const request = await requestClosure(client, fd, { reason, employeeId });
+      await client.query('COMMIT');
+      return res.status(202).json({
+        status: 'success',
+        message: 'Premature closure submitted for manager approval',
+        fd_id: fd.fd_id,
+        closure_status: 'pending',
+        breakdown: request
+      });
+    }
 
-    await client.query('UPDATE fixeddeposit SET fd_status = $1 WHERE fd_id = $2', ['Closed', fd_id]);
-    await client.query('UPDATE account SET fd_id = NULL WHERE fd_id = $1', [fd_id]);
+    const closure = await completeClosure(client, fd, { employeeId, reason });
 
     await client.query('COMMIT');
-    
+
     res.json({
       status: 'success',
-      message: 'Fixed deposit deactivated successfully. Principal amount returned to savings account.',
-      fd_id: fd_id,
-      principal_returned: fd.fd_balance,
-      account_id: accountId
+      message: closure.closure_type === 'premature'
+        ? 'Fixed deposit closed before maturity. Payout returned to savings account.'
+        : 'Fixed deposit deactivated successfully. Principal amount returned to savings account.',
+      fd_id: fd.fd_id,
+      principal_returned: closure.payout_amount,
+      account_id: fd.account_id,
+      closure_status: 'completed',
+      breakdown: closure
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -1112,10 +2116,6 @@ exports.deactivateFixedDeposit = async (req, res) => {
 exports.deactivateAccount = async (req, res) => {
   const { account_id, reason } = req.body;
 
-  if (!account_id) {
-    return res.status(400).json({ status: 'error', message: 'Account ID is required' });
-  }
-
   const client = await pool.connect();
 
   try {
@@ -1133,22 +2133,29 @@ exports.deactivateAccount = async (req, res) => {
 
     const account = accountResult.rows[0];
 
-    if (account.fd_id) {
-      const fdResult = await client.query(
-        'SELECT * FROM fixeddeposit WHERE fd_id = $1 AND fd_status = $2',
-        [account.fd_id, 'Active']
-      );
-      
-      if (fdResult.rows.length > 0) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({
-          status: 'error',
-          message: 'Cannot deactivate account with active Fixed Deposit. Please deactivate the FD first.'
-        });
-      }
+    const activeFds = await getAccountDeposits(client, account.account_id, { status: 'Active' });
+    if (activeFds.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot deactivate account with ${activeFds.length} active Fixed Deposit(s) (${activeFds.map(fd => fd.fd_id).join(', ')}). Please deactivate them first.`
+      });
     }
 
-    let withdrawalAmount = parseFloat(account.balance);
+    const funds = await getAvailableBalance(client, account_id);
+    if (funds.held > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        status: 'error',
+        message: `Cannot deactivate account with LKR ${funds.held.toFixed(2)} on hold. Release the holds or decide the pending requests first.`
+      });
+    }
+
+    // Closing soon after opening may carry a fee, taken before the payout
+    const closureFee = await chargeEarlyClosureFee(client, { accountId: account_id, employeeId: req.user.id });
+
+    const balanceResult = await client.query('SELECT balance FROM account WHERE account_id = $1', [account_id]);
+    let withdrawalAmount = parseFloat(balanceResult.rows[0].balance);
     let withdrawalTransactionId = null;
 
     if (withdrawalAmount > 0) {
@@ -1181,7 +2188,8 @@ exports.deactivateAccount = async (req, res) => {
         : 'Account deactivated successfully. Account closed with zero balance.',
       account_id,
       withdrawal_amount: withdrawalAmount,
-      withdrawal_transaction_id: withdrawalTransactionId
+      withdrawal_transaction_id: withdrawalTransactionId,
+      early_closure_fee: closureFee
     };
 
     res.json(responseData);
@@ -1206,7 +2214,8 @@ exports.searchAccounts = async (req, res) => {
     const result = await client.query(`
       SELECT 
         a.account_id, a.balance, a.account_status, a.open_date, a.branch_id,
-        a.saving_plan_id, a.fd_id, sp.plan_type, sp.interest, sp.min_balance,
+        a.saving_plan_id, sp.plan_type, sp.interest, sp.min_balance,
+        (SELECT COUNT(*) FROM fixeddeposit f WHERE f.account_id = a.account_id AND f.fd_status = 'Active') AS active_fd_count,
         STRING_AGG(DISTINCT c.first_name || ' ' || c.last_name, ', ') as customer_names,
         COUNT(DISTINCT t.customer_id) as customer_count, b.name as branch_name
       FROM account a
@@ -1214,11 +2223,12 @@ exports.searchAccounts = async (req, res) => {
       JOIN customer c ON t.customer_id = c.customer_id
       JOIN savingplan sp ON a.saving_plan_id = sp.saving_plan_id
       JOIN branch b ON a.branch_id = b.branch_id
-      WHERE a.account_id ILIKE $1 OR c.first_name ILIKE $1 OR c.last_name ILIKE $1
+      WHERE (a.account_id ILIKE $1 OR c.first_name ILIKE $1 OR c.last_name ILIKE $1)
+        AND (a.branch_id = $2 OR $2 IS NULL)
       GROUP BY a.account_id, a.balance, a.account_status, a.open_date, a.branch_id, 
-               a.saving_plan_id, a.fd_id, sp.plan_type, sp.interest, sp.min_balance, b.name
+               a.saving_plan_id, sp.plan_type, sp.interest, sp.min_balance, b.name
       ORDER BY a.open_date DESC
-    `, [`%${searchTerm}%`]);
+    `, [`%${searchTerm}%`, scopeBranchId(req)]);
     
     res.json({ status: 'success', accounts: result.rows });
   } catch (error) {
@@ -1234,15 +2244,9 @@ exports.searchAccounts = async (req, res) => {
  * POST /api/agent/accounts/change-plan
  */
 exports.changeAccountPlan = async (req, res) => {
-  const { account_id, new_saving_plan_id, reason, new_nic } = req.body || {};
-
-  if (!account_id || !new_saving_plan_id || typeof reason !== 'string' || reason.trim().length === 0) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'account_id, new_saving_plan_id and non-empty reason are required'
-    });
-  }
+  const { account_id, new_saving_plan_id, reason, new_nic } = req.body;
 
+  // Body validated by validatePlanChange
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
@@ -1293,7 +2297,7 @@ exports.getAllAccounts = async (req, res) => {
         a.open_date,
         a.branch_id,
         a.saving_plan_id,
-        a.fd_id,
+        (SELECT COUNT(*) FROM fixeddeposit f WHERE f.account_id = a.account_id AND f.fd_status = 'Active') AS active_fd_count,
         sp.plan_type,
         sp.interest,
         sp.min_balance,
@@ -1306,11 +2310,12 @@ exports.getAllAccounts = async (req, res) => {
       JOIN branch b ON a.branch_id = b.branch_id
       JOIN takes t ON a.account_id = t.account_id
       JOIN customer c ON t.customer_id = c.customer_id
+      WHERE (a.branch_id = $1 OR $1 IS NULL)
       GROUP BY a.account_id, a.balance, a.account_status, a.open_date, 
-               a.branch_id, a.saving_plan_id, a.fd_id,
+               a.branch_id, a.saving_plan_id,
                sp.plan_type, sp.interest, sp.min_balance, b.name
       ORDER BY a.account_id DESC
-    `);
+    `, [scopeBranchId(req)]);
     
     res.json({
       status: 'success',
@@ -1352,7 +2357,7 @@ exports.getAccountsByCustomerNic = async (req, res) => {
         a.open_date,
         a.branch_id,
         a.saving_plan_id,
-        a.fd_id,
+        (SELECT COUNT(*) FROM fixeddeposit f WHERE f.account_id = a.account_id AND f.fd_status = 'Active') AS active_fd_count,
         sp.plan_type,
         sp.interest,
         sp.min_balance,
@@ -1369,11 +2374,12 @@ exports.getAccountsByCustomerNic = async (req, res) => {
       JOIN takes t2 ON a.account_id = t2.account_id
       JOIN customer c2 ON t2.customer_id = c2.customer_id
       WHERE c.nic = $1
+        AND (a.branch_id = $2 OR $2 IS NULL)
       GROUP BY a.account_id, a.balance, a.account_status, a.open_date, 
-               a.branch_id, a.saving_plan_id, a.fd_id,
+               a.branch_id, a.saving_plan_id,
                sp.plan_type, sp.interest, sp.min_balance, b.name
       ORDER BY a.account_id DESC
-    `, [nic]);
+    `, [nic, scopeBranchId(req)]);
 
     return res.json({ status: 'success', accounts: result.rows });
   } catch (error) {
@@ -1385,7 +2391,7 @@ exports.getAccountsByCustomerNic = async (req, res) => {
 };
 
 /**
- * Get accounts with FD information
+ * Get active accounts with FD information (an account may hold several FDs)
  * GET /api/agent/accounts-with-fd
  */
 exports.getAccountsWithFd = async (req, res) => {
@@ -1395,7 +2401,8 @@ exports.getAccountsWithFd = async (req, res) => {
       SELECT DISTINCT
         a.account_id,
         a.balance,
-        a.fd_id,
+        COALESCE(fds.active_fd_count, 0) AS active_fd_count,
+        COALESCE(fds.active_fd_total, 0) AS active_fd_total,
         sp.min_balance,
         sp.interest,
         sp.plan_type,
@@ -1405,10 +2412,18 @@ exports.getAccountsWithFd = async (req, res) => {
       JOIN savingplan sp ON a.saving_plan_id = sp.saving_plan_id
       JOIN takes t ON a.account_id = t.account_id
       JOIN customer c ON t.customer_id = c.customer_id
-      WHERE a.account_status = 'Active' AND a.fd_id IS NULL
-      GROUP BY a.account_id, a.balance, a.fd_id, sp.min_balance, sp.interest, sp.plan_type
+      LEFT JOIN (
+        SELECT account_id, COUNT(*) AS active_fd_count, SUM(fd_balance) AS active_fd_total
+        FROM fixeddeposit
+        WHERE fd_status = 'Active'
+        GROUP BY account_id
+      ) fds ON fds.account_id = a.account_id
+      WHERE a.account_status = 'Active'
+        AND (a.branch_id = $1 OR $1 IS NULL)
+      GROUP BY a.account_id, a.balance, fds.active_fd_count, fds.active_fd_total,
+               sp.min_balance, sp.interest, sp.plan_type
       ORDER BY a.account_id
-    `);
+    `, [scopeBranchId(req)]);
     
     res.json({
       status: 'success',
@@ -1447,7 +2462,7 @@ exports.getFixedDeposits = async (req, res) => {
         STRING_AGG(DISTINCT c.nic, ', ') as customer_nics
       FROM fixeddeposit fd
       JOIN fdplan fdp ON fd.fd_plan_id = fdp.fd_plan_id
-      JOIN account a ON fd.fd_id = a.fd_id
+      JOIN account a ON fd.account_id = a.account_id
       JOIN takes t ON a.account_id = t.account_id
       JOIN customer c ON t.customer_id = c.customer_id
       GROUP BY fd.fd_id, fd.fd_balance, fd.fd_status, fd.open_date, fd.maturity_date,
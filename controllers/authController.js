@@ -2,8 +2,101 @@
 // AUTH CONTROLLER - Authentication Business Logic
 // =============================================================================
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const {
+  signChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeEmployeeSessions,
+  findSessionByRefreshToken
+} = require('../services/tokens');
+const {
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableMfa
+} = require('../services/mfa');
+const {
+  checkLoginAllowed,
+  recordFailure,
+  recordSuccess,
+  recordLoginEvent
+} = require('../services/loginThrottle');
+const {
+  POLICY,
+  validatePasswordStrength,
+  isPasswordReused,
+  setPassword
+} = require('../services/passwordPolicy');
+
+/**
+ * Record a failed login step in history (and optionally against the throttle)
+ */
+const recordLoginFailure = async (client, req, { user, username, reason, countAttempt }) => {
+  if (countAttempt) {
+    await recordFailure(client, username, req.ip);
+  }
+  await recordLoginEvent(client, {
+    employeeId: user ? user.employee_id : null,
+    username,
+    success: false,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+/**
+ * Reply 429 for a locked or throttled username/IP
+ */
+const sendThrottled = (res, check) => {
+  res.set('Retry-After', String(check.retry_after));
+  return res.status(429).json({
+    status: 'error',
+    message: check.reason === 'locked'
+      ? `Too many failed login attempts. Account temporarily locked, try again in ${Math.ceil(check.retry_after / 60)} minute(s).`
+      : `Too many failed login attempts. Please wait ${check.retry_after} second(s) before trying again.`,
+    retry_after: check.retry_after
+  });
+};
+
+/**
+ * Start a session for a fully authenticated employee and send the token pair
+ */
+const sendSession = async (client, req, res, user) => {
+  const { token, refresh_token, expires_in } = await createSession(client, user, {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  await recordSuccess(client, user.username);
+  await recordLoginEvent(client, {
+    employeeId: user.employee_id,
+    username: user.username,
+    success: true,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  res.json({
+    status: 'success',
+    token,
+    refresh_token,
+    expires_in,
+    user: {
+      id: user.employee_id,
+      username: user.username,
+      first_name: user.first_name,
+      last_name: user.last_name,
+      role: user.role,
+      must_change_password: !!user.must_change_password
+    }
+  });
+};
 
 /**
  * Login user
@@ -14,21 +107,21 @@ exports.login = async (req, res) => {
 
   console.log('Login attempt:', username);
 
-  // Validation
-  if (!username || !password) {
-    return res.status(400).json({
-      status: 'error',
-      message: 'Username and password are required'
-    });
-  }
-
   const client = await pool.connect();
 
   try {
+    // Brute-force protection: per-username and per-IP delays / lockout
+    const throttle = await checkLoginAllowed(client, username, req.ip);
+    if (!throttle.allowed) {
+      await recordLoginFailure(client, req, { username, reason: throttle.reason });
+      return sendThrottled(res, throttle);
+    }
+
     const query = 'SELECT * FROM employee WHERE username = $1';
     const result = await client.query(query, [username]);
     
     if (result.rows.length === 0) {
+      await recordLoginFailure(client, req, { username, reason: 'unknown_user', countAttempt: true });
       return res.status(400).json({
         status: 'error',
         message: 'Invalid credentials'
@@ -39,6 +132,7 @@ exports.login = async (req, res) => {
     
     // Block login for inactive employees
     if (user.employee_status && user.employee_status !== 'Active') {
+      await recordLoginFailure(client, req, { user, username, reason: 'inactive' });
       return res.status(403).json({
         status: 'error',
         message: 'Account is inactive. Please contact an administrator.'
@@ -50,35 +144,42 @@ exports.login = async (req, res) => {
     
     if (!isMatch) {
       console.log('Password does not match');
+      await recordLoginFailure(client, req, { user, username, reason: 'bad_password', countAttempt: true });
       return res.status(400).json({
         status: 'error',
         message: 'Invalid credentials'
       });
     }
 
-    // Create token using required secret
-    const secret = process.env.JWT_SECRET;
-    if (!secret) {
+    // Tokens are signed with the required secret
+    if (!process.env.JWT_SECRET) {
       console.error('JWT_SECRET is not set in environment');
       return res.status(500).json({ status: 'error', message: 'Server configuration error' });
     }
-    const token = jwt.sign(
-      { id: user.employee_id, role: user.role },
-      secret,
-      { expiresIn: '1h' }
-    );
 
-    res.json({
-      status: 'success',
-      token,
-      user: {
-        id: user.employee_id,
-        username: user.username,
-        first_name: user.first_name,
-        last_name: user.last_name,
-        role: user.role
-      }
-    });
+    // Second step required when 2FA is enabled (or mandatory for the role)
+    const mfa = await getMfaStatus(client, user.employee_id, user.role);
+
+    if (mfa.enabled) {
+      return res.json({
+        status: 'success',
+        mfa_required: true,
+        ...signChallengeToken(user, 'mfa_verify'),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    if (mfa.required) {
+      return res.json({
+        status: 'success',
+        mfa_enrollment_required: true,
+        ...signChallengeToken(user, 'mfa_enroll'),
+        message: 'Two-factor authentication is required for your role. Complete enrollment to continue.'
+      });
+    }
+
+    // Start a session: short-lived access token + rotating refresh token
+    await sendSession(client, req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -90,6 +191,298 @@ exports.login = async (req, res) => {
   }
 };
 
+/**
+ * Complete login with a second factor
+ * POST /api/auth/login/verify
+ * Body: { challenge_token, code } or { challenge_token, recovery_code }
+ */
+exports.verifyLoginMfa = async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body;
+
+  const challenge = verifyChallengeToken(challenge_token, 'mfa_verify');
+  if (!challenge) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Login challenge is invalid or has expired. Please login again.'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query('SELECT * FROM employee WHERE employee_id = $1', [challenge.id]);
+    const user = result.rows[0];
+
+    if (!user || (user.employee_status && user.employee_status !== 'Active')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Account is inactive. Please contact an administrator.'
+      });
+    }
+
+    // Code guessing counts against the same username/IP throttle as passwords
+    const throttle = await checkLoginAllowed(client, user.username, req.ip);
+    if (!throttle.allowed) {
+      await recordLoginFailure(client, req, { user, username: user.username, reason: throttle.reason });
+      return sendThrottled(res, throttle);
+    }
+
+    await client.query('BEGIN');
+
+    // A challenge completes one login; a captured token cannot be replayed
+    if (!(await consumeChallengeToken(client, challenge))) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge has already been used. Please login again.'
+      });
+    }
+
+    const ok = await verifySecondFactor(client, challenge.id, { code, recovery_code });
+    if (!ok) {
+      await client.query('ROLLBACK');
+      await recordLoginFailure(client, req, {
+        user,
+        username: user.username,
+        reason: 'bad_mfa_code',
+        countAttempt: true
+      });
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await client.query('COMMIT');
+    await sendSession(client, req, res, user);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('2FA verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Start 2FA enrollment - returns provisioning URI and recovery codes
+ * POST /api/auth/2fa/enroll
+ * Auth: access token, or the enrollment challenge token returned by login
+ */
+exports.enrollMfa = async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT e.username, COALESCE(m.enabled, FALSE) AS enabled
+       FROM employee e
+       LEFT JOIN employee_mfa m ON e.employee_id = m.employee_id
+       WHERE e.employee_id = $1`,
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Employee not found' });
+    }
+
+    if (result.rows[0].enabled) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled. Disable it before enrolling again.'
+      });
+    }
+
+    const enrollment = await startEnrollment(client, req.user.id, result.rows[0].username);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Scan the provisioning URI with your authenticator app, then confirm with a code. Store the recovery codes safely; they are shown only once.',
+      ...enrollment
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('2FA enrollment error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a first code
+ * POST /api/auth/2fa/confirm
+ * Body: { code }
+ * When called with an enrollment challenge token, also completes the login.
+ */
+exports.confirmMfa = async (req, res) => {
+  const { code } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const ok = await confirmEnrollment(client, req.user.id, code);
+    if (!ok) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code or no pending enrollment'
+      });
+    }
+
+    await client.query('COMMIT');
+
+    if (req.user.mfa_enrollment) {
+      const result = await client.query('SELECT * FROM employee WHERE employee_id = $1', [req.user.id]);
+      const user = result.rows[0];
+      if (!user || (user.employee_status && user.employee_status !== 'Active')) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Account is inactive. Please contact an administrator.'
+        });
+      }
+      return await sendSession(client, req, res, user);
+    }
+
+    res.json({ status: 'success', message: 'Two-factor authentication enabled' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('2FA confirmation error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Disable 2FA for the current employee
+ * POST /api/auth/2fa/disable
+ * Body: { password, code }
+ */
+exports.disableMfa = async (req, res) => {
+  const { password, code } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT password, role FROM employee WHERE employee_id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Employee not found' });
+    }
+
+    const employee = result.rows[0];
+    const mfa = await getMfaStatus(client, req.user.id, employee.role);
+
+    if (mfa.required) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        status: 'error',
+        message: `Two-factor authentication is mandatory for the ${employee.role} role`
+      });
+    }
+
+    const passwordOk = await bcrypt.compare(password, employee.password);
+    const codeOk = passwordOk && await verifySecondFactor(client, req.user.id, { code });
+
+    if (!passwordOk || !codeOk) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: 'Invalid password or authentication code' });
+    }
+
+    await disableMfa(client, req.user.id);
+    await client.query('COMMIT');
+
+    res.json({ status: 'success', message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('2FA disable error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Change own password
+ * PUT /api/auth/password
+ * Body: { current_password, new_password }
+ * Revokes all existing sessions and returns a fresh token pair.
+ */
+exports.changePassword = async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('SELECT * FROM employee WHERE employee_id = $1 FOR UPDATE', [req.user.id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Employee not found' });
+    }
+
+    const user = result.rows[0];
+
+    const isMatch = await bcrypt.compare(current_password, user.password);
+    if (!isMatch) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: 'Current password is incorrect' });
+    }
+
+    const errors = validatePasswordStrength(new_password, { username: user.username });
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: errors.join('. '), errors });
+    }
+
+    if (await isPasswordReused(client, user.employee_id, new_password)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        status: 'error',
+        message: `New password must not match any of your last ${POLICY.history_count} passwords`
+      });
+    }
+
+    await setPassword(client, user.employee_id, new_password);
+    await revokeEmployeeSessions(client, user.employee_id, 'password_changed');
+
+    await client.query('COMMIT');
+
+    await sendSession(client, req, res, { ...user, must_change_password: false });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Password change error:', error);
+    res.status(500).json({ status: 'error', message: 'Database error' });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the password policy (for client-side hints)
+ * GET /api/auth/password-policy
+ */
+exports.getPasswordPolicy = (req, res) => {
+  res.json({
+    status: 'success',
+    policy: POLICY
+  });
+};
+
 /**
  * Register new user (placeholder - to be implemented if needed)
  * POST /api/auth/register
@@ -102,12 +495,95 @@ exports.register = async (req, res) => {
 };
 
 /**
- * Refresh token (placeholder - to be implemented if needed)
+ * Refresh token - exchange a refresh token for a new token pair
  * POST /api/auth/refresh
+ * Body: { refresh_token }
  */
 exports.refreshToken = async (req, res) => {
-  res.status(501).json({
-    status: 'error',
-    message: 'Token refresh not yet implemented'
-  });
+  const { refresh_token } = req.body;
+
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET is not set in environment');
+    return res.status(500).json({ status: 'error', message: 'Server configuration error' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await rotateRefreshToken(client, refresh_token);
+    // Commit even on failure so reuse detection's session revocation sticks
+    await client.query('COMMIT');
+
+    if (result.error === 'reused') {
+      console.warn('Refresh token reuse detected - session revoked');
+      return res.status(401).json({
+        status: 'error',
+        message: 'Refresh token has already been used. Session revoked, please login again.'
+      });
+    }
+
+    if (result.error === 'inactive') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Account is inactive. Please contact an administrator.'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token. Please login again.'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      token: result.token,
+      refresh_token: result.refresh_token,
+      expires_in: result.expires_in
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Logout - revoke the session (token family) of a refresh token
+ * POST /api/auth/logout
+ * Body: { refresh_token }
+ */
+exports.logout = async (req, res) => {
+  const { refresh_token } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    const sessionId = await findSessionByRefreshToken(client, refresh_token);
+
+    // Unknown tokens are treated as already logged out
+    if (sessionId) {
+      await revokeSession(client, sessionId, 'logout');
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
 };
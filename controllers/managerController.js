@@ -2,6 +2,37 @@
 // MANAGER CONTROLLER - Manager Business Logic
 // =============================================================================
 const pool = require('../config/database');
+const { managedBranchId, canAccessBranch } = require('../middleware/branchScope');
+const { findReversal, completeReversal, rejectReversal } = require('../services/reversals');
+const {
+  findApproval,
+  approveRequest,
+  rejectRequest,
+  expireStaleApprovals
+} = require('../services/approvals');
+const { checkPlanLimits } = require('../services/planLimits');
+const { checkTillForCash, recordCashMovement } = require('../services/tills');
+const { findCharge, waiveFee } = require('../services/fees');
+const {
+  getUpcomingMaturities,
+  findClosure,
+  findActiveDeposit,
+  completeClosure,
+  rejectClosure
+} = require('../services/fixedDeposits');
+const {
+  ACTIVE_HOLD_SQL,
+  getAvailableBalance,
+  placeManualHold,
+  findHold,
+  releaseManualHold
+} = require('../services/holds');
+const {
+  getBusinessDate,
+  buildDaySummary,
+  closeBusinessDay,
+  findEod
+} = require('../services/businessDate');
 
 /**
  * Search customers in manager's branch
@@ -19,20 +50,7 @@ exports.searchCustomers = async (req, res) => {
 
   const client = await pool.connect();
   try {
-    // Determine manager's branch
-    const managerResult = await client.query(
-      'SELECT branch_id FROM employee WHERE employee_id = $1',
-      [req.user.id]
-    );
-
-    if (managerResult.rows.length === 0) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Manager not found'
-      });
-    }
-
-    const branchId = managerResult.rows[0].branch_id;
+    const branchId = managedBranchId(req);
 
     // Search customers linked to accounts in this branch
     const q = `%${query}%`;
@@ -82,20 +100,7 @@ exports.searchCustomers = async (req, res) => {
 exports.getTeamAgents = async (req, res) => {
   const client = await pool.connect();
   try {
-    // Get manager's branch
-    const managerResult = await client.query(
-      'SELECT branch_id FROM employee WHERE employee_id = $1',
-      [req.user.id]
-    );
-
-    if (managerResult.rows.length === 0) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Manager not found'
-      });
-    }
-
-    const branchId = managerResult.rows[0].branch_id;
+    const branchId = managedBranchId(req);
 
     // Get agents in the same branch
     const agentsResult = await client.query(`
@@ -159,6 +164,26 @@ exports.getAgentTransactions = async (req, res) => {
   
   const client = await pool.connect();
   try {
+    // Agent must belong to the manager's branch
+    const agentResult = await client.query(
+      'SELECT branch_id FROM employee WHERE employee_id = $1',
+      [agentId]
+    );
+
+    if (agentResult.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Agent not found'
+      });
+    }
+
+    if (!canAccessBranch(req, agentResult.rows[0].branch_id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Agent does not belong to your branch'
+      });
+    }
+
     const transactionsResult = await client.query(`
       SELECT 
         transaction_id, transaction_type, amount, time, description, account_id, employee_id
@@ -192,30 +217,23 @@ exports.getBranchTransactions = async (req, res) => {
   
   const client = await pool.connect();
   try {
-    // Get manager's branch
-    const managerResult = await client.query(
-      'SELECT branch_id FROM employee WHERE employee_id = $1',
-      [req.user.id]
-    );
-
-    if (managerResult.rows.length === 0) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Manager not found'
-      });
-    }
-
-    const branchId = managerResult.rows[0].branch_id;
+    const branchId = managedBranchId(req);
 
     // Get transactions for the branch
     const transactionsResult = await client.query(`
       SELECT 
         t.transaction_id, t.transaction_type, t.amount, t.time, t.description,
         t.account_id, t.employee_id,
-        e.first_name || ' ' || e.last_name as employee_name
+        e.first_name || ' ' || e.last_name as employee_name,
+        ft.reference as transfer_reference,
+        CASE WHEN ft.debit_transaction_id = t.transaction_id THEN ft.to_account_id
+             WHEN ft.credit_transaction_id = t.transaction_id THEN ft.from_account_id
+        END as counterparty_account_id
       FROM transaction t
       JOIN employee e ON t.employee_id = e.employee_id
       JOIN account a ON t.account_id = a.account_id
+      LEFT JOIN fund_transfer ft
+        ON t.transaction_id IN (ft.debit_transaction_id, ft.credit_transaction_id)
       WHERE a.branch_id = $1 
       AND DATE(t.time) BETWEEN $2 AND $3
       ORDER BY t.time DESC
@@ -264,20 +282,7 @@ exports.getBranchTransactions = async (req, res) => {
 exports.getBranchAccounts = async (req, res) => {
   const client = await pool.connect();
   try {
-    // Get manager's branch
-    const managerResult = await client.query(
-      'SELECT branch_id FROM employee WHERE employee_id = $1',
-      [req.user.id]
-    );
-
-    if (managerResult.rows.length === 0) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Manager not found'
-      });
-    }
-
-    const branchId = managerResult.rows[0].branch_id;
+    const branchId = managedBranchId(req);
 
     // Get accounts with customer and saving plan details
     const accountsResult = await client.query(`
@@ -336,10 +341,7 @@ exports.getCustomersByNic = async (req, res) => {
 
   const client = await pool.connect();
   try {
-    // Manager's branch
-    const mgr = await client.query('SELECT branch_id FROM employee WHERE employee_id = $1', [req.user.id]);
-    if (mgr.rows.length === 0) return res.status(404).json({ status: 'error', message: 'Manager not found' });
-    const branchId = mgr.rows[0].branch_id;
+    const branchId = managedBranchId(req);
 
     // Exact NIC within this branch; include accounts count and IDs
     const result = await client.query(`
@@ -366,3 +368,998 @@ exports.getCustomersByNic = async (req, res) => {
     client.release();
   }
 };
+
+/**
+ * Get reversal requests for transactions in the manager's branch
+ * GET /api/manager/reversals?status=pending|completed|rejected (default pending)
+ */
+exports.getReversals = async (req, res) => {
+  const status = req.query.status || 'pending';
+
+  if (!['pending', 'completed', 'rejected'].includes(status)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid status. Use pending, completed or rejected' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const branchId = managedBranchId(req);
+
+    const result = await client.query(`
+      SELECT 
+        r.reversal_id, r.transaction_id, r.reason, r.status, r.requested_at,
+        r.decided_at, r.decision_note,
+        t.transaction_type, t.amount, t.time, t.description, t.account_id,
+        r.requested_by, req.first_name || ' ' || req.last_name AS requested_by_name,
+        r.decided_by, dec.first_name || ' ' || dec.last_name AS decided_by_name
+      FROM transaction_reversal r
+      JOIN transaction t ON r.transaction_id = t.transaction_id
+      JOIN account a ON t.account_id = a.account_id
+      JOIN employee req ON r.requested_by = req.employee_id
+      LEFT JOIN employee dec ON r.decided_by = dec.employee_id
+      WHERE a.branch_id = $1 AND r.status = $2
+      ORDER BY r.requested_at DESC
+      LIMIT 100
+    `, [branchId, status]);
+
+    res.json({
+      status: 'success',
+      reversals: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Load a pending reversal the manager may decide on
+ * Sends the error response and returns null when not allowed.
+ */
+const loadPendingReversal = async (client, req, res) => {
+  const reversal = await findReversal(client, req.params.id, { forUpdate: true });
+
+  if (!reversal) {
+    res.status(404).json({ status: 'error', message: 'Reversal request not found' });
+    return null;
+  }
+  if (!canAccessBranch(req, reversal.branch_id)) {
+    res.status(403).json({ status: 'error', message: 'Access denied. Reversal does not belong to your branch' });
+    return null;
+  }
+  if (reversal.status !== 'pending') {
+    res.status(409).json({ status: 'error', message: `Reversal request is already ${reversal.status}` });
+    return null;
+  }
+  if (String(reversal.requested_by) === String(req.user.id)) {
+    res.status(403).json({ status: 'error', message: 'You cannot decide on your own reversal request' });
+    return null;
+  }
+  return reversal;
+};
+
+/**
+ * Approve a pending reversal (posts the reversing entries)
+ * POST /api/manager/reversals/:id/approve
+ * Body: { note? }
+ */
+exports.approveReversal = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [req.user.id.toString()]);
+
+    const reversal = await loadPendingReversal(client, req, res);
+    if (!reversal) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const result = await completeReversal(client, reversal.reversal_id, req.user.id, req.body.note);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ status: 'error', message: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Reversal approved and posted',
+      ...result
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+
+    if (error.message.includes('Insufficient balance') ||
+        error.message.includes('Minimum balance required')) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reject a pending reversal
+ * POST /api/manager/reversals/:id/reject
+ * Body: { note? }
+ */
+exports.rejectReversal = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const reversal = await loadPendingReversal(client, req, res);
+    if (!reversal) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    await rejectReversal(client, reversal.reversal_id, req.user.id, req.body.note);
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Reversal rejected'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get the branch approval queue (high-value deposits/withdrawals)
+ * GET /api/manager/approvals?status=pending|approved|rejected|expired (default pending)
+ */
+exports.getApprovals = async (req, res) => {
+  const status = req.query.status || 'pending';
+
+  if (!['pending', 'approved', 'rejected', 'expired'].includes(status)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid status. Use pending, approved, rejected or expired' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const branchId = managedBranchId(req);
+
+    // Stale requests drop out of the pending queue
+    await expireStaleApprovals();
+
+    const result = await client.query(`
+      SELECT 
+        ap.approval_id, ap.account_id, ap.transaction_type, ap.amount, ap.description,
+        ap.status, ap.requested_at, ap.expires_at, ap.decided_at, ap.decision_note,
+        ap.transaction_id, ap.hold_id,
+        ap.requested_by, req.first_name || ' ' || req.last_name AS requested_by_name,
+        ap.decided_by, dec.first_name || ' ' || dec.last_name AS decided_by_name,
+        a.balance
+      FROM transaction_approval ap
+      JOIN account a ON ap.account_id = a.account_id
+      JOIN employee req ON ap.requested_by = req.employee_id
+      LEFT JOIN employee dec ON ap.decided_by = dec.employee_id
+      WHERE a.branch_id = $1 AND ap.status = $2
+      ORDER BY ap.requested_at ${status === 'pending' ? 'ASC' : 'DESC'}
+      LIMIT 100
+    `, [branchId, status]);
+
+    res.json({
+      status: 'success',
+      approvals: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Load a pending approval request the manager may decide on
+ * Sends the error response and returns null when not allowed.
+ */
+const loadPendingApproval = async (client, req, res) => {
+  const approval = await findApproval(client, req.params.id, { forUpdate: true });
+
+  if (!approval) {
+    res.status(404).json({ status: 'error', message: 'Approval request not found' });
+    return null;
+  }
+  if (!canAccessBranch(req, approval.branch_id)) {
+    res.status(403).json({ status: 'error', message: 'Access denied. Request does not belong to your branch' });
+    return null;
+  }
+  if (approval.status !== 'pending') {
+    res.status(409).json({ status: 'error', message: `Approval request is already ${approval.status}` });
+    return null;
+  }
+  // Not yet swept by the expiry job
+  if (approval.is_expired) {
+    res.status(409).json({ status: 'error', message: 'Approval request has expired' });
+    return null;
+  }
+  if (String(approval.requested_by) === String(req.user.id)) {
+    res.status(403).json({ status: 'error', message: 'You cannot decide on your own request' });
+    return null;
+  }
+  return approval;
+};
+
+/**
+ * Approve a pending transaction (posts it)
+ * POST /api/manager/approvals/:id/approve
+ * Body: { note? }
+ */
+exports.approveTransaction = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [req.user.id.toString()]);
+
+    const approval = await loadPendingApproval(client, req, res);
+    if (!approval) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    // Usage may have changed since the request was queued
+    const limitError = await checkPlanLimits(client, approval.account_id, approval.transaction_type, approval.amount, {
+      excludeApprovalId: approval.approval_id
+    });
+    if (limitError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: limitError });
+    }
+
+    // The requesting agent's till must still be open and, for a withdrawal, hold the cash
+    const tillError = await checkTillForCash(client, approval.requested_by, approval.transaction_type, approval.amount);
+    if (tillError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ status: 'error', message: tillError });
+    }
+
+    const result = await approveRequest(client, approval, req.user.id, req.body.note);
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ status: 'error', message: result.error });
+    }
+
+    // The requesting agent handles the cash once approved
+    await recordCashMovement(client, {
+      employeeId: approval.requested_by,
+      transactionId: result.transaction_id,
+      transactionType: approval.transaction_type,
+      amount: approval.amount
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Transaction approved and posted',
+      ...result
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+
+    if (error.message.includes('Insufficient balance') ||
+        error.message.includes('Minimum balance required')) {
+      return res.status(400).json({ status: 'error', message: error.message });
+    }
+
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reject a pending transaction (releases any hold)
+ * POST /api/manager/approvals/:id/reject
+ * Body: { note? }
+ */
+exports.rejectTransaction = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const approval = await loadPendingApproval(client, req, res);
+    if (!approval) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    await rejectRequest(client, approval, req.user.id, req.body.note);
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Transaction rejected'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Till overview for the branch: open tills with expected cash, and closed
+ * tills that did not balance
+ * GET /api/manager/tills?start=YYYY-MM-DD&end=YYYY-MM-DD (discrepancy range, default last 30 days)
+ */
+exports.getTills = async (req, res) => {
+  const { start, end } = req.query;
+
+  const client = await pool.connect();
+  try {
+    const branchId = managedBranchId(req);
+
+    const openResult = await client.query(`
+      SELECT 
+        s.till_session_id, s.employee_id, e.first_name || ' ' || e.last_name AS employee_name,
+        s.opening_float, s.opened_at,
+        COALESCE(SUM(m.amount) FILTER (WHERE m.direction = 'in'), 0) AS cash_in,
+        COALESCE(SUM(m.amount) FILTER (WHERE m.direction = 'out'), 0) AS cash_out,
+        s.opening_float
+          + COALESCE(SUM(m.amount) FILTER (WHERE m.direction = 'in'), 0)
+          - COALESCE(SUM(m.amount) FILTER (WHERE m.direction = 'out'), 0) AS expected_cash,
+        COUNT(m.movement_id) AS movement_count
+      FROM till_session s
+      JOIN employee e ON s.employee_id = e.employee_id
+      LEFT JOIN till_movement m ON s.till_session_id = m.till_session_id
+      WHERE s.branch_id = $1 AND s.status = 'open'
+      GROUP BY s.till_session_id, e.first_name, e.last_name
+      ORDER BY s.opened_at
+    `, [branchId]);
+
+    const discrepancyResult = await client.query(`
+      SELECT 
+        s.till_session_id, s.employee_id, e.first_name || ' ' || e.last_name AS employee_name,
+        s.opening_float, s.opened_at, s.closed_at,
+        s.expected_cash, s.declared_cash, s.variance, s.close_note
+      FROM till_session s
+      JOIN employee e ON s.employee_id = e.employee_id
+      WHERE s.branch_id = $1
+        AND s.status = 'closed'
+        AND s.variance <> 0
+        AND DATE(s.closed_at) BETWEEN COALESCE($2::date, CURRENT_DATE - 30) AND COALESCE($3::date, CURRENT_DATE)
+      ORDER BY s.closed_at DESC
+    `, [branchId, start || null, end || null]);
+
+    const totalVariance = discrepancyResult.rows.reduce((sum, row) => sum + parseFloat(row.variance), 0);
+
+    res.json({
+      status: 'success',
+      open_tills: openResult.rows,
+      discrepancies: discrepancyResult.rows,
+      summary: {
+        open_count: openResult.rows.length,
+        discrepancy_count: discrepancyResult.rows.length,
+        total_variance: totalVariance
+      }
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Current business date of the branch and its recent end-of-day closes
+ * GET /api/manager/eod
+ */
+exports.getEodStatus = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const branchId = managedBranchId(req);
+
+    const current = await getBusinessDate(client, branchId);
+
+    const openTills = await client.query(
+      `SELECT COUNT(*) AS count FROM till_session WHERE branch_id = $1 AND status = 'open'`,
+      [branchId]
+    );
+
+    const closes = await client.query(`
+      SELECT 
+        e.eod_id, to_char(e.business_date, 'YYYY-MM-DD') AS business_date,
+        to_char(e.next_business_date, 'YYYY-MM-DD') AS next_business_date,
+        e.summary->'closing_balance' AS closing_balance,
+        e.summary->'transaction_count' AS transaction_count,
+        e.closed_by, emp.first_name || ' ' || emp.last_name AS closed_by_name, e.closed_at
+      FROM branch_eod e
+      JOIN employee emp ON e.closed_by = emp.employee_id
+      WHERE e.branch_id = $1
+      ORDER BY e.business_date DESC
+      LIMIT 30
+    `, [branchId]);
+
+    res.json({
+      status: 'success',
+      branch_id: parseInt(branchId, 10),
+      business_date: current.business_date,
+      open_tills: parseInt(openTills.rows[0].count, 10),
+      recent_closes: closes.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * End-of-day summary of a business date
+ * The current (open) business date returns a provisional summary.
+ * GET /api/manager/eod/:date
+ */
+exports.getEodSummary = async (req, res) => {
+  const { date } = req.params;
+
+  const client = await pool.connect();
+  try {
+    const branchId = managedBranchId(req);
+
+    const eod = await findEod(client, branchId, date);
+    if (eod) {
+      return res.json({ status: 'success', day_status: 'closed', eod });
+    }
+
+    const current = await getBusinessDate(client, branchId);
+    if (current.business_date !== date) {
+      return res.status(404).json({
+        status: 'error',
+        message: `No end-of-day record for ${date}. Current business date is ${current.business_date}`
+      });
+    }
+
+    const summary = await buildDaySummary(client, branchId, date);
+
+    res.json({
+      status: 'success',
+      day_status: 'open',
+      eod: { branch_id: parseInt(branchId, 10), business_date: date, summary }
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Close the branch business day and roll to the next business date
+ * POST /api/manager/eod/close
+ * Body: { business_date } - the day being closed (must be the current business date)
+ */
+exports.closeEod = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [req.user.id.toString()]);
+
+    const branchId = managedBranchId(req);
+
+    const result = await closeBusinessDay(client, {
+      branchId,
+      businessDate: req.body.business_date,
+      employeeId: req.user.id
+    });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ status: 'error', message: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      status: 'success',
+      message: `Business date ${result.business_date} closed. Current business date is ${result.next_business_date}`,
+      eod: result
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get fees charged to accounts in the manager's branch
+ * GET /api/manager/fees?status=charged|waived&account_id= (default: charged, last 100)
+ */
+exports.getFees = async (req, res) => {
+  const status = req.query.status || 'charged';
+
+  if (!['charged', 'waived'].includes(status)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid status. Use charged or waived' });
+  }
+  if (req.query.account_id && !/^\d+$/.test(req.query.account_id)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid account ID' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const branchId = managedBranchId(req);
+
+    const result = await client.query(`
+      SELECT 
+        fc.charge_id, fc.account_id, fc.event_type, fc.amount, fc.period, fc.status,
+        fc.transaction_id, fc.source_transaction_id, fc.charged_at,
+        fc.waived_by, w.first_name || ' ' || w.last_name AS waived_by_name,
+        fc.waived_at, fc.waive_reason, fc.waiver_transaction_id
+      FROM fee_charge fc
+      JOIN account a ON fc.account_id = a.account_id
+      LEFT JOIN employee w ON fc.waived_by = w.employee_id
+      WHERE a.branch_id = $1 AND fc.status = $2
+        AND ($3::int IS NULL OR fc.account_id = $3)
+      ORDER BY fc.charged_at DESC
+      LIMIT 100
+    `, [branchId, status, req.query.account_id || null]);
+
+    res.json({
+      status: 'success',
+      fees: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Waive a fee (refunds it to the account)
+ * POST /api/manager/fees/:id/waive
+ * Body: { reason }
+ */
+exports.waiveFee = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [req.user.id.toString()]);
+
+    const charge = await findCharge(client, req.params.id, { forUpdate: true });
+
+    if (!charge) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Fee charge not found' });
+    }
+    if (!canAccessBranch(req, charge.branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ status: 'error', message: 'Access denied. Fee does not belong to your branch' });
+    }
+
+    const result = await waiveFee(client, charge, { employeeId: req.user.id, reason: req.body.reason });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ status: 'error', message: result.error });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Fee waived and refunded',
+      ...result
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get holds on accounts in the manager's branch
+ * GET /api/manager/holds?status=active|released|consumed|expired&account_id= (default: active, last 100)
+ * An active hold past its expiry is listed as expired.
+ */
+exports.getHolds = async (req, res) => {
+  const status = req.query.status || 'active';
+
+  if (!['active', 'released', 'consumed', 'expired'].includes(status)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid status. Use active, released, consumed or expired' });
+  }
+  if (req.query.account_id && !/^\d+$/.test(req.query.account_id)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid account ID' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const branchId = managedBranchId(req);
+
+    const result = await client.query(`
+      SELECT * FROM (
+        SELECT 
+          h.hold_id, h.account_id, h.amount, h.source AS hold_type, h.reason,
+          CASE WHEN ${ACTIVE_HOLD_SQL} THEN 'active'
+               WHEN h.status = 'active' THEN 'expired'
+               ELSE h.status END AS status,
+          h.expires_at, h.created_by, c.first_name || ' ' || c.last_name AS created_by_name, h.created_at,
+          h.released_at, h.released_by, h.release_note
+        FROM account_hold h
+        JOIN account a ON h.account_id = a.account_id
+        LEFT JOIN employee c ON h.created_by = c.employee_id
+        WHERE a.branch_id = $1
+          AND ($3::int IS NULL OR h.account_id = $3)
+      ) holds
+      WHERE status = $2
+      ORDER BY created_at DESC
+      LIMIT 100
+    `, [branchId, status, req.query.account_id || null]);
+
+    res.json({
+      status: 'success',
+      holds: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Place a hold / lien on an account
+ * POST /api/manager/holds
+ * Body: { account_id, amount, hold_type: court_order|collateral|other, reason, expires_at? }
+ */
+exports.placeHold = async (req, res) => {
+  const { account_id, amount, hold_type, reason, expires_at } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [req.user.id.toString()]);
+
+    const accountResult = await client.query('SELECT branch_id FROM account WHERE account_id = $1', [account_id]);
+    if (accountResult.rows.length > 0 && !canAccessBranch(req, accountResult.rows[0].branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ status: 'error', message: 'Access denied. Account does not belong to your branch' });
+    }
+
+    const hold = await placeManualHold(client, {
+      accountId: account_id,
+      amount,
+      source: hold_type,
+      reason,
+      expiresAt: expires_at,
+      employeeId: req.user.id
+    });
+
+    if (hold.error) {
+      await client.query('ROLLBACK');
+      return res.status(hold.status).json({ status: 'error', message: hold.error });
+    }
+
+    const funds = await getAvailableBalance(client, account_id);
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Hold placed',
+      hold,
+      available_balance: funds.available
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Release a hold placed by a manager
+ * POST /api/manager/holds/:id/release
+ * Body: { note? }
+ */
+exports.releaseHold = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [req.user.id.toString()]);
+
+    const hold = await findHold(client, req.params.id, { forUpdate: true });
+
+    if (!hold) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ status: 'error', message: 'Hold not found' });
+    }
+    if (!canAccessBranch(req, hold.branch_id)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ status: 'error', message: 'Access denied. Hold does not belong to your branch' });
+    }
+
+    const result = await releaseManualHold(client, hold, { employeeId: req.user.id, note: req.body.note });
+
+    if (result.error) {
+      await client.query('ROLLBACK');
+      return res.status(result.status).json({ status: 'error', message: result.error });
+    }
+
+    const funds = await getAvailableBalance(client, hold.account_id);
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Hold released',
+      hold: result,
+      available_balance: funds.available
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Fixed deposits of the branch maturing soon, with renew/payout action
+ * GET /api/manager/fixed-deposits/maturities?days=30
+ */
+exports.getFdMaturities = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const report = await getUpcomingMaturities(client, {
+      branchId: managedBranchId(req),
+      days: parseInt(req.query.days || '30', 10)
+    });
+
+    res.json({ status: 'success', ...report });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get premature FD closure requests for the manager's branch
+ * GET /api/manager/fd-closures?status=pending|completed|rejected (default pending)
+ */
+exports.getFdClosures = async (req, res) => {
+  const status = req.query.status || 'pending';
+
+  if (!['pending', 'completed', 'rejected'].includes(status)) {
+    return res.status(400).json({ status: 'error', message: 'Invalid status. Use pending, completed or rejected' });
+  }
+
+  const client = await pool.connect();
+  try {
+    const branchId = managedBranchId(req);
+
+    const result = await client.query(`
+      SELECT 
+        c.closure_id, c.fd_id, c.account_id, c.closure_type, c.status, c.reason,
+        c.principal, c.contract_rate, c.applied_rate, c.days_held, c.interest_paid,
+        c.interest_entitled, c.interest_clawback, c.interest_topup, c.penalty_amount,
+        c.payout_amount, c.requested_at, c.decided_at, c.decision_note,
+        c.requested_by, req.first_name || ' ' || req.last_name AS requested_by_name,
+        c.decided_by, dec.first_name || ' ' || dec.last_name AS decided_by_name
+      FROM fd_closure c
+      JOIN account a ON c.account_id = a.account_id
+      JOIN employee req ON c.requested_by = req.employee_id
+      LEFT JOIN employee dec ON c.decided_by = dec.employee_id
+      WHERE a.branch_id = $1 AND c.status = $2
+      ORDER BY c.requested_at DESC
+      LIMIT 100
+    `, [branchId, status]);
+
+    res.json({
+      status: 'success',
+      closures: result.rows
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Load a pending FD closure the manager may decide on
+ * Sends the error response and returns null when not allowed.
+ */
+const loadPendingClosure = async (client, req, res) => {
+  const closure = await findClosure(client, req.params.id, { forUpdate: true });
+
+  if (!closure) {
+    res.status(404).json({ status: 'error', message: 'Closure request not found' });
+    return null;
+  }
+  if (!canAccessBranch(req, closure.branch_id)) {
+    res.status(403).json({ status: 'error', message: 'Access denied. Closure request does not belong to your branch' });
+    return null;
+  }
+  if (closure.status !== 'pending') {
+    res.status(409).json({ status: 'error', message: `Closure request is already ${closure.status}` });
+    return null;
+  }
+  if (String(closure.requested_by) === String(req.user.id)) {
+    res.status(403).json({ status: 'error', message: 'You cannot decide on your own closure request' });
+    return null;
+  }
+  return closure;
+};
+
+/**
+ * Approve a premature FD closure (recomputes the breakdown and pays out)
+ * POST /api/manager/fd-closures/:id/approve
+ * Body: { note? }
+ */
+exports.approveFdClosure = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Set actor id for downstream DB audit triggers
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [req.user.id.toString()]);
+
+    const closure = await loadPendingClosure(client, req, res);
+    if (!closure) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    const fd = await findActiveDeposit(client, closure.fd_id);
+    if (!fd) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ status: 'error', message: 'Fixed deposit is no longer active' });
+    }
+
+    const result = await completeClosure(client, fd, {
+      employeeId: closure.requested_by,
+      reason: closure.reason,
+      closureId: closure.closure_id,
+      deciderId: req.user.id,
+      note: req.body.note
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Closure approved. Payout returned to savings account.',
+      fd_id: fd.fd_id,
+      account_id: fd.account_id,
+      breakdown: result
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reject a premature FD closure (the FD stays active)
+ * POST /api/manager/fd-closures/:id/reject
+ * Body: { note? }
+ */
+exports.rejectFdClosure = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const closure = await loadPendingClosure(client, req, res);
+    if (!closure) {
+      await client.query('ROLLBACK');
+      return;
+    }
+
+    await rejectClosure(client, closure.closure_id, req.user.id, req.body.note);
+
+    await client.query('COMMIT');
+
+    res.json({
+      status: 'success',
+      message: 'Closure request rejected'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
@@ -2,6 +2,8 @@
 // PUBLIC CONTROLLER - Public API Endpoints (No authentication required)
 // =============================================================================
 const pool = require('../config/database');
+const { verifyReceiptCode } = require('../services/receipts');
+const { projectFixedDeposit, projectSavings } = require('../services/calculators');
 
 /**
  * Get all saving plans
@@ -87,6 +89,128 @@ exports.getFDPlans = async (req, res) => {
   }
 };
 
+/**
+ * Verify a transaction receipt by its verification code
+ * GET /api/public/receipts/verify/:code
+ */
+exports.verifyReceipt = async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const receipt = await verifyReceiptCode(client, req.params.code);
+
+    if (!receipt) {
+      return res.status(404).json({
+        status: 'error',
+        valid: false,
+        message: 'No receipt matches this verification code'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      valid: true,
+      receipt
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Projected interest on a fixed deposit opened today
+ * GET /api/public/calculators/fd?plan_id=&principal=
+ */
+exports.calculateFixedDeposit = async (req, res) => {
+  const principal = parseFloat(req.query.principal);
+
+  const client = await pool.connect();
+  try {
+    // Maturity as the fd_autocalc_maturity_date trigger sets it
+    const result = await client.query(`
+      SELECT fd_plan_id, fd_options, interest,
+             to_char(CURRENT_DATE, 'YYYY-MM-DD') AS open_date,
+             to_char((CURRENT_DATE + fd_options::text::interval)::date, 'YYYY-MM-DD') AS maturity_date
+      FROM fdplan
+      WHERE fd_plan_id = $1
+    `, [req.query.plan_id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'FD plan not found' });
+    }
+
+    const plan = result.rows[0];
+    const projection = projectFixedDeposit({
+      principal,
+      rate: parseFloat(plan.interest),
+      startDate: plan.open_date,
+      maturityDate: plan.maturity_date
+    });
+
+    res.json({
+      status: 'success',
+      plan: { fd_plan_id: plan.fd_plan_id, fd_options: plan.fd_options, interest: plan.interest },
+      principal,
+      open_date: plan.open_date,
+      maturity_date: plan.maturity_date,
+      ...projection
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Projected balance of a savings account with a fixed monthly deposit
+ * GET /api/public/calculators/savings?plan_id=&monthly_deposit=&months=
+ */
+exports.calculateSavings = async (req, res) => {
+  const monthlyDeposit = parseFloat(req.query.monthly_deposit);
+  const months = parseInt(req.query.months, 10);
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT saving_plan_id, plan_type, interest, min_balance FROM savingplan WHERE saving_plan_id = $1',
+      [req.query.plan_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ status: 'error', message: 'Saving plan not found' });
+    }
+
+    const plan = result.rows[0];
+    const projection = projectSavings({ monthlyDeposit, rate: parseFloat(plan.interest), months });
+
+    res.json({
+      status: 'success',
+      plan,
+      monthly_deposit: monthlyDeposit,
+      months,
+      ...projection
+    });
+  } catch (error) {
+    console.error('Database error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Database error'
+    });
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * Get bank information
  * GET /api/public/about
@@ -24,6 +24,9 @@ const { verifyToken } = require('./middleware/auth');
 // SCHEDULER IMPORTS
 // =============================================================================
 const { startInterestSchedulers } = require('./schedulers/interestScheduler');
+const { startStandingInstructionScheduler } = require('./schedulers/standingInstructionScheduler');
+const { startApprovalScheduler } = require('./schedulers/approvalScheduler');
+const { startFeeScheduler } = require('./schedulers/feeScheduler');
 
 // =============================================================================
 // LOGGING UTILITY (Optional - for cleaner console output)
@@ -38,6 +41,13 @@ const { startInterestSchedulers } = require('./schedulers/interestScheduler');
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy set TRUST_PROXY (e.g. 1) so req.ip is the real client IP
+// (used by login brute-force protection and login history)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // =============================================================================
 // MIDDLEWARE SETUP
 // =============================================================================
@@ -60,7 +70,8 @@ app.use('/api/public', publicRoutes);
 
 // Convenience alias for login (redirect /api/login to /api/auth/login)
 const authController = require('./controllers/authController');
-app.post('/api/login', authController.login);
+const { validateLogin } = require('./middleware/validation');
+app.post('/api/login', validateLogin, authController.login);
 
 // Protected routes (JWT authentication required)
 app.use('/api/agent', verifyToken, agentRoutes);
@@ -136,6 +147,24 @@ app.listen(PORT, async () => {
     console.error('   Interest processing will not run automatically.');
     console.error('   Check that node-cron is installed: npm install node-cron');
   }
+
+  try {
+    startStandingInstructionScheduler();
+  } catch (error) {
+    console.error('❌ Failed to initialize standing instruction scheduler:', error.message);
+  }
+
+  try {
+    startApprovalScheduler();
+  } catch (error) {
+    console.error('❌ Failed to initialize approval scheduler:', error.message);
+  }
+
+  try {
+    startFeeScheduler();
+  } catch (error) {
+    console.error('❌ Failed to initialize fee scheduler:', error.message);
+  }
   
   console.log('='.repeat(60));
 });
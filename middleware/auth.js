@@ -2,12 +2,17 @@
 // JWT AUTHENTICATION MIDDLEWARE
 // =============================================================================
 const jwt = require('jsonwebtoken');
+const { isSessionActive, verifyChallengeToken } = require('../services/tokens');
+const { roleHasPermission } = require('../services/permissions');
 
 /**
- * Verify JWT token from Authorization header
+ * Build a JWT verification middleware
+ * Rejects tokens whose session has been revoked (logout, refresh-token reuse)
+ * and, unless allowPasswordChangeRequired is set, tokens of employees who must
+ * change a temporary password first.
  * Attaches decoded user info to req.user
  */
-const verifyToken = (req, res, next) => {
+const authenticate = ({ allowPasswordChangeRequired = false } = {}) => async (req, res, next) => {
   try {
     // Extract token from Authorization header (format: "Bearer <token>")
     const authHeader = req.headers.authorization;
@@ -35,15 +40,43 @@ const verifyToken = (req, res, next) => {
       return res.status(500).json({ status: 'error', message: 'Server configuration error' });
     }
     const decoded = jwt.verify(token, secret);
+
+    // Access tokens are bound to a server-side session
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+
+    if (decoded.pwc && !allowPasswordChangeRequired) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Password change required. Please set a new password.',
+        must_change_password: true
+      });
+    }
     
     // Attach user info to request object
     req.user = {
       id: decoded.id,
-      role: decoded.role
+      role: decoded.role,
+      session_id: decoded.sid,
+      must_change_password: !!decoded.pwc
     };
 
     next();
   } catch (error) {
+    // Only a bad token is the client's fault; a failed session lookup (e.g.
+    // database outage) must not log the client out
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      console.error('Authentication error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Database error'
+      });
+    }
+
     console.error('JWT verification failed:', error.message);
     
     if (error.name === 'TokenExpiredError') {
@@ -53,20 +86,45 @@ const verifyToken = (req, res, next) => {
       });
     }
     
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid token'
-      });
-    }
-
     return res.status(401).json({
       status: 'error',
-      message: 'Authentication failed'
+      message: 'Invalid token'
     });
   }
 };
 
+/**
+ * Verify JWT token from Authorization header
+ */
+const verifyToken = authenticate();
+
+/**
+ * Verify JWT token, also accepting employees who still must change their password
+ * Only for the password change endpoint.
+ */
+const verifyTokenForPasswordChange = authenticate({ allowPasswordChangeRequired: true });
+
+/**
+ * Like verifyToken, but also accepts the 2FA enrollment challenge token issued
+ * by login when 2FA is mandatory for the role and not yet set up.
+ * Sets req.user.mfa_enrollment = true in that case.
+ */
+const verifyTokenOrEnrollment = (req, res, next) => {
+  const token = (req.headers.authorization || '').split(' ')[1];
+  const challenge = token ? verifyChallengeToken(token, 'mfa_enroll') : null;
+
+  if (challenge) {
+    req.user = {
+      id: challenge.id,
+      role: challenge.role,
+      mfa_enrollment: true
+    };
+    return next();
+  }
+
+  return verifyToken(req, res, next);
+};
+
 /**
  * Middleware to check if user has specific role(s)
  * Usage: authorize('Admin', 'Manager')
@@ -91,7 +149,41 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+/**
+ * Middleware to check the caller's role grants every listed permission
+ * Usage: requirePermission('accounts.close')
+ * Role -> permission sets are stored in the DB (see /api/admin/roles)
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      for (const permission of permissions) {
+        if (!(await roleHasPermission(req.user.role, permission))) {
+          return res.status(403).json({
+            status: 'error',
+            message: `Access denied. Missing permission: ${permission}`
+          });
+        }
+      }
+      next();
+    } catch (error) {
+      console.error('Permission check failed:', error.message);
+      return res.status(500).json({ status: 'error', message: 'Database error' });
+    }
+  };
+};
+
 module.exports = {
   verifyToken,
-  authorize
+  verifyTokenForPasswordChange,
+  verifyTokenOrEnrollment,
+  authorize,
+  requirePermission
 };
@@ -0,0 +1,70 @@
+// =============================================================================
+// BRANCH SCOPE MIDDLEWARE
+// =============================================================================
+// Loads the caller's branch once per request into req.user.branch_id so
+// handlers do not re-query the employee table. Non-admin callers are limited
+// to their own branch; Admin may work across branches.
+// =============================================================================
+const pool = require('../config/database');
+const { SUPERUSER_ROLE } = require('../services/permissions');
+
+/**
+ * Attach the caller's branch to req.user.branch_id
+ */
+const loadBranchScope = async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT branch_id FROM employee WHERE employee_id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Employee not found'
+      });
+    }
+
+    req.user.branch_id = result.rows[0].branch_id;
+    next();
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+};
+
+/**
+ * Whether the caller is limited to their own branch
+ */
+const isBranchRestricted = (req) => req.user.role !== SUPERUSER_ROLE;
+
+/**
+ * Branch filter for lookups: the caller's branch, or null (all branches) for Admin
+ */
+const scopeBranchId = (req) => (isBranchRestricted(req) ? req.user.branch_id : null);
+
+/**
+ * Branch a branch dashboard works on: the caller's branch
+ * Admin may pick another branch with ?branch_id=. The caller's branch comes
+ * from loadBranchScope, which must run earlier on the route.
+ */
+const managedBranchId = (req) => {
+  if (!isBranchRestricted(req) && req.query.branch_id) {
+    return req.query.branch_id;
+  }
+  return req.user.branch_id;
+};
+
+/**
+ * Check a resource's branch against the caller's scope
+ */
+const canAccessBranch = (req, branchId) =>
+  !isBranchRestricted(req) || String(branchId) === String(req.user.branch_id);
+
+module.exports = {
+  loadBranchScope,
+  isBranchRestricted,
+  scopeBranchId,
+  managedBranchId,
+  canAccessBranch
+};
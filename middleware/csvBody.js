@@ -0,0 +1,51 @@
+// =============================================================================
+// CSV BODY MIDDLEWARE - Accept text/csv uploads on JSON endpoints
+// =============================================================================
+// A `Content-Type: text/csv` body is parsed into an array of objects keyed by
+// the header row and placed in req.body[field], so the same validators and
+// handler serve CSV and JSON uploads. req.uploadFormat is 'csv' or 'json'.
+// Numeric-looking cells become numbers (JSON uploads must send numbers).
+// =============================================================================
+const express = require('express');
+const { parseCsv } = require('../utils/csv');
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const readCsvText = express.text({ type: 'text/csv', limit: process.env.CSV_UPLOAD_LIMIT || '1mb' });
+
+const toValue = (cell) => {
+  const value = cell.trim();
+  if (value === '') return null;
+  return NUMBER_PATTERN.test(value) ? Number(value) : value;
+};
+
+/**
+ * Parse a text/csv body into req.body[field]
+ */
+const csvBody = (field) => [
+  readCsvText,
+  (req, res, next) => {
+    if (!req.is('text/csv')) {
+      req.uploadFormat = 'json';
+      return next();
+    }
+
+    const rows = parseCsv(typeof req.body === 'string' ? req.body : '');
+    if (rows.length < 2) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'CSV must contain a header row and at least one data row'
+      });
+    }
+
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    req.body = {
+      [field]: rows.slice(1).map(cells =>
+        Object.fromEntries(headers.map((header, i) => [header, toValue(cells[i] || '')])))
+    };
+    req.uploadFormat = 'csv';
+    next();
+  }
+];
+
+module.exports = { csvBody };
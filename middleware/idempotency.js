@@ -0,0 +1,151 @@
+// =============================================================================
+// IDEMPOTENCY MIDDLEWARE - Idempotency-Key header support
+// =============================================================================
+// A client may send `Idempotency-Key: <unique value>` with a POST. The first
+// request with that key runs normally and its response is stored; identical
+// retries get the stored response replayed (with `Idempotent-Replayed: true`)
+// instead of running the handler again. Reusing a key with a different body,
+// or while its first request is still in progress, returns 409. Requests
+// without the header are not affected.
+// =============================================================================
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// A key, completed or still in progress, can only be claimed again once expired
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with object keys sorted, so field order does not change the hash
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (method, path, body) =>
+  crypto.createHash('sha256').update(`${method} ${path} ${canonicalJson(body || {})}`).digest('hex');
+
+/**
+ * Store the response for a key, or release the key when the handler returned
+ * a server error (or a body that cannot be replayed) so the client can retry it
+ */
+const finishKey = async (employeeId, key, statusCode, body) => {
+  try {
+    if (statusCode >= 500 || body === undefined) {
+      await pool.query(
+        'DELETE FROM idempotency_key WHERE employee_id = $1 AND idempotency_key = $2',
+        [employeeId, key]
+      );
+      return;
+    }
+    await pool.query(
+      `UPDATE idempotency_key
+       SET status = 'completed', response_status = $3, response_body = $4, completed_at = NOW()
+       WHERE employee_id = $1 AND idempotency_key = $2`,
+      [employeeId, key, statusCode, JSON.stringify(body)]
+    );
+  } catch (error) {
+    console.error('Idempotency key update error:', error);
+  }
+};
+
+/**
+ * Honour the Idempotency-Key header on a route
+ * Must run after authentication (keys are scoped per employee)
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (key.trim().length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const employeeId = req.user.id;
+  const path = `${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req.method, path, req.body);
+
+  try {
+    // Claim the key; only expired keys may be claimed again. A key still in
+    // progress (even a slow or crashed request) answers 409 until it expires.
+    const claim = await pool.query(
+      `INSERT INTO idempotency_key (employee_id, idempotency_key, request_method, request_path, request_hash)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (employee_id, idempotency_key) DO UPDATE
+         SET request_method = EXCLUDED.request_method,
+             request_path = EXCLUDED.request_path,
+             request_hash = EXCLUDED.request_hash,
+             status = 'in_progress',
+             response_status = NULL,
+             response_body = NULL,
+             created_at = NOW(),
+             completed_at = NULL
+         WHERE idempotency_key.created_at < NOW() - ($6 || ' hours')::interval
+       RETURNING idempotency_key`,
+      [employeeId, key, req.method, path, requestHash, String(IDEMPOTENCY_KEY_TTL_HOURS)]
+    );
+
+    if (claim.rows.length === 0) {
+      const existing = await pool.query(
+        `SELECT request_hash, status, response_status, response_body
+         FROM idempotency_key
+         WHERE employee_id = $1 AND idempotency_key = $2`,
+        [employeeId, key]
+      );
+      const stored = existing.rows[0];
+
+      if (stored && stored.request_hash !== requestHash) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Idempotency-Key has already been used for a different request'
+        });
+      }
+
+      if (!stored || stored.status !== 'completed') {
+        return res.status(409).json({
+          status: 'error',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+  } catch (error) {
+    console.error('Database error:', error);
+    return res.status(500).json({ status: 'error', message: 'Database error' });
+  }
+
+  // Store the handler's response as soon as it produces one. A client that
+  // disconnects first does not release the key: the handler still commits,
+  // so the key stays in_progress until its result is stored and the retry
+  // gets that result replayed.
+  let stored = false;
+  const finish = (statusCode, body) => {
+    if (stored) return;
+    stored = true;
+    finishKey(employeeId, key, statusCode, body);
+  };
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    finish(res.statusCode, body);
+    return json(body);
+  };
+  // Responses sent without res.json cannot be replayed, so their key is released
+  res.on('finish', () => finish(res.statusCode, undefined));
+
+  next();
+};
+
+module.exports = {
+  idempotent
+};
@@ -13,7 +13,7 @@ const validate = (req, res, next) => {
       status: 'error',
       message: 'Validation failed',
       errors: errors.array().map(err => ({
-        field: err.path,
+        field: err.param,
         message: err.msg
       }))
     });
@@ -21,10 +21,62 @@ const validate = (req, res, next) => {
   next();
 };
 
+/**
+ * Reject request bodies carrying fields the endpoint does not accept
+ * Responds with the same 400 body as `validate`, one error per unknown field
+ */
+const allowOnly = (allowed) => (req, res, next) => {
+  const unknown = Object.keys(req.body || {}).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: unknown.map(field => ({
+        field,
+        message: 'Unknown field'
+      }))
+    });
+  }
+  next();
+};
+
+// Money amounts must be JSON numbers, not numeric strings
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const NIC_PATTERN = /^([0-9]{12}|[0-9]{9}V)$/;
+const CONTACT_NO_PATTERN = /^0[0-9]{9}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Contact fields shared by customers, employees and branches
+ */
+const contactRules = () => [
+  body('contact_no_1')
+    .trim()
+    .notEmpty().withMessage('Primary contact number is required')
+    .matches(CONTACT_NO_PATTERN).withMessage('Contact number must be 10 digits starting with 0'),
+  body('contact_no_2')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .matches(CONTACT_NO_PATTERN).withMessage('Contact number must be 10 digits starting with 0'),
+  body('address')
+    .trim()
+    .notEmpty().withMessage('Address is required')
+    .isLength({ min: 10 }).withMessage('Address must be at least 10 characters'),
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email format')
+    .normalizeEmail()
+];
+
+const CONTACT_FIELDS = ['contact_no_1', 'contact_no_2', 'address', 'email'];
+
 // =============================================================================
 // AUTH VALIDATION
 // =============================================================================
 exports.validateLogin = [
+  allowOnly(['username', 'password']),
   body('username')
     .trim()
     .notEmpty().withMessage('Username is required')
@@ -35,10 +87,70 @@ exports.validateLogin = [
   validate
 ];
 
+exports.validateLoginMfa = [
+  allowOnly(['challenge_token', 'code', 'recovery_code']),
+  body('challenge_token')
+    .isString().withMessage('Challenge token must be a string')
+    .notEmpty().withMessage('Challenge token is required'),
+  // Either a TOTP code or a recovery code
+  body('code')
+    .if((value, { req }) => !req.body.recovery_code)
+    .notEmpty().withMessage('A code or recovery code is required').bail()
+    .matches(/^[0-9]{6}$/).withMessage('Authentication code must be 6 digits'),
+  body('recovery_code')
+    .optional()
+    .isString().withMessage('Recovery code must be a string'),
+  validate
+];
+
+exports.validateRefreshToken = [
+  allowOnly(['refresh_token']),
+  body('refresh_token')
+    .isString().withMessage('Refresh token must be a string')
+    .notEmpty().withMessage('Refresh token is required'),
+  validate
+];
+
+exports.validateMfaEnrollment = [
+  allowOnly([]),
+  validate
+];
+
+exports.validateMfaConfirm = [
+  allowOnly(['code']),
+  body('code')
+    .notEmpty().withMessage('Authentication code is required')
+    .matches(/^[0-9]{6}$/).withMessage('Authentication code must be 6 digits'),
+  validate
+];
+
+exports.validateMfaDisable = [
+  allowOnly(['password', 'code']),
+  body('password')
+    .isString().withMessage('Password must be a string')
+    .notEmpty().withMessage('Password is required'),
+  body('code')
+    .notEmpty().withMessage('Authentication code is required')
+    .matches(/^[0-9]{6}$/).withMessage('Authentication code must be 6 digits'),
+  validate
+];
+
+// Strength rules are checked by services/passwordPolicy.js
+exports.validatePasswordChange = [
+  allowOnly(['current_password', 'new_password']),
+  body('current_password')
+    .isString().withMessage('Current password must be a string')
+    .notEmpty().withMessage('Current password is required'),
+  body('new_password')
+    .isString().withMessage('New password must be a string')
+    .notEmpty().withMessage('New password is required'),
+  validate
+];
+
 // =============================================================================
 // CUSTOMER VALIDATION
 // =============================================================================
-exports.validateCustomerRegistration = [
+const customerRules = () => [
   body('first_name')
     .trim()
     .notEmpty().withMessage('First name is required')
@@ -53,7 +165,7 @@ exports.validateCustomerRegistration = [
   body('nic')
     .trim()
     .notEmpty().withMessage('NIC/Birth Certificate number is required')
-    .matches(/^([0-9]{12}|[0-9]{9}V)$/).withMessage('Invalid NIC/Birth Certificate format (use 12 digits or 9 digits followed by V)'),
+    .matches(NIC_PATTERN).withMessage('Invalid NIC/Birth Certificate format (use 12 digits or 9 digits followed by V)'),
   body('gender')
     .notEmpty().withMessage('Gender is required')
     .isIn(['Male', 'Female', 'Other']).withMessage('Gender must be Male, Female, or Other'),
@@ -69,45 +181,28 @@ exports.validateCustomerRegistration = [
       }
       return true;
     }),
-  body('contact_no_1')
-    .trim()
-    .notEmpty().withMessage('Primary contact number is required')
-    .matches(/^0[0-9]{9}$/).withMessage('Contact number must be 10 digits starting with 0'),
-  body('contact_no_2')
-    .optional()
-    .trim()
-    .matches(/^0[0-9]{9}$/).withMessage('Contact number must be 10 digits starting with 0'),
-  body('address')
-    .trim()
-    .notEmpty().withMessage('Address is required')
-    .isLength({ min: 10 }).withMessage('Address must be at least 10 characters'),
-  body('email')
-    .trim()
-    .notEmpty().withMessage('Email is required')
-    .isEmail().withMessage('Invalid email format')
-    .normalizeEmail(),
+  ...contactRules()
+];
+
+const CUSTOMER_FIELDS = ['first_name', 'last_name', 'nic', 'gender', 'date_of_birth', ...CONTACT_FIELDS];
+
+exports.validateCustomerRegistration = [
+  allowOnly(CUSTOMER_FIELDS),
+  ...customerRules(),
   validate
 ];
 
 exports.validateCustomerUpdate = [
+  allowOnly(CUSTOMER_FIELDS),
   param('id').isInt({ min: 1 }).withMessage('Invalid customer ID'),
-  body('contact_no_1')
-    .optional()
-    .trim()
-    .matches(/^0[0-9]{9}$/).withMessage('Contact number must be 10 digits starting with 0'),
-  body('contact_no_2')
-    .optional()
-    .trim()
-    .matches(/^0[0-9]{9}$/).withMessage('Contact number must be 10 digits starting with 0'),
-  body('address')
-    .optional()
-    .trim()
-    .isLength({ min: 10 }).withMessage('Address must be at least 10 characters'),
-  body('email')
-    .optional()
-    .trim()
-    .isEmail().withMessage('Invalid email format')
-    .normalizeEmail(),
+  ...customerRules(),
+  validate
+];
+
+exports.validateCustomerContactUpdate = [
+  allowOnly(CONTACT_FIELDS),
+  param('id').isInt({ min: 1 }).withMessage('Invalid customer ID'),
+  ...contactRules(),
   validate
 ];
 
@@ -115,33 +210,82 @@ exports.validateCustomerUpdate = [
 // ACCOUNT VALIDATION
 // =============================================================================
 exports.validateAccountCreation = [
-  body('customer_ids')
-    .isArray({ min: 1, max: 2 }).withMessage('Customer IDs must be an array with 1-2 elements')
-    .custom((value) => {
-      if (value.length === 2 && value[0] === value[1]) {
-        throw new Error('Cannot use the same customer ID twice for joint account');
-      }
-      return true;
-    }),
-  body('customer_ids.*')
-    .isInt({ min: 1 }).withMessage('Each customer ID must be a positive integer'),
+  allowOnly(['customer_id', 'saving_plan_id', 'branch_id', 'initial_deposit', 'joint_holders']),
+  body('customer_id')
+    .isInt({ min: 1 }).withMessage('Customer ID must be a positive integer'),
   body('branch_id')
     .isInt({ min: 1 }).withMessage('Branch ID must be a positive integer'),
   body('saving_plan_id')
     .isInt({ min: 1 }).withMessage('Saving plan ID must be a positive integer'),
   body('initial_deposit')
-    .isFloat({ min: 0.01 }).withMessage('Initial deposit must be greater than 0'),
-  body('account_type')
-    .isIn(['single', 'joint']).withMessage('Account type must be either single or joint')
+    .custom(isNumber).withMessage('Initial deposit must be a number').bail()
+    .isFloat({ min: 0 }).withMessage('Initial deposit cannot be negative'),
+  body('joint_holders')
+    .optional()
+    .isArray().withMessage('Joint holders must be an array of customer IDs').bail()
     .custom((value, { req }) => {
-      if (value === 'joint' && req.body.customer_ids?.length !== 2) {
-        throw new Error('Joint account requires exactly 2 customer IDs');
+      const ids = value.map(Number);
+      if (new Set(ids).size !== ids.length) {
+        throw new Error('Cannot use the same joint holder twice');
       }
-      if (value === 'single' && req.body.customer_ids?.length !== 1) {
-        throw new Error('Single account requires exactly 1 customer ID');
+      if (ids.includes(Number(req.body.customer_id))) {
+        throw new Error('Primary customer cannot also be a joint holder');
       }
       return true;
     }),
+  body('joint_holders.*')
+    .isInt({ min: 1 }).withMessage('Each joint holder ID must be a positive integer'),
+  validate
+];
+
+exports.validateAccountDeactivation = [
+  allowOnly(['account_id', 'reason']),
+  body('account_id')
+    .isInt({ min: 1 }).withMessage('Account ID must be a positive integer'),
+  body('reason')
+    .optional({ nullable: true })
+    .isString().withMessage('Reason must be a string')
+    .isLength({ max: 255 }).withMessage('Reason must not exceed 255 characters'),
+  validate
+];
+
+exports.validatePlanChange = [
+  allowOnly(['account_id', 'new_saving_plan_id', 'reason', 'new_nic']),
+  body('account_id')
+    .isInt({ min: 1 }).withMessage('Account ID must be a positive integer'),
+  body('new_saving_plan_id')
+    .isInt({ min: 1 }).withMessage('New saving plan ID must be a positive integer'),
+  body('reason')
+    .isString().withMessage('Reason must be a string').bail()
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 255 }).withMessage('Reason must not exceed 255 characters'),
+  body('new_nic')
+    .optional({ nullable: true })
+    .trim()
+    .matches(NIC_PATTERN).withMessage('Invalid NIC format (must be 12 digits or 9 digits followed by V)'),
+  validate
+];
+
+exports.validateStatementQuery = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid account ID'),
+  query('from')
+    .notEmpty().withMessage('From date is required')
+    .matches(DATE_PATTERN).withMessage('From date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('From date must be a valid date (YYYY-MM-DD)'),
+  query('to')
+    .notEmpty().withMessage('To date is required')
+    .matches(DATE_PATTERN).withMessage('To date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('To date must be a valid date (YYYY-MM-DD)')
+    .custom((to, { req }) => {
+      if (to < req.query.from) {
+        throw new Error('To date must not be before from date');
+      }
+      return true;
+    }),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'pdf']).withMessage('Format must be json, csv or pdf'),
   validate
 ];
 
@@ -149,13 +293,14 @@ exports.validateAccountCreation = [
 // TRANSACTION VALIDATION
 // =============================================================================
 exports.validateTransaction = [
+  allowOnly(['account_id', 'transaction_type', 'amount', 'description']),
   body('account_id')
-    .trim()
-    .notEmpty().withMessage('Account ID is required'),
+    .isInt({ min: 1 }).withMessage('Account ID must be a positive integer'),
   body('transaction_type')
     .notEmpty().withMessage('Transaction type is required')
     .isIn(['Deposit', 'Withdrawal']).withMessage('Transaction type must be Deposit or Withdrawal'),
   body('amount')
+    .custom(isNumber).withMessage('Amount must be a number').bail()
     .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0')
     .custom((value) => {
       if (value > 10000000) {
@@ -164,24 +309,231 @@ exports.validateTransaction = [
       return true;
     }),
   body('description')
+    .isString().withMessage('Description must be a string').bail()
+    .trim()
+    .notEmpty().withMessage('Description is required')
+    .isLength({ max: 255 }).withMessage('Description must not exceed 255 characters'),
+  validate
+];
+
+exports.validateReceiptQuery = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid transaction ID'),
+  query('format')
     .optional()
+    .isIn(['pdf', 'text']).withMessage('Format must be pdf or text'),
+  validate
+];
+
+/**
+ * Source/destination/amount/description fields shared by transfers and
+ * standing instructions
+ */
+const transferRules = () => [
+  body('from_account_id')
+    .isInt({ min: 1 }).withMessage('Source account ID must be a positive integer'),
+  body('to_account_id')
+    .isInt({ min: 1 }).withMessage('Destination account ID must be a positive integer')
+    .custom((value, { req }) => {
+      if (Number(value) === Number(req.body.from_account_id)) {
+        throw new Error('Cannot transfer to the same account');
+      }
+      return true;
+    }),
+  body('amount')
+    .custom(isNumber).withMessage('Amount must be a number').bail()
+    .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0')
+    .custom((value) => {
+      if (value > 10000000) {
+        throw new Error('Amount exceeds maximum limit of LKR 10,000,000');
+      }
+      return true;
+    }),
+  body('description')
+    .optional({ nullable: true })
+    .isString().withMessage('Description must be a string')
+    .trim()
+    // Leaves room for the "Transfer to ... (reference)" prefix on each leg
+    .isLength({ max: 200 }).withMessage('Description must not exceed 200 characters')
+];
+
+const TRANSFER_FIELDS = ['from_account_id', 'to_account_id', 'amount', 'description'];
+
+exports.validateTransfer = [
+  allowOnly(TRANSFER_FIELDS),
+  ...transferRules(),
+  validate
+];
+
+exports.validateStandingInstruction = [
+  allowOnly([...TRANSFER_FIELDS, 'frequency', 'start_date', 'end_date']),
+  ...transferRules(),
+  body('frequency')
+    .isIn(['daily', 'weekly', 'monthly']).withMessage('Frequency must be daily, weekly or monthly'),
+  body('start_date')
+    .notEmpty().withMessage('Start date is required')
+    .matches(DATE_PATTERN).withMessage('Start date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  body('end_date')
+    .optional({ nullable: true })
+    .matches(DATE_PATTERN).withMessage('End date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('End date must be a valid date (YYYY-MM-DD)')
+    .custom((endDate, { req }) => {
+      if (endDate < req.body.start_date) {
+        throw new Error('End date must not be before start date');
+      }
+      return true;
+    }),
+  validate
+];
+
+exports.validateStandingInstructionCancel = [
+  allowOnly(['reason']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid standing instruction ID'),
+  body('reason')
+    .optional({ nullable: true })
+    .isString().withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 255 }).withMessage('Reason must not exceed 255 characters'),
+  validate
+];
+
+exports.validateReversal = [
+  allowOnly(['reason']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid transaction ID'),
+  body('reason')
+    .isString().withMessage('Reason must be a string').bail()
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 200 }).withMessage('Reason must not exceed 200 characters'),
+  validate
+];
+
+// Row-level checks are done while posting so every bad row is reported at once
+exports.validateBulkTransactions = [
+  allowOnly(['transactions', 'description']),
+  body('transactions')
+    .isArray({ min: 1, max: 500 }).withMessage('Transactions must be a list of 1 to 500 rows'),
+  body('description')
+    .optional({ nullable: true })
+    .isString().withMessage('Description must be a string')
     .trim()
     .isLength({ max: 255 }).withMessage('Description must not exceed 255 characters'),
   validate
 ];
 
+exports.validateBatchReversal = [
+  allowOnly(['reason']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid batch ID'),
+  body('reason')
+    .isString().withMessage('Reason must be a string').bail()
+    .trim()
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 200 }).withMessage('Reason must not exceed 200 characters'),
+  validate
+];
+
+// Manager decision on a queued request (reversal or approval)
+exports.validateDecision = [
+  allowOnly(['note']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid request ID'),
+  body('note')
+    .optional({ nullable: true })
+    .isString().withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 255 }).withMessage('Note must not exceed 255 characters'),
+  validate
+];
+
+// NULL (or omitted) means that type never needs approval
+exports.validateApprovalThresholds = [
+  allowOnly(['deposit_threshold', 'withdrawal_threshold', 'fd_premature_threshold']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid branch ID'),
+  body(['deposit_threshold', 'withdrawal_threshold', 'fd_premature_threshold'])
+    .optional({ nullable: true })
+    .custom(isNumber).withMessage('Threshold must be a number or null').bail()
+    .isFloat({ min: 0.01 }).withMessage('Threshold must be greater than 0'),
+  validate
+];
+
+// =============================================================================
+// TILL VALIDATION
+// =============================================================================
+exports.validateTillOpen = [
+  allowOnly(['opening_float', 'branch_id']),
+  body('opening_float')
+    .custom(isNumber).withMessage('Opening float must be a number').bail()
+    .isFloat({ min: 0 }).withMessage('Opening float cannot be negative'),
+  body('branch_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Branch ID must be a positive integer'),
+  validate
+];
+
+exports.validateTillClose = [
+  allowOnly(['declared_cash', 'note']),
+  body('declared_cash')
+    .custom(isNumber).withMessage('Declared cash must be a number').bail()
+    .isFloat({ min: 0 }).withMessage('Declared cash cannot be negative'),
+  body('note')
+    .optional({ nullable: true })
+    .isString().withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 255 }).withMessage('Note must not exceed 255 characters'),
+  validate
+];
+
+exports.validateTillsQuery = [
+  query('start')
+    .optional()
+    .matches(DATE_PATTERN).withMessage('Start date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('Start date must be a valid date (YYYY-MM-DD)'),
+  query('end')
+    .optional()
+    .matches(DATE_PATTERN).withMessage('End date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('End date must be a valid date (YYYY-MM-DD)'),
+  validate
+];
+
+// =============================================================================
+// END-OF-DAY VALIDATION
+// =============================================================================
+exports.validateEodClose = [
+  allowOnly(['business_date']),
+  body('business_date')
+    .notEmpty().withMessage('Business date is required')
+    .matches(DATE_PATTERN).withMessage('Business date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('Business date must be a valid date (YYYY-MM-DD)'),
+  validate
+];
+
+exports.validateBusinessDateParam = [
+  param('date')
+    .matches(DATE_PATTERN).withMessage('Date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('Date must be a valid date (YYYY-MM-DD)'),
+  validate
+];
+
+exports.validateBusinessDateQuery = [
+  query('date')
+    .notEmpty().withMessage('Date is required')
+    .matches(DATE_PATTERN).withMessage('Date must be a valid date (YYYY-MM-DD)').bail()
+    .isISO8601({ strict: true }).withMessage('Date must be a valid date (YYYY-MM-DD)'),
+  validate
+];
+
 // =============================================================================
 // FIXED DEPOSIT VALIDATION
 // =============================================================================
 exports.validateFDCreation = [
+  allowOnly(['customer_id', 'account_id', 'fd_plan_id', 'principal_amount', 'auto_renewal_status', 'capitalise_interest']),
   body('customer_id')
     .isInt({ min: 1 }).withMessage('Customer ID must be a positive integer'),
   body('account_id')
-    .trim()
-    .notEmpty().withMessage('Account ID is required'),
+    .isInt({ min: 1 }).withMessage('Account ID must be a positive integer'),
   body('fd_plan_id')
     .isInt({ min: 1 }).withMessage('FD plan ID must be a positive integer'),
   body('principal_amount')
+    .custom(isNumber).withMessage('Principal amount must be a number').bail()
     .isFloat({ min: 1000 }).withMessage('Principal amount must be at least LKR 1,000')
     .custom((value) => {
       if (value > 50000000) {
@@ -190,6 +542,7 @@ exports.validateFDCreation = [
       return true;
     }),
   body('auto_renewal_status')
+    .optional()
     .custom((val) => {
       if (typeof val === 'boolean') return true;
       if (typeof val === 'string') {
@@ -198,24 +551,89 @@ exports.validateFDCreation = [
       }
       throw new Error('Auto renewal status must be boolean true/false or "True"/"False"');
     }),
+  body('capitalise_interest')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Capitalise interest must be true or false'),
+  validate
+];
+
+exports.validatePrematureRate = [
+  allowOnly(['premature_rate']),
+  param('planId').isInt({ min: 1 }).withMessage('Invalid FD plan ID'),
+  body('premature_rate')
+    .custom(isNumber).withMessage('Premature rate must be a number').bail()
+    .isFloat({ min: 0, max: 100 }).withMessage('Premature rate must be between 0 and 100'),
+  validate
+];
+
+exports.validateMaturitiesQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365'),
+  validate
+];
+
+exports.validateFdCalculator = [
+  query('plan_id')
+    .isInt({ min: 1 }).withMessage('Invalid FD plan ID'),
+  query('principal')
+    .isFloat({ gt: 0, max: 1000000000 }).withMessage('Principal must be a positive amount up to 1,000,000,000'),
+  validate
+];
+
+exports.validateSavingsCalculator = [
+  query('plan_id')
+    .isInt({ min: 1 }).withMessage('Invalid saving plan ID'),
+  query('monthly_deposit')
+    .isFloat({ gt: 0, max: 1000000000 }).withMessage('Monthly deposit must be a positive amount up to 1,000,000,000'),
+  query('months')
+    .isInt({ min: 1, max: 120 }).withMessage('Months must be between 1 and 120'),
+  validate
+];
+
+exports.validateCertificateQuery = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid FD ID'),
+  query('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 }).withMessage('Reason must be 1-255 characters'),
+  validate
+];
+
+exports.validateFDDeactivation = [
+  allowOnly(['fd_id', 'reason']),
+  body('fd_id')
+    .isInt({ min: 1 }).withMessage('FD ID must be a positive integer'),
+  body('reason')
+    .optional({ nullable: true })
+    .isString().withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 255 }).withMessage('Reason must not exceed 255 characters'),
   validate
 ];
 
 // =============================================================================
 // EMPLOYEE VALIDATION
 // =============================================================================
+// Roles are rows in app_role; unknown roles are rejected by the employee.role FK
 exports.validateEmployeeRegistration = [
+  allowOnly([
+    'role', 'username', 'password', 'first_name', 'last_name', 'nic',
+    'gender', 'date_of_birth', 'branch_id', ...CONTACT_FIELDS
+  ]),
   body('role')
-    .notEmpty().withMessage('Role is required')
-    .isIn(['Admin', 'Manager', 'Agent']).withMessage('Role must be Admin, Manager, or Agent'),
+    .isString().withMessage('Role must be a string')
+    .trim()
+    .notEmpty().withMessage('Role is required'),
   body('username')
     .trim()
     .notEmpty().withMessage('Username is required')
     .isLength({ min: 4, max: 50 }).withMessage('Username must be 4-50 characters')
     .matches(/^[a-zA-Z0-9_]+$/).withMessage('Username can only contain letters, numbers, and underscores'),
+  // Strength rules are checked by services/passwordPolicy.js
   body('password')
-    .notEmpty().withMessage('Password is required')
-    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    .isString().withMessage('Password must be a string')
+    .notEmpty().withMessage('Password is required'),
   body('first_name')
     .trim()
     .notEmpty().withMessage('First name is required')
@@ -227,7 +645,7 @@ exports.validateEmployeeRegistration = [
   body('nic')
     .trim()
     .notEmpty().withMessage('NIC is required')
-    .matches(/^([0-9]{9}V|[0-9]{12})$/).withMessage('Invalid NIC format (must be 12 digits or 9 digits followed by V)'),
+    .matches(NIC_PATTERN).withMessage('Invalid NIC format (must be 12 digits or 9 digits followed by V)'),
   body('gender')
     .notEmpty().withMessage('Gender is required')
     .isIn(['Male', 'Female', 'Other']).withMessage('Gender must be Male, Female, or Other'),
@@ -236,47 +654,210 @@ exports.validateEmployeeRegistration = [
     .isISO8601().withMessage('Date of birth must be a valid date'),
   body('branch_id')
     .isInt({ min: 1 }).withMessage('Branch ID must be a positive integer'),
-  body('contact_no_1')
+  ...contactRules(),
+  validate
+];
+
+exports.validateUserStatus = [
+  allowOnly(['status']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+  body('status')
+    .isIn(['Active', 'Inactive']).withMessage('Status must be Active or Inactive'),
+  validate
+];
+
+// Strength rules are checked by services/passwordPolicy.js
+exports.validatePasswordReset = [
+  allowOnly(['temporary_password']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
+  body('temporary_password')
+    .optional()
+    .isString().withMessage('Temporary password must be a string')
+    .notEmpty().withMessage('Temporary password must not be empty'),
+  validate
+];
+
+// =============================================================================
+// PLAN LIMIT VALIDATION
+// =============================================================================
+// Omitted or null limits mean "unlimited"
+exports.validatePlanLimits = [
+  allowOnly([
+    'max_single_withdrawal', 'max_daily_withdrawal_count',
+    'max_daily_withdrawal_total', 'max_monthly_deposit_total'
+  ]),
+  param('planId').isInt({ min: 1 }).withMessage('Invalid saving plan ID'),
+  body(['max_single_withdrawal', 'max_daily_withdrawal_total', 'max_monthly_deposit_total'])
+    .optional({ nullable: true })
+    .custom(isNumber).withMessage('Limit must be a number or null').bail()
+    .isFloat({ min: 0.01 }).withMessage('Limit must be greater than 0'),
+  body('max_daily_withdrawal_count')
+    .optional({ nullable: true })
+    .custom(Number.isInteger).withMessage('Count limit must be an integer or null').bail()
+    .isInt({ min: 1 }).withMessage('Count limit must be at least 1'),
+  validate
+];
+
+exports.validatePlanId = [
+  allowOnly([]),
+  param('planId').isInt({ min: 1 }).withMessage('Invalid saving plan ID'),
+  validate
+];
+
+// =============================================================================
+// FEE VALIDATION
+// =============================================================================
+exports.validateFeeSchedule = [
+  allowOnly([
+    'event_type', 'saving_plan_id', 'calc_type', 'amount', 'min_fee', 'max_fee',
+    'free_count', 'within_days', 'active'
+  ]),
+  body('event_type')
+    .isIn(['maintenance', 'excess_withdrawal', 'early_closure', 'fd_premature_closure'])
+    .withMessage('Event type must be maintenance, excess_withdrawal, early_closure or fd_premature_closure'),
+  body('saving_plan_id')
+    .optional({ nullable: true })
+    .custom(Number.isInteger).withMessage('Saving plan ID must be an integer or null').bail()
+    .isInt({ min: 1 }).withMessage('Invalid saving plan ID'),
+  body('calc_type')
+    .isIn(['flat', 'percentage']).withMessage('Calculation type must be flat or percentage'),
+  body('amount')
+    .custom(isNumber).withMessage('Amount must be a number').bail()
+    .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0')
+    .custom((amount, { req }) => {
+      if (req.body.calc_type === 'percentage' && amount > 100) {
+        throw new Error('Percentage cannot exceed 100');
+      }
+      return true;
+    }),
+  body(['min_fee', 'max_fee'])
+    .optional({ nullable: true })
+    .custom(isNumber).withMessage('Fee bound must be a number or null').bail()
+    .isFloat({ min: 0 }).withMessage('Fee bound cannot be negative'),
+  body('max_fee')
+    .optional({ nullable: true })
+    .custom((maxFee, { req }) => {
+      if (isNumber(req.body.min_fee) && maxFee < req.body.min_fee) {
+        throw new Error('Maximum fee must not be below minimum fee');
+      }
+      return true;
+    }),
+  body('free_count')
+    .optional({ nullable: true })
+    .custom(Number.isInteger).withMessage('Free count must be an integer or null').bail()
+    .isInt({ min: 0 }).withMessage('Free count cannot be negative'),
+  body('within_days')
+    .optional({ nullable: true })
+    .custom(Number.isInteger).withMessage('Days must be an integer or null').bail()
+    .isInt({ min: 1 }).withMessage('Days must be at least 1'),
+  body('active')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Active must be true or false'),
+  validate
+];
+
+exports.validateFeeWaiver = [
+  allowOnly(['reason']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid fee charge ID'),
+  body('reason')
+    .isString().withMessage('Reason must be a string')
     .trim()
-    .notEmpty().withMessage('Primary contact number is required')
-    .matches(/^0[0-9]{9}$/).withMessage('Contact number must be 10 digits starting with 0'),
-  body('address')
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 255 }).withMessage('Reason must not exceed 255 characters'),
+  validate
+];
+
+exports.validateHoldPlacement = [
+  allowOnly(['account_id', 'amount', 'hold_type', 'reason', 'expires_at']),
+  body('account_id')
+    .isInt({ min: 1 }).withMessage('Account ID must be a positive integer'),
+  body('amount')
+    .custom(isNumber).withMessage('Amount must be a number').bail()
+    .isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
+  body('hold_type')
+    .isIn(['court_order', 'collateral', 'other']).withMessage('Hold type must be court_order, collateral or other'),
+  body('reason')
+    .isString().withMessage('Reason must be a string').bail()
     .trim()
-    .notEmpty().withMessage('Address is required')
-    .isLength({ min: 10 }).withMessage('Address must be at least 10 characters'),
-  body('email')
+    .notEmpty().withMessage('Reason is required')
+    .isLength({ max: 255 }).withMessage('Reason must not exceed 255 characters'),
+  body('expires_at')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Expiry must be a valid date or date-time'),
+  validate
+];
+
+exports.validateHoldRelease = [
+  allowOnly(['note']),
+  param('id').isInt({ min: 1 }).withMessage('Invalid hold ID'),
+  body('note')
+    .optional({ nullable: true })
+    .isString().withMessage('Note must be a string')
     .trim()
-    .notEmpty().withMessage('Email is required')
-    .isEmail().withMessage('Invalid email format')
-    .normalizeEmail(),
+    .isLength({ max: 255 }).withMessage('Note must not exceed 255 characters'),
+  validate
+];
+
+// =============================================================================
+// ROLE & SECURITY POLICY VALIDATION
+// =============================================================================
+const permissionListRule = () => body('permissions')
+  .optional()
+  .isArray().withMessage('Permissions must be an array of permission keys').bail()
+  .custom((value) => {
+    if (!value.every(key => typeof key === 'string' && key.length > 0)) {
+      throw new Error('Permissions must be an array of permission keys');
+    }
+    return true;
+  });
+
+exports.validateRoleCreation = [
+  allowOnly(['role_name', 'description', 'permissions']),
+  body('role_name')
+    .isString().withMessage('Role name must be a string')
+    .trim()
+    .notEmpty().withMessage('Role name is required')
+    .isLength({ max: 50 }).withMessage('Role name must not exceed 50 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString().withMessage('Description must be a string')
+    .isLength({ max: 255 }).withMessage('Description must not exceed 255 characters'),
+  permissionListRule(),
+  validate
+];
+
+exports.validateRoleUpdate = [
+  allowOnly(['description', 'permissions']),
+  param('role').trim().notEmpty().withMessage('Role is required'),
+  body('description')
+    .optional({ nullable: true })
+    .isString().withMessage('Description must be a string')
+    .isLength({ max: 255 }).withMessage('Description must not exceed 255 characters'),
+  permissionListRule(),
+  validate
+];
+
+exports.validateMfaPolicy = [
+  allowOnly(['role', 'mfa_required']),
+  body('role')
+    .isString().withMessage('Role must be a string')
+    .notEmpty().withMessage('Role is required'),
+  body('mfa_required')
+    .custom((value) => typeof value === 'boolean').withMessage('mfa_required must be boolean true or false'),
   validate
 ];
 
 // =============================================================================
 // BRANCH VALIDATION
 // =============================================================================
+// branch_id is generated by the database
 exports.validateBranchCreation = [
-  body('branch_id')
-    .trim()
-    .notEmpty().withMessage('Branch ID is required')
-    .matches(/^BR[0-9]{3}$/).withMessage('Branch ID must be in format BR### (e.g., BR001)'),
+  allowOnly(['name', ...CONTACT_FIELDS]),
   body('name')
     .trim()
     .notEmpty().withMessage('Branch name is required')
     .isLength({ min: 3, max: 100 }).withMessage('Branch name must be 3-100 characters'),
-  body('contact_no_1')
-    .trim()
-    .notEmpty().withMessage('Primary contact number is required')
-    .matches(/^0[0-9]{9}$/).withMessage('Contact number must be 10 digits starting with 0'),
-  body('address')
-    .trim()
-    .notEmpty().withMessage('Address is required')
-    .isLength({ min: 10 }).withMessage('Address must be at least 10 characters'),
-  body('email')
-    .trim()
-    .notEmpty().withMessage('Email is required')
-    .isEmail().withMessage('Invalid email format')
-    .normalizeEmail(),
+  ...contactRules(),
   validate
 ];
 
@@ -321,10 +902,17 @@ exports.validateMonthYear = [
 // PARAM VALIDATION
 // =============================================================================
 exports.validateId = [
+  allowOnly([]),
   param('id').isInt({ min: 1 }).withMessage('Invalid ID parameter'),
   validate
 ];
 
+exports.validateRoleParam = [
+  allowOnly([]),
+  param('role').trim().notEmpty().withMessage('Role is required'),
+  validate
+];
+
 exports.validateSearchTerm = [
   param('searchTerm')
     .trim()
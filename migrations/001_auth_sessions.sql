@@ -0,0 +1,30 @@
+-- =============================================================================
+-- 001 - AUTH SESSIONS & ROTATING REFRESH TOKENS
+-- =============================================================================
+-- A session is one login "family". Every refresh token issued for that login
+-- belongs to the same session; presenting a token that was already rotated
+-- revokes the whole session (refresh-token reuse detection).
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS auth_session (
+  session_id      UUID PRIMARY KEY,
+  employee_id     INTEGER NOT NULL REFERENCES employee(employee_id),
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_used_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  ip_address      VARCHAR(64),
+  user_agent      TEXT,
+  revoked_at      TIMESTAMP,
+  revoked_reason  VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_session_employee ON auth_session(employee_id);
+
+CREATE TABLE IF NOT EXISTS refresh_token (
+  token_hash   CHAR(64) PRIMARY KEY,           -- SHA-256 hex of the opaque token
+  session_id   UUID NOT NULL REFERENCES auth_session(session_id) ON DELETE CASCADE,
+  issued_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at   TIMESTAMP NOT NULL,
+  rotated_at   TIMESTAMP                       -- set once exchanged for a new token
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_token_session ON refresh_token(session_id);
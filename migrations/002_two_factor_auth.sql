@@ -0,0 +1,38 @@
+-- =============================================================================
+-- 002 - TOTP TWO-FACTOR AUTHENTICATION
+-- =============================================================================
+-- employee_mfa holds one TOTP secret per employee. The secret is pending until
+-- the employee confirms a first code, at which point `enabled` is set.
+-- mfa_role_policy lets admins make 2FA mandatory per role.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS employee_mfa (
+  employee_id     INTEGER PRIMARY KEY REFERENCES employee(employee_id),
+  secret          VARCHAR(64) NOT NULL,        -- base32 TOTP secret
+  enabled         BOOLEAN NOT NULL DEFAULT FALSE,
+  last_used_step  BIGINT,                      -- last accepted 30s time step (replay guard)
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  confirmed_at    TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_code (
+  code_id      SERIAL PRIMARY KEY,
+  employee_id  INTEGER NOT NULL REFERENCES employee(employee_id),
+  code_hash    CHAR(64) NOT NULL,              -- SHA-256 hex of the normalized code
+  used_at      TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_code_employee ON mfa_recovery_code(employee_id);
+
+CREATE TABLE IF NOT EXISTS mfa_role_policy (
+  role          VARCHAR(20) PRIMARY KEY,
+  mfa_required  BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_by    INTEGER REFERENCES employee(employee_id),
+  updated_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO mfa_role_policy (role, mfa_required) VALUES
+  ('Admin', FALSE),
+  ('Manager', FALSE),
+  ('Agent', FALSE)
+ON CONFLICT (role) DO NOTHING;
@@ -0,0 +1,30 @@
+-- =============================================================================
+-- 003 - LOGIN BRUTE-FORCE PROTECTION & LOGIN HISTORY
+-- =============================================================================
+-- login_throttle tracks recent failed attempts per username and per client IP.
+-- Rows decay once the failure window has passed without a new failure.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS login_throttle (
+  scope            VARCHAR(10) NOT NULL CHECK (scope IN ('username', 'ip')),
+  throttle_key     VARCHAR(255) NOT NULL,      -- lower-cased username or IP address
+  failed_count     INTEGER NOT NULL DEFAULT 0,
+  first_failed_at  TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_failed_at   TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_until     TIMESTAMP,
+  PRIMARY KEY (scope, throttle_key)
+);
+
+CREATE TABLE IF NOT EXISTS login_history (
+  history_id      BIGSERIAL PRIMARY KEY,
+  employee_id     INTEGER REFERENCES employee(employee_id),
+  username        VARCHAR(100),
+  success         BOOLEAN NOT NULL,
+  failure_reason  VARCHAR(30),                 -- unknown_user, bad_password, bad_mfa_code, inactive, locked, throttled
+  ip_address      VARCHAR(64),
+  user_agent      TEXT,
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_history_created_at ON login_history(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_history_employee ON login_history(employee_id);
@@ -0,0 +1,16 @@
+-- =============================================================================
+-- 004 - PASSWORD CHANGE, ADMIN RESET & REUSE HISTORY
+-- =============================================================================
+
+ALTER TABLE employee ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE employee ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+-- Previous password hashes, used to block reuse of the last N passwords
+CREATE TABLE IF NOT EXISTS password_history (
+  history_id     SERIAL PRIMARY KEY,
+  employee_id    INTEGER NOT NULL REFERENCES employee(employee_id),
+  password_hash  VARCHAR(255) NOT NULL,
+  created_at     TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_employee ON password_history(employee_id, created_at DESC);
@@ -0,0 +1,75 @@
+-- =============================================================================
+-- 005 - PERMISSION-BASED AUTHORIZATION
+-- =============================================================================
+-- Roles are rows in app_role and map to permission sets via role_permission.
+-- The Admin role is a system superuser: it implicitly holds every permission
+-- and cannot be edited through the API.
+-- NOTE: employee.role is converted from the enum to VARCHAR so custom roles
+-- (e.g. 'Senior Agent') can be assigned. Views that reference employee.role
+-- must be dropped and recreated around the ALTER if PostgreSQL complains.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS app_role (
+  role_name    VARCHAR(50) PRIMARY KEY,
+  description  VARCHAR(255),
+  is_system    BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS permission (
+  permission_key  VARCHAR(60) PRIMARY KEY,
+  description     VARCHAR(255) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permission (
+  role_name       VARCHAR(50) NOT NULL REFERENCES app_role(role_name) ON DELETE CASCADE,
+  permission_key  VARCHAR(60) NOT NULL REFERENCES permission(permission_key) ON DELETE CASCADE,
+  PRIMARY KEY (role_name, permission_key)
+);
+
+INSERT INTO app_role (role_name, description, is_system) VALUES
+  ('Admin', 'System administrator (all permissions)', TRUE),
+  ('Manager', 'Branch manager', TRUE),
+  ('Agent', 'Field / counter agent', TRUE)
+ON CONFLICT (role_name) DO NOTHING;
+
+INSERT INTO permission (permission_key, description) VALUES
+  ('customers.view', 'View customers'),
+  ('customers.manage', 'Register and update customers'),
+  ('accounts.view', 'View savings accounts'),
+  ('accounts.open', 'Open savings accounts'),
+  ('accounts.close', 'Close (deactivate) savings accounts'),
+  ('accounts.change_plan', 'Change the saving plan of an account'),
+  ('transactions.process', 'Process deposits and withdrawals'),
+  ('transactions.view', 'View transactions, performance and analytics'),
+  ('fixed_deposits.view', 'View fixed deposits'),
+  ('fixed_deposits.manage', 'Open and close fixed deposits'),
+  ('branch.view', 'View branch customers, team, transactions and accounts'),
+  ('employees.view', 'View employees'),
+  ('employees.manage', 'Register, deactivate and reset employees'),
+  ('branches.view', 'View branches'),
+  ('branches.manage', 'Create and delete branches'),
+  ('reports.view', 'View bank-wide reports and interest summaries'),
+  ('roles.manage', 'Create roles and edit role permissions'),
+  ('security.manage', 'Manage 2FA policy, lockouts and login history')
+ON CONFLICT (permission_key) DO NOTHING;
+
+-- Seed the existing role behaviour
+INSERT INTO role_permission (role_name, permission_key) VALUES
+  ('Agent', 'customers.view'),
+  ('Agent', 'customers.manage'),
+  ('Agent', 'accounts.view'),
+  ('Agent', 'accounts.open'),
+  ('Agent', 'accounts.close'),
+  ('Agent', 'accounts.change_plan'),
+  ('Agent', 'transactions.process'),
+  ('Agent', 'transactions.view'),
+  ('Agent', 'fixed_deposits.view'),
+  ('Agent', 'fixed_deposits.manage'),
+  ('Manager', 'branch.view')
+ON CONFLICT DO NOTHING;
+
+-- Allow custom roles on employees
+ALTER TABLE employee ALTER COLUMN role TYPE VARCHAR(50) USING role::text;
+ALTER TABLE employee DROP CONSTRAINT IF EXISTS fk_employee_role;
+ALTER TABLE employee ADD CONSTRAINT fk_employee_role FOREIGN KEY (role) REFERENCES app_role(role_name);
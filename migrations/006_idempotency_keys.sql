@@ -0,0 +1,23 @@
+-- =============================================================================
+-- 006 - IDEMPOTENCY KEYS
+-- =============================================================================
+-- Stores the first response to a POST sent with an Idempotency-Key header so
+-- client retries are replayed instead of executed twice. Keys are scoped per
+-- employee and expire after IDEMPOTENCY_KEY_TTL_HOURS (default 24).
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS idempotency_key (
+  employee_id      INTEGER NOT NULL REFERENCES employee(employee_id),
+  idempotency_key  VARCHAR(255) NOT NULL,
+  request_method   VARCHAR(10) NOT NULL,
+  request_path     VARCHAR(255) NOT NULL,
+  request_hash     CHAR(64) NOT NULL,          -- SHA-256 of method, path and body
+  status           VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed')),
+  response_status  INTEGER,
+  response_body    JSONB,
+  created_at       TIMESTAMP NOT NULL DEFAULT NOW(),
+  completed_at     TIMESTAMP,
+  PRIMARY KEY (employee_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_key_created_at ON idempotency_key(created_at);
@@ -0,0 +1,25 @@
+-- =============================================================================
+-- 007 - ACCOUNT-TO-ACCOUNT FUND TRANSFERS
+-- =============================================================================
+-- A transfer is posted as a Withdrawal on the source account and a Deposit on
+-- the destination account (both via create_transaction_with_validation, so
+-- plan minimum balances still apply). fund_transfer links the two transaction
+-- rows under one shared reference.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS fund_transfer (
+  transfer_id            BIGSERIAL PRIMARY KEY,
+  reference              VARCHAR(40) NOT NULL UNIQUE,   -- e.g. TRF-20250101-1A2B3C4D
+  from_account_id        INTEGER NOT NULL REFERENCES account(account_id),
+  to_account_id          INTEGER NOT NULL REFERENCES account(account_id),
+  amount                 NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  description            VARCHAR(255),
+  debit_transaction_id   INTEGER NOT NULL UNIQUE REFERENCES transaction(transaction_id),
+  credit_transaction_id  INTEGER NOT NULL UNIQUE REFERENCES transaction(transaction_id),
+  employee_id            INTEGER REFERENCES employee(employee_id),
+  created_at             TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (from_account_id <> to_account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fund_transfer_from_account ON fund_transfer(from_account_id);
+CREATE INDEX IF NOT EXISTS idx_fund_transfer_to_account ON fund_transfer(to_account_id);
@@ -0,0 +1,43 @@
+-- =============================================================================
+-- 008 - TRANSACTION REVERSALS
+-- =============================================================================
+-- A reversal posts an opposite entry (Deposit <-> Withdrawal) linked to the
+-- original transaction. Agents may reverse same-day transactions directly;
+-- older ones wait for Manager approval. Reversing one leg of a fund transfer
+-- reverses both legs.
+-- transaction_reversal_entry.original_transaction_id is the primary key, so a
+-- transaction can only be reversed (or pending reversal) once. Rejected
+-- requests drop their entries so the transaction may be requested again.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS transaction_reversal (
+  reversal_id     BIGSERIAL PRIMARY KEY,
+  transaction_id  INTEGER NOT NULL REFERENCES transaction(transaction_id),  -- as requested
+  reason          VARCHAR(255) NOT NULL,
+  status          VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'rejected')),
+  requested_by    INTEGER NOT NULL REFERENCES employee(employee_id),
+  requested_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  decided_by      INTEGER REFERENCES employee(employee_id),
+  decided_at      TIMESTAMP,
+  decision_note   VARCHAR(255)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_reversal_status ON transaction_reversal(status);
+
+CREATE TABLE IF NOT EXISTS transaction_reversal_entry (
+  original_transaction_id   INTEGER PRIMARY KEY REFERENCES transaction(transaction_id),
+  reversal_id               BIGINT NOT NULL REFERENCES transaction_reversal(reversal_id) ON DELETE CASCADE,
+  reversing_transaction_id  INTEGER UNIQUE REFERENCES transaction(transaction_id)  -- set once posted
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_reversal_entry_reversal ON transaction_reversal_entry(reversal_id);
+
+INSERT INTO permission (permission_key, description) VALUES
+  ('transactions.reverse', 'Reverse transactions (same-day directly, older ones need approval)'),
+  ('approvals.manage', 'Approve or reject requests waiting in the branch approval queue')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permission (role_name, permission_key) VALUES
+  ('Agent', 'transactions.reverse'),
+  ('Manager', 'approvals.manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,51 @@
+-- =============================================================================
+-- 009 - MAKER-CHECKER APPROVALS & BALANCE HOLDS
+-- =============================================================================
+-- Deposits/withdrawals above a branch's threshold are not posted immediately:
+-- they wait in transaction_approval for a Manager. A pending withdrawal places
+-- an account_hold so the same funds cannot be spent while it waits.
+-- Pending requests expire after APPROVAL_EXPIRY_HOURS (default 24).
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS branch_approval_threshold (
+  branch_id             INTEGER PRIMARY KEY REFERENCES branch(branch_id),
+  deposit_threshold     NUMERIC(15, 2) CHECK (deposit_threshold > 0),     -- NULL: never needs approval
+  withdrawal_threshold  NUMERIC(15, 2) CHECK (withdrawal_threshold > 0),  -- NULL: never needs approval
+  updated_by            INTEGER REFERENCES employee(employee_id),
+  updated_at            TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS account_hold (
+  hold_id      BIGSERIAL PRIMARY KEY,
+  account_id   INTEGER NOT NULL REFERENCES account(account_id),
+  amount       NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  reason       VARCHAR(255),
+  source       VARCHAR(30) NOT NULL,            -- what placed the hold, e.g. 'approval'
+  source_id    BIGINT,                          -- id in the source table
+  status       VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released', 'consumed')),
+  created_by   INTEGER REFERENCES employee(employee_id),
+  created_at   TIMESTAMP NOT NULL DEFAULT NOW(),
+  released_at  TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_hold_active ON account_hold(account_id) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS transaction_approval (
+  approval_id       BIGSERIAL PRIMARY KEY,
+  account_id        INTEGER NOT NULL REFERENCES account(account_id),
+  transaction_type  VARCHAR(20) NOT NULL CHECK (transaction_type IN ('Deposit', 'Withdrawal')),
+  amount            NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  description       VARCHAR(255),
+  status            VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+  hold_id           BIGINT REFERENCES account_hold(hold_id),
+  transaction_id    INTEGER REFERENCES transaction(transaction_id),   -- set once approved and posted
+  requested_by      INTEGER NOT NULL REFERENCES employee(employee_id),
+  requested_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at        TIMESTAMP NOT NULL,
+  decided_by        INTEGER REFERENCES employee(employee_id),
+  decided_at        TIMESTAMP,
+  decision_note     VARCHAR(255)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_approval_pending ON transaction_approval(expires_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_transaction_approval_account ON transaction_approval(account_id);
@@ -0,0 +1,33 @@
+-- =============================================================================
+-- 010 - TRANSACTION LIMITS PER SAVING PLAN
+-- =============================================================================
+-- Optional limits per saving plan; a NULL column means "no limit". Enforced on
+-- every customer debit/credit path (cash transactions, transfers, FD funding).
+-- Reversed transactions do not count towards daily/monthly usage.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS savingplan_limit (
+  saving_plan_id              INTEGER PRIMARY KEY REFERENCES savingplan(saving_plan_id),
+  max_single_withdrawal       NUMERIC(15, 2) CHECK (max_single_withdrawal > 0),
+  max_daily_withdrawal_count  INTEGER CHECK (max_daily_withdrawal_count > 0),
+  max_daily_withdrawal_total  NUMERIC(15, 2) CHECK (max_daily_withdrawal_total > 0),
+  max_monthly_deposit_total   NUMERIC(15, 2) CHECK (max_monthly_deposit_total > 0),
+  updated_by                  INTEGER REFERENCES employee(employee_id),
+  updated_at                  TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Starting limits for minors' plans (adjust via PUT /api/admin/plan-limits/:planId)
+INSERT INTO savingplan_limit
+  (saving_plan_id, max_single_withdrawal, max_daily_withdrawal_count, max_daily_withdrawal_total, max_monthly_deposit_total)
+SELECT saving_plan_id,
+       CASE plan_type::text WHEN 'Children' THEN 5000 ELSE 10000 END,
+       CASE plan_type::text WHEN 'Children' THEN 1 ELSE 2 END,
+       CASE plan_type::text WHEN 'Children' THEN 5000 ELSE 20000 END,
+       CASE plan_type::text WHEN 'Children' THEN 50000 ELSE 100000 END
+FROM savingplan
+WHERE plan_type::text IN ('Children', 'Teen')
+ON CONFLICT (saving_plan_id) DO NOTHING;
+
+INSERT INTO permission (permission_key, description) VALUES
+  ('plans.manage', 'Configure saving plan transaction limits')
+ON CONFLICT (permission_key) DO NOTHING;
@@ -0,0 +1,45 @@
+-- =============================================================================
+-- 011 - AGENT TILL (CASH DRAWER) SESSIONS
+-- =============================================================================
+-- An agent opens a till with a cash float. Every cash deposit/withdrawal they
+-- process is recorded as a movement, so the expected cash is
+--   opening_float + cash in - cash out
+-- At close the agent declares the counted cash and the variance is stored.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS till_session (
+  till_session_id  BIGSERIAL PRIMARY KEY,
+  employee_id      INTEGER NOT NULL REFERENCES employee(employee_id),
+  branch_id        INTEGER NOT NULL REFERENCES branch(branch_id),
+  opening_float    NUMERIC(15, 2) NOT NULL CHECK (opening_float >= 0),
+  status           VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+  opened_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  closed_at        TIMESTAMP,
+  expected_cash    NUMERIC(15, 2),               -- computed at close
+  declared_cash    NUMERIC(15, 2),               -- counted by the agent at close
+  variance         NUMERIC(15, 2),               -- declared - expected (negative = shortage)
+  close_note       VARCHAR(255)
+);
+
+-- One open till per agent
+CREATE UNIQUE INDEX IF NOT EXISTS uq_till_session_open ON till_session(employee_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_till_session_branch ON till_session(branch_id, status);
+
+CREATE TABLE IF NOT EXISTS till_movement (
+  movement_id      BIGSERIAL PRIMARY KEY,
+  till_session_id  BIGINT NOT NULL REFERENCES till_session(till_session_id),
+  transaction_id   INTEGER NOT NULL UNIQUE REFERENCES transaction(transaction_id),
+  direction        VARCHAR(3) NOT NULL CHECK (direction IN ('in', 'out')),
+  amount           NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  created_at       TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_till_movement_session ON till_movement(till_session_id);
+
+INSERT INTO permission (permission_key, description) VALUES
+  ('till.operate', 'Open and close own till (cash drawer) session')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permission (role_name, permission_key) VALUES
+  ('Agent', 'till.operate')
+ON CONFLICT DO NOTHING;
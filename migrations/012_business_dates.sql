@@ -0,0 +1,100 @@
+-- =============================================================================
+-- 012 - BRANCH BUSINESS DATE & END-OF-DAY CLOSE
+-- =============================================================================
+-- Each branch has a current business date. Every transaction is stamped with
+-- the business date of its account's branch (not the server clock). Closing
+-- the day (EOD) stores a summary in branch_eod and rolls the date forward.
+-- Transactions of a closed day can no longer be inserted, changed or deleted;
+-- corrections go through reversals on the current business date.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS branch_business_date (
+  branch_id      INTEGER PRIMARY KEY REFERENCES branch(branch_id),
+  business_date  DATE NOT NULL,
+  updated_at     TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO branch_business_date (branch_id, business_date)
+SELECT branch_id, CURRENT_DATE FROM branch
+ON CONFLICT (branch_id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS branch_eod (
+  eod_id              BIGSERIAL PRIMARY KEY,
+  branch_id           INTEGER NOT NULL REFERENCES branch(branch_id),
+  business_date       DATE NOT NULL,
+  next_business_date  DATE NOT NULL,
+  summary             JSONB NOT NULL,          -- opening/closing totals by transaction type
+  closed_by           INTEGER NOT NULL REFERENCES employee(employee_id),
+  closed_at           TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (branch_id, business_date)
+);
+
+ALTER TABLE transaction ADD COLUMN IF NOT EXISTS business_date DATE;
+
+-- Existing history: the calendar date of the posting
+UPDATE transaction SET business_date = DATE(time) WHERE business_date IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transaction_business_date ON transaction(business_date, account_id);
+
+-- Stamp new transactions with the branch business date and refuse closed days.
+-- The business date row is read FOR SHARE so an EOD close (FOR UPDATE) waits
+-- for postings that are in flight.
+CREATE OR REPLACE FUNCTION stamp_transaction_business_date() RETURNS TRIGGER AS $$
+DECLARE
+  v_branch_id INTEGER;
+  v_business_date DATE;
+BEGIN
+  SELECT branch_id INTO v_branch_id FROM account WHERE account_id = NEW.account_id;
+
+  INSERT INTO branch_business_date (branch_id, business_date)
+  VALUES (v_branch_id, CURRENT_DATE)
+  ON CONFLICT (branch_id) DO NOTHING;
+
+  SELECT business_date INTO v_business_date
+  FROM branch_business_date WHERE branch_id = v_branch_id
+  FOR SHARE;
+
+  NEW.business_date := COALESCE(NEW.business_date, v_business_date);
+
+  IF EXISTS (SELECT 1 FROM branch_eod
+             WHERE branch_id = v_branch_id AND business_date = NEW.business_date) THEN
+    RAISE EXCEPTION 'Business date % is closed for this branch', NEW.business_date;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_transaction_business_date ON transaction;
+CREATE TRIGGER trg_transaction_business_date
+  BEFORE INSERT ON transaction
+  FOR EACH ROW EXECUTE FUNCTION stamp_transaction_business_date();
+
+-- Closed days are locked
+CREATE OR REPLACE FUNCTION protect_closed_business_date() RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM branch_eod e
+             JOIN account a ON a.branch_id = e.branch_id
+             WHERE a.account_id = OLD.account_id AND e.business_date = OLD.business_date) THEN
+    RAISE EXCEPTION 'Business date % is closed for this branch', OLD.business_date;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_transaction_closed_day ON transaction;
+CREATE TRIGGER trg_transaction_closed_day
+  BEFORE UPDATE OR DELETE ON transaction
+  FOR EACH ROW EXECUTE FUNCTION protect_closed_business_date();
+
+INSERT INTO permission (permission_key, description) VALUES
+  ('eod.manage', 'Close the branch business day (end-of-day)')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permission (role_name, permission_key) VALUES
+  ('Manager', 'eod.manage')
+ON CONFLICT DO NOTHING;
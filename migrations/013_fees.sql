@@ -0,0 +1,85 @@
+-- =============================================================================
+-- 013 - FEES AND CHARGES
+-- =============================================================================
+-- fee_schedule configures what is charged per event type, optionally per
+-- saving plan (a plan-specific row wins over the all-plans row, saving_plan_id
+-- NULL). Fees are posted as 'Fee' transactions (a debit) and logged in
+-- fee_charge; a manager waiver refunds the fee with a Deposit.
+-- Events:
+--   maintenance        - monthly, charged by the fee scheduler
+--   excess_withdrawal  - withdrawals in a month beyond free_count
+--   early_closure      - closing an account within within_days of opening
+-- =============================================================================
+
+-- 'Fee' transaction type. transaction.transaction_type is either an enum or
+-- text with a CHECK constraint depending on how the schema was created.
+DO $$
+DECLARE
+  v_type_oid OID;
+  v_constraint RECORD;
+BEGIN
+  SELECT atttypid INTO v_type_oid
+  FROM pg_attribute
+  WHERE attrelid = 'transaction'::regclass AND attname = 'transaction_type';
+
+  IF EXISTS (SELECT 1 FROM pg_type WHERE oid = v_type_oid AND typtype = 'e') THEN
+    EXECUTE format('ALTER TYPE %s ADD VALUE IF NOT EXISTS %L', v_type_oid::regtype, 'Fee');
+  ELSE
+    FOR v_constraint IN
+      SELECT conname FROM pg_constraint
+      WHERE conrelid = 'transaction'::regclass AND contype = 'c'
+        AND pg_get_constraintdef(oid) LIKE '%transaction_type%'
+    LOOP
+      EXECUTE format('ALTER TABLE transaction DROP CONSTRAINT %I', v_constraint.conname);
+    END LOOP;
+    ALTER TABLE transaction ADD CONSTRAINT transaction_transaction_type_check
+      CHECK (transaction_type IN ('Deposit', 'Withdrawal', 'Interest', 'Fee'));
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS fee_schedule (
+  fee_id          SERIAL PRIMARY KEY,
+  event_type      VARCHAR(30) NOT NULL CHECK (event_type IN ('maintenance', 'excess_withdrawal', 'early_closure')),
+  saving_plan_id  INTEGER REFERENCES savingplan(saving_plan_id),   -- NULL: all plans
+  calc_type       VARCHAR(10) NOT NULL CHECK (calc_type IN ('flat', 'percentage')),
+  amount          NUMERIC(15, 2) NOT NULL CHECK (amount > 0),      -- LKR, or % of the base amount
+  min_fee         NUMERIC(15, 2) CHECK (min_fee >= 0),             -- bounds for percentage fees
+  max_fee         NUMERIC(15, 2) CHECK (max_fee > 0),
+  free_count      INTEGER CHECK (free_count >= 0),                 -- excess_withdrawal: free withdrawals per month
+  within_days     INTEGER CHECK (within_days > 0),                 -- early_closure: closing within N days of opening
+  active          BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by      INTEGER REFERENCES employee(employee_id),
+  updated_at      TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_fee_schedule_event_plan ON fee_schedule(event_type, COALESCE(saving_plan_id, 0));
+
+CREATE TABLE IF NOT EXISTS fee_charge (
+  charge_id                BIGSERIAL PRIMARY KEY,
+  account_id               INTEGER NOT NULL REFERENCES account(account_id),
+  fee_id                   INTEGER REFERENCES fee_schedule(fee_id),
+  event_type               VARCHAR(30) NOT NULL,
+  amount                   NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  period                   VARCHAR(7),                             -- 'YYYY-MM' for maintenance fees
+  transaction_id           INTEGER NOT NULL UNIQUE REFERENCES transaction(transaction_id),
+  source_transaction_id    INTEGER REFERENCES transaction(transaction_id),   -- what triggered the fee
+  status                   VARCHAR(10) NOT NULL DEFAULT 'charged' CHECK (status IN ('charged', 'waived')),
+  charged_at               TIMESTAMP NOT NULL DEFAULT NOW(),
+  waived_by                INTEGER REFERENCES employee(employee_id),
+  waived_at                TIMESTAMP,
+  waive_reason             VARCHAR(255),
+  waiver_transaction_id    INTEGER REFERENCES transaction(transaction_id)
+);
+
+-- One maintenance fee per account and month
+CREATE UNIQUE INDEX IF NOT EXISTS uq_fee_charge_maintenance ON fee_charge(account_id, period) WHERE event_type = 'maintenance';
+CREATE INDEX IF NOT EXISTS idx_fee_charge_account ON fee_charge(account_id, charged_at);
+
+INSERT INTO permission (permission_key, description) VALUES
+  ('fees.manage', 'Configure the fee schedule'),
+  ('fees.waive', 'Waive (refund) fees charged to branch accounts')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permission (role_name, permission_key) VALUES
+  ('Manager', 'fees.waive')
+ON CONFLICT DO NOTHING;
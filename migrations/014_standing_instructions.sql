@@ -0,0 +1,48 @@
+-- =============================================================================
+-- 014 - STANDING INSTRUCTIONS (RECURRING TRANSFERS)
+-- =============================================================================
+-- A standing instruction moves a fixed amount between two accounts every
+-- day/week/month from start_date until end_date (or until cancelled). Run
+-- dates are start_date + n periods, so monthly instructions keep their day of
+-- month. A failed run is retried on the following scheduler runs; after
+-- STANDING_INSTRUCTION_MAX_RETRIES retries that cycle is skipped.
+-- Every attempt is logged in standing_instruction_run.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS standing_instruction (
+  instruction_id    BIGSERIAL PRIMARY KEY,
+  from_account_id   INTEGER NOT NULL REFERENCES account(account_id),
+  to_account_id     INTEGER NOT NULL REFERENCES account(account_id),
+  amount            NUMERIC(15, 2) NOT NULL CHECK (amount > 0),
+  description       VARCHAR(200),
+  frequency         VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+  start_date        DATE NOT NULL,
+  end_date          DATE,                                  -- NULL: until cancelled
+  next_run_date     DATE NOT NULL,
+  cycle_count       INTEGER NOT NULL DEFAULT 0,            -- cycles done (executed or skipped)
+  failed_attempts   INTEGER NOT NULL DEFAULT 0,            -- failures in the current cycle
+  status            VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+  created_by        INTEGER NOT NULL REFERENCES employee(employee_id),
+  created_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+  cancelled_by      INTEGER REFERENCES employee(employee_id),
+  cancelled_at      TIMESTAMP,
+  cancel_reason     VARCHAR(255),
+  CHECK (from_account_id <> to_account_id),
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_standing_instruction_due ON standing_instruction(next_run_date) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_standing_instruction_from ON standing_instruction(from_account_id);
+
+CREATE TABLE IF NOT EXISTS standing_instruction_run (
+  run_id          BIGSERIAL PRIMARY KEY,
+  instruction_id  BIGINT NOT NULL REFERENCES standing_instruction(instruction_id),
+  scheduled_date  DATE NOT NULL,
+  attempt         INTEGER NOT NULL,
+  status          VARCHAR(10) NOT NULL CHECK (status IN ('success', 'failed')),
+  transfer_id     BIGINT REFERENCES fund_transfer(transfer_id),
+  error_message   VARCHAR(255),
+  run_at          TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_standing_instruction_run_instruction ON standing_instruction_run(instruction_id, run_at);
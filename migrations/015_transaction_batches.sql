@@ -0,0 +1,38 @@
+-- =============================================================================
+-- 015 - BULK TRANSACTION BATCHES
+-- =============================================================================
+-- Group collections are uploaded as one batch (CSV or JSON). Every row is
+-- validated; valid rows are posted as ordinary transactions and invalid rows
+-- are kept with their error. A batch is reversed as a unit through a single
+-- transaction_reversal covering all of its posted transactions.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS transaction_batch (
+  batch_id        BIGSERIAL PRIMARY KEY,
+  reference       VARCHAR(40) NOT NULL UNIQUE,       -- e.g. BAT-20250101-1A2B3C4D
+  branch_id       INTEGER REFERENCES branch(branch_id),
+  description     VARCHAR(255),
+  source          VARCHAR(10) NOT NULL CHECK (source IN ('csv', 'json')),
+  row_count       INTEGER NOT NULL,
+  posted_count    INTEGER NOT NULL,
+  rejected_count  INTEGER NOT NULL,
+  total_amount    NUMERIC(15, 2) NOT NULL,           -- sum of posted rows
+  reversal_id     BIGINT REFERENCES transaction_reversal(reversal_id),
+  created_by      INTEGER NOT NULL REFERENCES employee(employee_id),
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_batch_branch ON transaction_batch(branch_id, created_at);
+
+CREATE TABLE IF NOT EXISTS transaction_batch_item (
+  batch_id          BIGINT NOT NULL REFERENCES transaction_batch(batch_id),
+  row_number        INTEGER NOT NULL,
+  account_id        INTEGER,
+  transaction_type  VARCHAR(20),
+  amount            NUMERIC(15, 2),
+  description       VARCHAR(255),
+  status            VARCHAR(10) NOT NULL CHECK (status IN ('posted', 'rejected')),
+  transaction_id    INTEGER UNIQUE REFERENCES transaction(transaction_id),
+  error_message     VARCHAR(255),
+  PRIMARY KEY (batch_id, row_number)
+);
@@ -0,0 +1,30 @@
+-- =============================================================================
+-- 016 - MANUAL HOLDS AND LIENS
+-- =============================================================================
+-- Managers can block part of an account's balance for a court order, as
+-- collateral or for another reason, optionally until an expiry time.
+-- Approval holds (source 'approval', see 009) keep working as before.
+-- Held funds count against the available balance on every debit path:
+--   available = balance - plan minimum balance - active holds
+-- A hold past expires_at no longer blocks funds; the hold scheduler marks it
+-- 'expired'.
+-- =============================================================================
+
+ALTER TABLE account_hold
+  ADD COLUMN IF NOT EXISTS expires_at    TIMESTAMP,                                -- NULL: until released
+  ADD COLUMN IF NOT EXISTS released_by   INTEGER REFERENCES employee(employee_id),
+  ADD COLUMN IF NOT EXISTS release_note  VARCHAR(255);
+
+ALTER TABLE account_hold DROP CONSTRAINT IF EXISTS account_hold_status_check;
+ALTER TABLE account_hold ADD CONSTRAINT account_hold_status_check
+  CHECK (status IN ('active', 'released', 'consumed', 'expired'));
+
+CREATE INDEX IF NOT EXISTS idx_account_hold_expiry ON account_hold(expires_at) WHERE status = 'active';
+
+INSERT INTO permission (permission_key, description) VALUES
+  ('holds.manage', 'Place and release holds and liens on branch accounts')
+ON CONFLICT (permission_key) DO NOTHING;
+
+INSERT INTO role_permission (role_name, permission_key) VALUES
+  ('Manager', 'holds.manage')
+ON CONFLICT DO NOTHING;
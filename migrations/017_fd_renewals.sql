@@ -0,0 +1,31 @@
+-- =============================================================================
+-- 017 - FIXED DEPOSIT AUTO-RENEWAL
+-- =============================================================================
+-- On maturity an FD with auto_renewal_status = 'True' is rolled into a new
+-- term instead of being paid out: the matured FD is closed and a new FD on
+-- the same plan (at the plan's current rate) is opened from the maturity
+-- date and linked to the same savings account. With capitalise_interest the
+-- last interest credit is moved from the savings account into the new
+-- principal. fd_renewal links each matured FD to the FD that replaced it.
+-- =============================================================================
+
+ALTER TABLE fixeddeposit
+  ADD COLUMN IF NOT EXISTS capitalise_interest BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS fd_renewal (
+  renewal_id              BIGSERIAL PRIMARY KEY,
+  previous_fd_id          INTEGER NOT NULL UNIQUE REFERENCES fixeddeposit(fd_id),
+  new_fd_id               INTEGER NOT NULL UNIQUE REFERENCES fixeddeposit(fd_id),
+  account_id              INTEGER NOT NULL REFERENCES account(account_id),
+  fd_plan_id              INTEGER NOT NULL REFERENCES fdplan(fd_plan_id),
+  interest_rate           NUMERIC(6, 2) NOT NULL,            -- plan rate applied to the new term
+  previous_principal      NUMERIC(15, 2) NOT NULL,
+  capitalised_interest    NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  new_principal           NUMERIC(15, 2) NOT NULL,
+  previous_maturity_date  DATE NOT NULL,
+  new_maturity_date       DATE NOT NULL,
+  capitalisation_transaction_id INTEGER REFERENCES transaction(transaction_id),
+  renewed_at              TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fd_renewal_account ON fd_renewal(account_id, renewed_at);
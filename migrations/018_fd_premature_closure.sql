@@ -0,0 +1,57 @@
+-- =============================================================================
+-- 018 - PREMATURE FIXED DEPOSIT CLOSURE
+-- =============================================================================
+-- Closing an FD before maturity re-prices it: interest for the days actually
+-- held is recomputed at the plan's premature rate (fdplan_premature_rate, or
+-- the plan rate less FD_PREMATURE_RATE_REDUCTION points when not set).
+-- Interest already credited above that is deducted from the principal paid
+-- back; interest earned but not yet credited is paid as a top-up.
+-- A 'fd_premature_closure' fee, if scheduled, is charged as a penalty.
+-- Closures of FDs above the branch's fd_premature_threshold wait for a
+-- Manager. Every closure (premature or at maturity) is logged in fd_closure.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS fdplan_premature_rate (
+  fd_plan_id      INTEGER PRIMARY KEY REFERENCES fdplan(fd_plan_id),
+  premature_rate  NUMERIC(6, 2) NOT NULL CHECK (premature_rate >= 0),   -- % per annum
+  updated_by      INTEGER REFERENCES employee(employee_id),
+  updated_at      TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE branch_approval_threshold
+  ADD COLUMN IF NOT EXISTS fd_premature_threshold NUMERIC(15, 2) CHECK (fd_premature_threshold > 0);  -- NULL: never needs approval
+
+ALTER TABLE fee_schedule DROP CONSTRAINT IF EXISTS fee_schedule_event_type_check;
+ALTER TABLE fee_schedule ADD CONSTRAINT fee_schedule_event_type_check
+  CHECK (event_type IN ('maintenance', 'excess_withdrawal', 'early_closure', 'fd_premature_closure'));
+
+CREATE TABLE IF NOT EXISTS fd_closure (
+  closure_id            BIGSERIAL PRIMARY KEY,
+  fd_id                 INTEGER NOT NULL REFERENCES fixeddeposit(fd_id),
+  account_id            INTEGER NOT NULL REFERENCES account(account_id),
+  closure_type          VARCHAR(10) NOT NULL CHECK (closure_type IN ('premature', 'matured')),
+  status                VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'rejected')),
+  reason                VARCHAR(255),
+  principal             NUMERIC(15, 2) NOT NULL,
+  contract_rate         NUMERIC(6, 2) NOT NULL,
+  applied_rate          NUMERIC(6, 2) NOT NULL,
+  days_held             INTEGER NOT NULL,
+  interest_paid         NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  interest_entitled     NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  interest_clawback     NUMERIC(15, 2) NOT NULL DEFAULT 0,      -- deducted from the principal
+  interest_topup        NUMERIC(15, 2) NOT NULL DEFAULT 0,      -- credited as Interest
+  penalty_amount        NUMERIC(15, 2) NOT NULL DEFAULT 0,
+  payout_amount         NUMERIC(15, 2) NOT NULL,
+  payout_transaction_id INTEGER REFERENCES transaction(transaction_id),
+  topup_transaction_id  INTEGER REFERENCES transaction(transaction_id),
+  penalty_charge_id     BIGINT REFERENCES fee_charge(charge_id),
+  requested_by          INTEGER NOT NULL REFERENCES employee(employee_id),
+  requested_at          TIMESTAMP NOT NULL DEFAULT NOW(),
+  decided_by            INTEGER REFERENCES employee(employee_id),
+  decided_at            TIMESTAMP,
+  decision_note         VARCHAR(255)
+);
+
+-- At most one open or completed closure per FD
+CREATE UNIQUE INDEX IF NOT EXISTS uq_fd_closure_fd ON fd_closure(fd_id) WHERE status IN ('pending', 'completed');
+CREATE INDEX IF NOT EXISTS idx_fd_closure_status ON fd_closure(status, requested_at);
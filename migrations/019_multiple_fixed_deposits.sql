@@ -0,0 +1,125 @@
+-- =============================================================================
+-- 019 - MULTIPLE FIXED DEPOSITS PER SAVINGS ACCOUNT
+-- =============================================================================
+-- account.fd_id allowed a savings account to link to a single FD, and was
+-- cleared when the FD closed. The link now lives on the FD instead:
+-- fixeddeposit.account_id is the savings account that funded the FD and
+-- receives its interest and payout, so an account can hold any number of FDs
+-- (e.g. a ladder of tenures) and closed FDs keep their history.
+--
+-- FD interest crediting and maturity payout are redefined on the new link.
+-- Interest is due every 30 days from the last credit (or the open date); the
+-- final period up to the maturity date is paid on maturity even if shorter.
+-- v_active_fd_overview is recreated before account.fd_id is dropped; any
+-- other view built on account.fd_id must be recreated the same way.
+-- =============================================================================
+
+ALTER TABLE fixeddeposit
+  ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES account(account_id);
+
+-- Active FDs: the account link as it stands
+UPDATE fixeddeposit fd SET account_id = a.account_id
+FROM account a
+WHERE a.fd_id = fd.fd_id AND fd.account_id IS NULL;
+
+-- Closed FDs lost their link; recover it from renewals, closures and interest credits
+UPDATE fixeddeposit fd SET account_id = r.account_id
+FROM fd_renewal r
+WHERE r.previous_fd_id = fd.fd_id AND fd.account_id IS NULL;
+
+UPDATE fixeddeposit fd SET account_id = c.account_id
+FROM fd_closure c
+WHERE c.fd_id = fd.fd_id AND fd.account_id IS NULL;
+
+UPDATE fixeddeposit fd SET account_id = ic.credited_to_account_id
+FROM fd_interest_calculations ic
+WHERE ic.fd_id = fd.fd_id AND ic.credited_to_account_id IS NOT NULL AND fd.account_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_fixeddeposit_account ON fixeddeposit(account_id, fd_status);
+
+-- -----------------------------------------------------------------------------
+-- Interest due: one row per active FD whose 30-day period (or final period) ended
+-- -----------------------------------------------------------------------------
+DROP FUNCTION IF EXISTS calculate_fd_interest_due(DATE);
+CREATE FUNCTION calculate_fd_interest_due(p_date DATE)
+RETURNS TABLE (
+  fd_id             INTEGER,
+  linked_account_id INTEGER,
+  fd_balance        NUMERIC,
+  interest_rate     NUMERIC,
+  days_in_period    INTEGER,
+  interest_amount   NUMERIC
+)
+LANGUAGE sql STABLE AS $$
+  SELECT fd.fd_id, fd.account_id, fd.fd_balance, fp.interest,
+         (p.period_end - p.period_start)::INTEGER,
+         ROUND(fd.fd_balance * fp.interest / 100 * (p.period_end - p.period_start) / 365, 2)
+  FROM fixeddeposit fd
+  JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
+  JOIN account a ON a.account_id = fd.account_id AND a.account_status = 'Active'
+  CROSS JOIN LATERAL (
+    SELECT COALESCE(MAX(ic.calculation_date), fd.open_date::DATE) AS period_start,
+           LEAST(p_date, fd.maturity_date::DATE) AS period_end
+    FROM fd_interest_calculations ic
+    WHERE ic.fd_id = fd.fd_id AND ic.status = 'credited'
+  ) p
+  WHERE fd.fd_status = 'Active'
+    AND p.period_end > p.period_start
+    AND (p.period_end - p.period_start >= 30 OR p.period_end = fd.maturity_date::DATE)
+$$;
+
+-- -----------------------------------------------------------------------------
+-- Maturity payout: principal of every matured active FD back to its account
+-- -----------------------------------------------------------------------------
+DROP FUNCTION IF EXISTS process_matured_fixed_deposits();
+CREATE FUNCTION process_matured_fixed_deposits()
+RETURNS TABLE (processed_count INTEGER, total_principal_returned NUMERIC)
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_fd     RECORD;
+  v_actor  INTEGER := COALESCE(NULLIF(current_setting('app.actor_employee_id', true), ''), '1')::INTEGER;
+  v_count  INTEGER := 0;
+  v_total  NUMERIC := 0;
+BEGIN
+  FOR v_fd IN
+    SELECT f.fd_id, f.fd_balance, f.account_id
+    FROM fixeddeposit f
+    JOIN account a ON a.account_id = f.account_id AND a.account_status = 'Active'
+    WHERE f.fd_status = 'Active' AND f.maturity_date <= CURRENT_DATE
+    ORDER BY f.maturity_date, f.fd_id
+    FOR UPDATE OF f
+  LOOP
+    PERFORM create_transaction_with_validation(
+      'Deposit', v_fd.fd_balance, 'FD Maturity - Principal Return (' || v_fd.fd_id || ')', v_fd.account_id, v_actor
+    );
+    UPDATE fixeddeposit SET fd_status = 'Closed' WHERE fixeddeposit.fd_id = v_fd.fd_id;
+    v_count := v_count + 1;
+    v_total := v_total + v_fd.fd_balance;
+  END LOOP;
+
+  RETURN QUERY SELECT v_count, v_total;
+END;
+$$;
+
+-- -----------------------------------------------------------------------------
+-- Active FD overview (admin report), one row per FD
+-- -----------------------------------------------------------------------------
+DROP VIEW IF EXISTS v_active_fd_overview;
+CREATE VIEW v_active_fd_overview AS
+SELECT
+  fd.fd_id, fd.fd_balance, fd.open_date, fd.maturity_date, fd.auto_renewal_status,
+  fp.fd_options, fp.interest,
+  a.account_id, a.branch_id, COALESCE(b.name, 'Unknown') AS branch_name,
+  STRING_AGG(DISTINCT c.first_name || ' ' || c.last_name, ', ') AS customer_names,
+  STRING_AGG(DISTINCT c.nic, ', ') AS customer_nics
+FROM fixeddeposit fd
+JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
+JOIN account a ON fd.account_id = a.account_id
+LEFT JOIN branch b ON a.branch_id = b.branch_id
+LEFT JOIN takes t ON a.account_id = t.account_id
+LEFT JOIN customer c ON t.customer_id = c.customer_id
+WHERE fd.fd_status = 'Active'
+GROUP BY fd.fd_id, fd.fd_balance, fd.open_date, fd.maturity_date, fd.auto_renewal_status,
+         fp.fd_options, fp.interest, a.account_id, a.branch_id, b.name;
+
+ALTER TABLE account DROP COLUMN IF EXISTS fd_id;
@@ -0,0 +1,28 @@
+-- =============================================================================
+-- 020 - FIXED DEPOSIT CERTIFICATES
+-- =============================================================================
+-- Each FD gets one certificate with a serial number (FDC-YYYY-NNNNNN),
+-- issued when the FD is opened or, for FDs opened earlier or by renewal, on
+-- first print. Every print is logged in fd_certificate_print; prints after
+-- the first are reprints, need a reason and are marked DUPLICATE.
+-- =============================================================================
+
+CREATE SEQUENCE IF NOT EXISTS fd_certificate_serial_seq;
+
+CREATE TABLE IF NOT EXISTS fd_certificate (
+  certificate_id  BIGSERIAL PRIMARY KEY,
+  fd_id           INTEGER NOT NULL UNIQUE REFERENCES fixeddeposit(fd_id),
+  serial_no       VARCHAR(20) NOT NULL UNIQUE,
+  issued_by       INTEGER NOT NULL REFERENCES employee(employee_id),
+  issued_at       TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS fd_certificate_print (
+  print_id        BIGSERIAL PRIMARY KEY,
+  certificate_id  BIGINT NOT NULL REFERENCES fd_certificate(certificate_id),
+  print_number    INTEGER NOT NULL,                  -- 1 = original, 2+ = reprints
+  reason          VARCHAR(255),                      -- required for reprints
+  printed_by      INTEGER NOT NULL REFERENCES employee(employee_id),
+  printed_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (certificate_id, print_number)
+);
@@ -0,0 +1,35 @@
+-- =============================================================================
+-- 022 - FIXED DEPOSIT FUNDING TRANSACTIONS
+-- =============================================================================
+-- fixeddeposit.funding_transaction_id is the savings withdrawal that funded
+-- the FD. Reversals refuse transactions owned by another flow (FD funding,
+-- FD closure and maturity payouts, renewal capitalisation, fee waivers, bulk
+-- batch rows), so the funding leg must be known.
+-- Existing FDs are linked to their 'Fixed Deposit Creation' withdrawal where
+-- exactly one matches (same account, amount and day); FDs opened by renewal
+-- have no funding withdrawal.
+-- =============================================================================
+
+ALTER TABLE fixeddeposit
+  ADD COLUMN IF NOT EXISTS funding_transaction_id INTEGER UNIQUE REFERENCES transaction(transaction_id);
+
+WITH candidates AS (
+  SELECT f.fd_id, t.transaction_id
+  FROM fixeddeposit f
+  JOIN transaction t
+    ON t.account_id = f.account_id
+   AND t.transaction_type = 'Withdrawal'
+   AND t.amount = f.fd_balance
+   AND t.description LIKE 'Fixed Deposit Creation%'
+   AND DATE(t.time) = f.open_date::DATE
+  WHERE f.funding_transaction_id IS NULL
+    AND NOT EXISTS (SELECT 1 FROM fd_renewal r WHERE r.new_fd_id = f.fd_id)
+), unambiguous AS (
+  SELECT c.fd_id, c.transaction_id
+  FROM candidates c
+  WHERE (SELECT COUNT(*) FROM candidates x WHERE x.fd_id = c.fd_id) = 1
+    AND (SELECT COUNT(*) FROM candidates x WHERE x.transaction_id = c.transaction_id) = 1
+)
+UPDATE fixeddeposit fd SET funding_transaction_id = u.transaction_id
+FROM unambiguous u
+WHERE u.fd_id = fd.fd_id;
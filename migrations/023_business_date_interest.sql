@@ -0,0 +1,61 @@
+-- =============================================================================
+-- 023 - INTEREST AND MATURITY ON BRANCH BUSINESS DATES
+-- =============================================================================
+-- The daily interest jobs run per branch business date (see migration 012)
+-- instead of the server's calendar date: interest is calculated and recorded
+-- as of each branch's current business date, and an FD matures once its
+-- branch's business date reaches the maturity date. After an EOD roll the
+-- branch is already on the next day, so its postings and runs use that date.
+-- process_matured_fixed_deposits() is otherwise unchanged from migration 021.
+-- =============================================================================
+
+DROP FUNCTION IF EXISTS process_matured_fixed_deposits();
+CREATE FUNCTION process_matured_fixed_deposits()
+RETURNS TABLE (processed_count INTEGER, total_principal_returned NUMERIC)
+LANGUAGE plpgsql AS $$
+DECLARE
+  v_fd     RECORD;
+  v_actor  INTEGER := COALESCE(NULLIF(current_setting('app.actor_employee_id', true), ''), '1')::INTEGER;
+  v_tx     INTEGER;
+  v_count  INTEGER := 0;
+  v_total  NUMERIC := 0;
+BEGIN
+  FOR v_fd IN
+    SELECT f.fd_id, f.fd_balance, f.account_id, f.open_date, fp.interest,
+           COALESCE(bbd.business_date, CURRENT_DATE) AS business_date,
+           COALESCE((SELECT SUM(ic.interest_amount) FROM fd_interest_calculations ic
+                     WHERE ic.fd_id = f.fd_id AND ic.status = 'credited'), 0) AS interest_paid
+    FROM fixeddeposit f
+    JOIN fdplan fp ON f.fd_plan_id = fp.fd_plan_id
+    JOIN account a ON a.account_id = f.account_id AND a.account_status = 'Active'
+    LEFT JOIN branch_business_date bbd ON bbd.branch_id = a.branch_id
+    WHERE f.fd_status = 'Active' AND f.maturity_date <= COALESCE(bbd.business_date, CURRENT_DATE)
+    ORDER BY f.maturity_date, f.fd_id
+    FOR UPDATE OF f
+  LOOP
+    UPDATE fd_closure
+    SET status = 'rejected', decided_by = v_actor, decided_at = NOW(),
+        decision_note = 'Superseded: fixed deposit matured and was paid out in full'
+    WHERE fd_closure.fd_id = v_fd.fd_id AND fd_closure.status = 'pending';
+
+    SELECT create_transaction_with_validation(
+      'Deposit', v_fd.fd_balance, 'FD Maturity - Principal Return (' || v_fd.fd_id || ')', v_fd.account_id, v_actor
+    ) INTO v_tx;
+    UPDATE fixeddeposit SET fd_status = 'Closed' WHERE fixeddeposit.fd_id = v_fd.fd_id;
+
+    INSERT INTO fd_closure
+      (fd_id, account_id, closure_type, status, principal, contract_rate, applied_rate, days_held,
+       interest_paid, interest_entitled, payout_amount, payout_transaction_id,
+       requested_by, decided_by, decided_at)
+    VALUES
+      (v_fd.fd_id, v_fd.account_id, 'matured', 'completed', v_fd.fd_balance, v_fd.interest, v_fd.interest,
+       v_fd.business_date - v_fd.open_date::DATE, v_fd.interest_paid, v_fd.interest_paid, v_fd.fd_balance, v_tx,
+       v_actor, v_actor, NOW());
+
+    v_count := v_count + 1;
+    v_total := v_total + v_fd.fd_balance;
+  END LOOP;
+
+  RETURN QUERY SELECT v_count, v_total;
+END;
+$$;
@@ -0,0 +1,16 @@
+-- =============================================================================
+-- 024 - SINGLE-USE 2FA LOGIN CHALLENGES
+-- =============================================================================
+-- An mfa_verify challenge token completes one login only. Its jti is recorded
+-- when the login succeeds; presenting the same token again is rejected.
+-- Rows are only needed until the token expires and are purged after that.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS mfa_challenge_use (
+  jti          UUID PRIMARY KEY,
+  employee_id  INTEGER NOT NULL REFERENCES employee(employee_id),
+  used_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+  expires_at   TIMESTAMP NOT NULL              -- expiry of the challenge token
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_challenge_use_expires ON mfa_challenge_use(expires_at);
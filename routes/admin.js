@@ -3,55 +3,169 @@
 // =============================================================================
 const express = require('express');
 const router = express.Router();
-const { authorize } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const {
+  validateId,
+  validateRoleParam,
+  validateEmployeeRegistration,
+  validateUserStatus,
+  validatePasswordReset,
+  validateMfaPolicy,
+  validateBranchCreation,
+  validateApprovalThresholds,
+  validatePlanLimits,
+  validatePlanId,
+  validatePrematureRate,
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateBusinessDateQuery,
+  validateFeeSchedule,
+  validateDateRange,
+  validateMaturitiesQuery
+} = require('../middleware/validation');
 
 const adminController = require('../controllers/adminController');
 
 // All routes here require JWT authentication (applied in index.js)
-// Additional role check for Admin only
-router.use(authorize('Admin'));
+// Each route additionally requires a permission (see /api/admin/roles)
 
 /**
  * POST /api/admin/register
  * Register a new employee (Admin, Manager, Agent)
  */
-router.post('/register', adminController.registerEmployee);
+router.post('/register', requirePermission('employees.manage'), validateEmployeeRegistration, adminController.registerEmployee);
 
 /**
  * GET /api/admin/users
  * Get all users/employees
  */
-router.get('/users', adminController.getUsers);
+router.get('/users', requirePermission('employees.view'), adminController.getUsers);
 
 /**
  * DELETE /api/admin/users/:id
  * Delete a user/employee
  */
-router.delete('/users/:id', adminController.deleteUser);
+router.delete('/users/:id', requirePermission('employees.manage'), validateId, adminController.deleteUser);
 
 /**
  * PATCH /api/admin/users/:id/status
  * Activate/Deactivate a user (soft delete/restore)
  */
-router.patch('/users/:id/status', adminController.updateUserStatus);
+router.patch('/users/:id/status', requirePermission('employees.manage'), validateUserStatus, adminController.updateUserStatus);
+
+/**
+ * POST /api/admin/users/:id/reset-password
+ * Issue a one-time temporary password (forces change on next login)
+ */
+router.post('/users/:id/reset-password', requirePermission('employees.manage'), validatePasswordReset, adminController.resetUserPassword);
+
+/**
+ * DELETE /api/admin/users/:id/mfa
+ * Reset a user's two-factor authentication (lost device)
+ */
+router.delete('/users/:id/mfa', requirePermission('security.manage'), validateId, adminController.resetUserMfa);
+
+/**
+ * GET /api/admin/security/mfa-policy
+ * PUT /api/admin/security/mfa-policy
+ * View / change which roles must use two-factor authentication
+ */
+router.get('/security/mfa-policy', requirePermission('security.manage'), adminController.getMfaPolicy);
+router.put('/security/mfa-policy', requirePermission('security.manage'), validateMfaPolicy, adminController.updateMfaPolicy);
+
+/**
+ * POST /api/admin/users/:id/unlock
+ * Clear a login lockout caused by failed attempts
+ */
+router.post('/users/:id/unlock', requirePermission('security.manage'), validateId, adminController.unlockUser);
+
+/**
+ * GET /api/admin/security/lockouts
+ * Usernames and IPs currently locked out
+ */
+router.get('/security/lockouts', requirePermission('security.manage'), adminController.getLockouts);
+
+/**
+ * GET /api/admin/login-history
+ * Login attempts (success/failure, IP, user agent)
+ */
+router.get('/login-history', requirePermission('security.manage'), adminController.getLoginHistory);
 
 /**
  * GET /api/admin/branches
  * Get all branches
  */
-router.get('/branches', adminController.getBranches);
+router.get('/branches', requirePermission('branches.view'), adminController.getBranches);
 
 /**
  * POST /api/admin/branches
  * Create a new branch
  */
-router.post('/branches', adminController.createBranch);
+router.post('/branches', requirePermission('branches.manage'), validateBranchCreation, adminController.createBranch);
 
 /**
  * DELETE /api/admin/branches/:id
  * Delete a branch
  */
-router.delete('/branches/:id', adminController.deleteBranch);
+router.delete('/branches/:id', requirePermission('branches.manage'), validateId, adminController.deleteBranch);
+
+/**
+ * GET /api/admin/branches/:id/approval-thresholds
+ * PUT /api/admin/branches/:id/approval-thresholds
+ * Amounts above which deposits/withdrawals need Manager approval
+ */
+router.get('/branches/:id/approval-thresholds', requirePermission('branches.view'), validateId, adminController.getApprovalThresholds);
+router.put('/branches/:id/approval-thresholds', requirePermission('branches.manage'), validateApprovalThresholds, adminController.updateApprovalThresholds);
+
+/**
+ * GET /api/admin/plan-limits
+ * PUT /api/admin/plan-limits/:planId
+ * DELETE /api/admin/plan-limits/:planId
+ * Per saving plan withdrawal/deposit limits
+ */
+router.get('/plan-limits', requirePermission('plans.manage'), adminController.getPlanLimits);
+router.put('/plan-limits/:planId', requirePermission('plans.manage'), validatePlanLimits, adminController.updatePlanLimits);
+router.delete('/plan-limits/:planId', requirePermission('plans.manage'), validatePlanId, adminController.deletePlanLimits);
+
+/**
+ * GET /api/admin/fd-plans
+ * PUT /api/admin/fd-plans/:planId/premature-rate
+ * Rate applied when an FD is closed before maturity
+ */
+router.get('/fd-plans', requirePermission('plans.manage'), adminController.getFdPlans);
+router.put('/fd-plans/:planId/premature-rate', requirePermission('plans.manage'), validatePrematureRate, adminController.updateFdPlanPrematureRate);
+
+/**
+ * GET /api/admin/fees/schedule
+ * PUT /api/admin/fees/schedule
+ * DELETE /api/admin/fees/schedule/:id
+ * Fee schedule (flat/percentage fees per event type and saving plan)
+ */
+router.get('/fees/schedule', requirePermission('fees.manage'), adminController.getFeeSchedule);
+router.put('/fees/schedule', requirePermission('fees.manage'), validateFeeSchedule, adminController.updateFeeSchedule);
+router.delete('/fees/schedule/:id', requirePermission('fees.manage'), validateId, adminController.deleteFeeSchedule);
+
+/**
+ * GET /api/admin/permissions
+ * Permission catalogue
+ */
+router.get('/permissions', requirePermission('roles.manage'), adminController.getPermissions);
+
+/**
+ * GET /api/admin/roles
+ * POST /api/admin/roles
+ * List roles with their permissions / create a custom role
+ */
+router.get('/roles', requirePermission('roles.manage'), adminController.getRoles);
+router.post('/roles', requirePermission('roles.manage'), validateRoleCreation, adminController.createRole);
+
+/**
+ * PUT /api/admin/roles/:role
+ * DELETE /api/admin/roles/:role
+ * Replace a role's description/permission set / delete an unused custom role
+ */
+router.put('/roles/:role', requirePermission('roles.manage'), validateRoleUpdate, adminController.updateRole);
+router.delete('/roles/:role', requirePermission('roles.manage'), validateRoleParam, adminController.deleteRole);
 
 // Removed: POST /api/admin/refresh-views (materialized views removed)
 
@@ -59,23 +173,26 @@ router.delete('/branches/:id', adminController.deleteBranch);
  * GET /api/admin/reports/*
  * Various admin reports
  */
-router.get('/reports/agent-transactions', adminController.getAgentTransactionsReport);
-router.get('/reports/account-summaries', adminController.getAccountSummariesReport);
-router.get('/reports/active-fds', adminController.getActiveFDsReport);
-router.get('/reports/interest-summary', adminController.getInterestSummaryReport);
-router.get('/reports/customer-activity', adminController.getCustomerActivityReport);
+router.get('/reports/agent-transactions', requirePermission('reports.view'), adminController.getAgentTransactionsReport);
+router.get('/reports/account-summaries', requirePermission('reports.view'), adminController.getAccountSummariesReport);
+router.get('/reports/active-fds', requirePermission('reports.view'), adminController.getActiveFDsReport);
+router.get('/reports/interest-summary', requirePermission('reports.view'), adminController.getInterestSummaryReport);
+router.get('/reports/customer-activity', requirePermission('reports.view'), adminController.getCustomerActivityReport);
+router.get('/reports/fee-income', requirePermission('reports.view'), validateDateRange, adminController.getFeeIncomeReport);
+router.get('/reports/eod', requirePermission('reports.view'), validateBusinessDateQuery, adminController.getEodReport);
+router.get('/reports/fd-maturities', requirePermission('reports.view'), validateMaturitiesQuery, adminController.getFdMaturitiesReport);
 
 /**
  * GET /api/admin/savings-interest/summary
  * Savings interest automation summary for Admin UI
  */
-router.get('/savings-interest/summary', adminController.getSavingsInterestSummary);
+router.get('/savings-interest/summary', requirePermission('reports.view'), adminController.getSavingsInterestSummary);
 
 /**
  * GET /api/admin/fd-interest/summary
  * Fixed Deposit interest automation summary for Admin UI
  */
-router.get('/fd-interest/summary', adminController.getFDInterestSummary);
+router.get('/fd-interest/summary', requirePermission('reports.view'), adminController.getFDInterestSummary);
 
 // TODO: Add more admin routes as needed
 
@@ -3,161 +3,271 @@
 // =============================================================================
 const express = require('express');
 const router = express.Router();
-const { authorize } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { loadBranchScope } = require('../middleware/branchScope');
+const { csvBody } = require('../middleware/csvBody');
+const {
+  validateTransaction,
+  validateTransfer,
+  validateStandingInstruction,
+  validateStandingInstructionCancel,
+  validateReversal,
+  validateReceiptQuery,
+  validateTillOpen,
+  validateTillClose,
+  validateCustomerRegistration,
+  validateCustomerUpdate,
+  validateCustomerContactUpdate,
+  validateAccountCreation,
+  validateAccountDeactivation,
+  validatePlanChange,
+  validateStatementQuery,
+  validateFDCreation,
+  validateFDDeactivation,
+  validateCertificateQuery,
+  validateId,
+  validateBulkTransactions,
+  validateBatchReversal
+} = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
 const agentController = require('../controllers/agentController');
 
 // All routes here require JWT authentication (applied in index.js)
-// Additional role check for Agent/Admin
-router.use(authorize('Agent', 'Admin'));
+// Each route additionally requires a permission (see /api/admin/roles)
+// Customer/account lookups are limited to the caller's branch (except Admin)
+// Money-moving POSTs accept an optional Idempotency-Key header (safe retries)
+router.use(loadBranchScope);
 
 /**
  * POST /api/agent/transactions/process
  * Process a transaction (deposit/withdrawal)
  */
-router.post('/transactions/process', agentController.processTransaction);
+router.post('/transactions/process', requirePermission('transactions.process'), validateTransaction, idempotent, agentController.processTransaction);
+
+/**
+ * GET /api/agent/transactions/:id/receipt?format=pdf|text
+ * Printable receipt (PDF or 58mm thermal text) with a verification code
+ */
+router.get('/transactions/:id/receipt', requirePermission('transactions.process'), validateReceiptQuery, agentController.getTransactionReceipt);
+
+/**
+ * POST /api/agent/transactions/bulk
+ * GET /api/agent/transactions/bulk
+ * GET /api/agent/transactions/bulk/:id
+ * POST /api/agent/transactions/bulk/:id/reverse
+ * Bulk deposit upload (JSON or text/csv) posted as one batch; reversed as a unit
+ */
+router.post('/transactions/bulk', requirePermission('transactions.process'), csvBody('transactions'), validateBulkTransactions, idempotent, agentController.createTransactionBatch);
+router.get('/transactions/bulk', requirePermission('transactions.view'), agentController.getTransactionBatches);
+router.get('/transactions/bulk/:id', requirePermission('transactions.view'), validateId, agentController.getTransactionBatch);
+router.post('/transactions/bulk/:id/reverse', requirePermission('transactions.reverse'), validateBatchReversal, idempotent, agentController.reverseTransactionBatch);
+
+/**
+ * POST /api/agent/transfers
+ * Transfer funds between two accounts (linked debit/credit pair)
+ */
+router.post('/transfers', requirePermission('transactions.process'), validateTransfer, idempotent, agentController.createTransfer);
+
+/**
+ * POST /api/agent/standing-instructions
+ * GET /api/agent/standing-instructions
+ * GET /api/agent/standing-instructions/:id
+ * POST /api/agent/standing-instructions/:id/cancel
+ * Recurring transfers executed by the standing instruction scheduler
+ */
+router.post('/standing-instructions', requirePermission('transactions.process'), validateStandingInstruction, idempotent, agentController.createStandingInstruction);
+router.get('/standing-instructions', requirePermission('accounts.view'), agentController.getStandingInstructions);
+router.get('/standing-instructions/:id', requirePermission('accounts.view'), validateId, agentController.getStandingInstruction);
+router.post('/standing-instructions/:id/cancel', requirePermission('transactions.process'), validateStandingInstructionCancel, agentController.cancelStandingInstruction);
+
+/**
+ * POST /api/agent/transactions/:id/reverse
+ * Reverse a transaction (same-day directly, older ones need Manager approval)
+ */
+router.post('/transactions/:id/reverse', requirePermission('transactions.reverse'), validateReversal, idempotent, agentController.reverseTransaction);
+
+/**
+ * GET /api/agent/till
+ * Current till session with expected cash
+ */
+router.get('/till', requirePermission('till.operate'), agentController.getTill);
+
+/**
+ * POST /api/agent/till/open
+ * POST /api/agent/till/close
+ * Open a till with a cash float / close it with the counted cash
+ */
+router.post('/till/open', requirePermission('till.operate'), validateTillOpen, agentController.openTill);
+router.post('/till/close', requirePermission('till.operate'), validateTillClose, agentController.closeTill);
 
 /**
  * POST /api/agent/customers/register
  * Register a new customer
  */
-router.post('/customers/register', agentController.registerCustomer);
+router.post('/customers/register', requirePermission('customers.manage'), validateCustomerRegistration, agentController.registerCustomer);
 
 /**
  * GET /api/agent/customers
  * Get all customers
  */
-router.get('/customers', agentController.getCustomers);
+router.get('/customers', requirePermission('customers.view'), agentController.getCustomers);
 
 /**
  * GET /api/agent/customers/by-nic/:nic
  * Get a single customer by NIC/Birth Certificate number (exact)
  */
-router.get('/customers/by-nic/:nic', agentController.getCustomerByNic);
+router.get('/customers/by-nic/:nic', requirePermission('customers.view'), agentController.getCustomerByNic);
 
 /**
  * GET /api/agent/customers/:id
  * Get customer details by ID
  */
-router.get('/customers/:id', agentController.getCustomerById);
+router.get('/customers/:id', requirePermission('customers.view'), agentController.getCustomerById);
 
 /**
  * PUT /api/agent/customers/:id
  * Update customer details
  */
-router.put('/customers/:id', agentController.updateCustomer);
+router.put('/customers/:id', requirePermission('customers.manage'), validateCustomerUpdate, agentController.updateCustomer);
 
 /**
  * PUT /api/agent/customers/:id/contact
  * Update customer contact details only
  */
-router.put('/customers/:id/contact', agentController.updateCustomerContact);
+router.put('/customers/:id/contact', requirePermission('customers.manage'), validateCustomerContactUpdate, agentController.updateCustomerContact);
 
 /**
  * POST /api/agent/accounts/create
  * Create a new account for customer
  */
-router.post('/accounts/create', agentController.createAccount);
+router.post('/accounts/create', requirePermission('accounts.open'), validateAccountCreation, idempotent, agentController.createAccount);
 
 /**
  * GET /api/agent/accounts
  * Get active accounts for transaction processing
  */
-router.get('/accounts', agentController.getAccounts);
+router.get('/accounts', requirePermission('accounts.view'), agentController.getAccounts);
 
 /**
  * GET /api/agent/accounts/:id/details
  * Get full details for a specific account
  */
-router.get('/accounts/:id/details', agentController.getAccountDetails);
+router.get('/accounts/:id/details', requirePermission('accounts.view'), agentController.getAccountDetails);
+
+/**
+ * GET /api/agent/accounts/:id/fixed-deposits?status=Active|Closed
+ * Every fixed deposit funded from the account
+ */
+router.get('/accounts/:id/fixed-deposits', requirePermission('fixed_deposits.view'), validateId, agentController.getAccountFixedDeposits);
+
+/**
+ * GET /api/agent/accounts/:id/statement?from=&to=&format=json|csv|pdf
+ * Account statement with opening/closing and running balances
+ */
+router.get('/accounts/:id/statement', requirePermission('accounts.view'), validateStatementQuery, agentController.getAccountStatement);
 
 /**
  * GET /api/agent/performance
  * Get agent performance metrics
  */
-router.get('/performance', agentController.getPerformance);
+router.get('/performance', requirePermission('transactions.view'), agentController.getPerformance);
 
 /**
  * GET /api/agent/transactions/recent
  * Get recent transactions
  */
-router.get('/transactions/recent', agentController.getRecentTransactions);
+router.get('/transactions/recent', requirePermission('transactions.view'), agentController.getRecentTransactions);
 
 /**
  * POST /api/agent/fixed-deposits/create
  * Create a new fixed deposit
  */
-router.post('/fixed-deposits/create', agentController.createFixedDeposit);
+router.post('/fixed-deposits/create', requirePermission('fixed_deposits.manage'), validateFDCreation, idempotent, agentController.createFixedDeposit);
 
 /**
  * GET /api/agent/fixed-deposits/search
  * Search fixed deposits
  */
-router.get('/fixed-deposits/search', agentController.searchFixedDeposits);
+router.get('/fixed-deposits/search', requirePermission('fixed_deposits.view'), agentController.searchFixedDeposits);
 
 /**
  * GET /api/agent/fixed-deposits/by-nic/:nic
  * Get fixed deposits by exact NIC/Birth Certificate number
  */
-router.get('/fixed-deposits/by-nic/:nic', agentController.getFixedDepositsByNic);
+router.get('/fixed-deposits/by-nic/:nic', requirePermission('fixed_deposits.view'), agentController.getFixedDepositsByNic);
+
+/**
+ * GET /api/agent/fixed-deposits/:id/renewals
+ * Auto-renewal history of a fixed deposit
+ */
+router.get('/fixed-deposits/:id/renewals', requirePermission('fixed_deposits.view'), validateId, agentController.getFixedDepositRenewals);
+
+/**
+ * GET /api/agent/fixed-deposits/:id/certificate?reason=
+ * GET /api/agent/fixed-deposits/:id/certificate/prints
+ * Deposit certificate (PDF) and its print log; reprints need a reason
+ */
+router.get('/fixed-deposits/:id/certificate', requirePermission('fixed_deposits.view'), validateCertificateQuery, agentController.getFixedDepositCertificate);
+router.get('/fixed-deposits/:id/certificate/prints', requirePermission('fixed_deposits.view'), validateId, agentController.getFixedDepositCertificatePrints);
 
 /**
  * POST /api/agent/fixed-deposits/deactivate
  * Deactivate a fixed deposit
  */
-router.post('/fixed-deposits/deactivate', agentController.deactivateFixedDeposit);
+router.post('/fixed-deposits/deactivate', requirePermission('fixed_deposits.manage'), validateFDDeactivation, agentController.deactivateFixedDeposit);
 
 /**
  * POST /api/agent/accounts/deactivate
  * Deactivate an account
  */
-router.post('/accounts/deactivate', agentController.deactivateAccount);
+router.post('/accounts/deactivate', requirePermission('accounts.close'), validateAccountDeactivation, idempotent, agentController.deactivateAccount);
 
 /**
  * GET /api/agent/accounts/search/:searchTerm
  * Search accounts by term
  */
-router.get('/accounts/search/:searchTerm', agentController.searchAccounts);
+router.get('/accounts/search/:searchTerm', requirePermission('accounts.view'), agentController.searchAccounts);
 
 /**
  * POST /api/agent/accounts/change-plan
  * Change account saving plan
  */
-router.post('/accounts/change-plan', agentController.changeAccountPlan);
+router.post('/accounts/change-plan', requirePermission('accounts.change_plan'), validatePlanChange, agentController.changeAccountPlan);
 
 /**
  * GET /api/agent/all-accounts
  * Get all accounts with full details (for management/viewing)
  */
-router.get('/all-accounts', agentController.getAllAccounts);
+router.get('/all-accounts', requirePermission('accounts.view'), agentController.getAllAccounts);
 
 /**
  * GET /api/agent/accounts/by-nic/:nic
  * Get accounts for a customer by NIC/Birth Certificate number (exact)
  */
-router.get('/accounts/by-nic/:nic', agentController.getAccountsByCustomerNic);
+router.get('/accounts/by-nic/:nic', requirePermission('accounts.view'), agentController.getAccountsByCustomerNic);
 
 /**
  * GET /api/agent/accounts-with-fd
  * Get accounts eligible for FD creation (active, no existing FD)
  */
-router.get('/accounts-with-fd', agentController.getAccountsWithFd);
+router.get('/accounts-with-fd', requirePermission('accounts.view'), agentController.getAccountsWithFd);
 
 /**
  * GET /api/agent/fixed-deposits
  * Get all fixed deposits
  */
-router.get('/fixed-deposits', agentController.getFixedDeposits);
+router.get('/fixed-deposits', requirePermission('fixed_deposits.view'), agentController.getFixedDeposits);
 
 /**
  * GET /api/agent/analytics/transaction-types
  * Get transaction analytics by account type
  */
-router.get('/analytics/transaction-types', agentController.getTransactionTypeAnalytics);
+router.get('/analytics/transaction-types', requirePermission('transactions.view'), agentController.getTransactionTypeAnalytics);
 
 /**
  * GET /api/agent/analytics/transaction-trend
  * Get last 30 days transaction trend
  */
-router.get('/analytics/transaction-trend', agentController.getTransactionTrend);
+router.get('/analytics/transaction-trend', requirePermission('transactions.view'), agentController.getTransactionTrend);
 
 module.exports = router;
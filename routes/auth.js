@@ -3,15 +3,48 @@
 // =============================================================================
 const express = require('express');
 const router = express.Router();
-const { login, register, refreshToken } = require('../controllers/authController');
+const {
+  verifyToken,
+  verifyTokenForPasswordChange,
+  verifyTokenOrEnrollment
+} = require('../middleware/auth');
+const {
+  login,
+  verifyLoginMfa,
+  register,
+  refreshToken,
+  logout,
+  enrollMfa,
+  confirmMfa,
+  disableMfa,
+  changePassword,
+  getPasswordPolicy
+} = require('../controllers/authController');
+const {
+  validateLogin,
+  validateLoginMfa,
+  validateRefreshToken,
+  validateMfaEnrollment,
+  validateMfaConfirm,
+  validateMfaDisable,
+  validatePasswordChange
+} = require('../middleware/validation');
 
 /**
  * POST /api/auth/login
  * Public endpoint for user login
  * Body: { username, password }
- * Returns: { token, user: { id, username, role, ... } }
+ * Returns: { token, refresh_token, expires_in, user: { id, username, role, ... } }
+ * With 2FA: { mfa_required: true, challenge_token } (or mfa_enrollment_required)
  */
-router.post('/login', login);
+router.post('/login', validateLogin, login);
+
+/**
+ * POST /api/auth/login/verify
+ * Second login step for employees with 2FA enabled
+ * Body: { challenge_token, code } or { challenge_token, recovery_code }
+ */
+router.post('/login/verify', validateLoginMfa, verifyLoginMfa);
 
 /**
  * POST /api/auth/register
@@ -22,8 +55,49 @@ router.post('/register', register);
 
 /**
  * POST /api/auth/refresh
- * Refresh JWT token
+ * Rotate refresh token and issue a new access token
+ * Body: { refresh_token }
+ */
+router.post('/refresh', validateRefreshToken, refreshToken);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the session the refresh token belongs to
+ * Body: { refresh_token }
+ */
+router.post('/logout', validateRefreshToken, logout);
+
+/**
+ * POST /api/auth/2fa/enroll
+ * Start TOTP enrollment (returns provisioning URI and recovery codes)
+ */
+router.post('/2fa/enroll', verifyTokenOrEnrollment, validateMfaEnrollment, enrollMfa);
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Confirm enrollment with a first code
+ * Body: { code }
+ */
+router.post('/2fa/confirm', verifyTokenOrEnrollment, validateMfaConfirm, confirmMfa);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable 2FA (not allowed when mandatory for the role)
+ * Body: { password, code }
+ */
+router.post('/2fa/disable', verifyToken, validateMfaDisable, disableMfa);
+
+/**
+ * PUT /api/auth/password
+ * Change own password (also completes a forced change after admin reset)
+ * Body: { current_password, new_password }
+ */
+router.put('/password', verifyTokenForPasswordChange, validatePasswordChange, changePassword);
+
+/**
+ * GET /api/auth/password-policy
+ * Password rules enforced on change/reset
  */
-router.post('/refresh', refreshToken);
+router.get('/password-policy', getPasswordPolicy);
 
 module.exports = router;
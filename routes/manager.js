@@ -3,48 +3,142 @@
 // =============================================================================
 const express = require('express');
 const router = express.Router();
-const { authorize } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { loadBranchScope } = require('../middleware/branchScope');
+const {
+  validateDecision,
+  validateEodClose,
+  validateBusinessDateParam,
+  validateFeeWaiver,
+  validateHoldPlacement,
+  validateHoldRelease,
+  validateMaturitiesQuery,
+  validateTillsQuery
+} = require('../middleware/validation');
 const managerController = require('../controllers/managerController');
 
 // All routes here require JWT authentication (applied in index.js)
-// Additional role check for Manager/Admin
-router.use(authorize('Manager', 'Admin'));
+// Each route additionally requires a permission (see /api/admin/roles)
+// Data is limited to the caller's branch (Admin may pass ?branch_id=)
+router.use(loadBranchScope);
 
 /**
  * GET /api/manager/customers/search
  * Search customers within manager's branch
  */
-router.get('/customers/search', managerController.searchCustomers);
+router.get('/customers/search', requirePermission('branch.view'), managerController.searchCustomers);
 
 /**
  * GET /api/manager/customers/by-nic/:nic
  * Get customers by exact NIC/Birth Certificate number within manager's branch
  */
-router.get('/customers/by-nic/:nic', managerController.getCustomersByNic);
+router.get('/customers/by-nic/:nic', requirePermission('branch.view'), managerController.getCustomersByNic);
 
 /**
  * GET /api/manager/team/agents
  * Get agents in manager's branch with performance data
  */
-router.get('/team/agents', managerController.getTeamAgents);
+router.get('/team/agents', requirePermission('branch.view'), managerController.getTeamAgents);
 
 /**
  * GET /api/manager/team/agents/:agentId/transactions
  * Get specific agent's transactions
  */
-router.get('/team/agents/:agentId/transactions', managerController.getAgentTransactions);
+router.get('/team/agents/:agentId/transactions', requirePermission('branch.view'), managerController.getAgentTransactions);
 
 /**
  * GET /api/manager/transactions
  * Get branch transactions with filters
  */
-router.get('/transactions', managerController.getBranchTransactions);
+router.get('/transactions', requirePermission('branch.view'), managerController.getBranchTransactions);
 
 /**
  * GET /api/manager/accounts
  * Get customer accounts for manager's branch
  */
-router.get('/accounts', managerController.getBranchAccounts);
+router.get('/accounts', requirePermission('branch.view'), managerController.getBranchAccounts);
+
+/**
+ * GET /api/manager/reversals
+ * Reversal requests for the branch (pending by default)
+ */
+router.get('/reversals', requirePermission('approvals.manage'), managerController.getReversals);
+
+/**
+ * POST /api/manager/reversals/:id/approve
+ * POST /api/manager/reversals/:id/reject
+ * Decide on a reversal request raised by someone else
+ */
+router.post('/reversals/:id/approve', requirePermission('approvals.manage'), validateDecision, managerController.approveReversal);
+router.post('/reversals/:id/reject', requirePermission('approvals.manage'), validateDecision, managerController.rejectReversal);
+
+/**
+ * GET /api/manager/approvals
+ * Branch approval queue for high-value deposits/withdrawals (pending by default)
+ */
+router.get('/approvals', requirePermission('approvals.manage'), managerController.getApprovals);
+
+/**
+ * POST /api/manager/approvals/:id/approve
+ * POST /api/manager/approvals/:id/reject
+ * Decide on a queued transaction raised by someone else
+ */
+router.post('/approvals/:id/approve', requirePermission('approvals.manage'), validateDecision, managerController.approveTransaction);
+router.post('/approvals/:id/reject', requirePermission('approvals.manage'), validateDecision, managerController.rejectTransaction);
+
+/**
+ * GET /api/manager/fd-closures
+ * POST /api/manager/fd-closures/:id/approve
+ * POST /api/manager/fd-closures/:id/reject
+ * Premature FD closures above the branch threshold
+ */
+router.get('/fd-closures', requirePermission('approvals.manage'), managerController.getFdClosures);
+router.post('/fd-closures/:id/approve', requirePermission('approvals.manage'), validateDecision, managerController.approveFdClosure);
+router.post('/fd-closures/:id/reject', requirePermission('approvals.manage'), validateDecision, managerController.rejectFdClosure);
+
+/**
+ * GET /api/manager/tills
+ * Open agent tills and closed tills with cash discrepancies
+ */
+router.get('/tills', requirePermission('branch.view'), validateTillsQuery, managerController.getTills);
+
+/**
+ * GET /api/manager/eod
+ * GET /api/manager/eod/:date
+ * Current business date, recent end-of-day closes and the summary of a day
+ */
+router.get('/eod', requirePermission('branch.view'), managerController.getEodStatus);
+router.get('/eod/:date', requirePermission('branch.view'), validateBusinessDateParam, managerController.getEodSummary);
+
+/**
+ * POST /api/manager/eod/close
+ * Close the current business date and roll to the next
+ */
+router.post('/eod/close', requirePermission('eod.manage'), validateEodClose, managerController.closeEod);
+
+/**
+ * GET /api/manager/fees
+ * POST /api/manager/fees/:id/waive
+ * Fees charged to branch accounts; waiving refunds the fee
+ */
+router.get('/fees', requirePermission('branch.view'), managerController.getFees);
+router.post('/fees/:id/waive', requirePermission('fees.waive'), validateFeeWaiver, managerController.waiveFee);
+
+/**
+ * GET /api/manager/holds
+ * POST /api/manager/holds
+ * POST /api/manager/holds/:id/release
+ * Holds and liens (court orders, collateral) blocking part of a balance
+ */
+router.get('/holds', requirePermission('branch.view'), managerController.getHolds);
+router.post('/holds', requirePermission('holds.manage'), validateHoldPlacement, managerController.placeHold);
+router.post('/holds/:id/release', requirePermission('holds.manage'), validateHoldRelease, managerController.releaseHold);
+
+/**
+ * GET /api/manager/fixed-deposits/maturities
+ * Branch FDs maturing in the next ?days= days (default 30) and whether they renew
+ */
+router.get('/fixed-deposits/maturities', requirePermission('branch.view'), validateMaturitiesQuery, managerController.getFdMaturities);
 
 // TODO: Add more manager routes as needed
 
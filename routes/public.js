@@ -3,7 +3,16 @@
 // =============================================================================
 const express = require('express');
 const router = express.Router();
-const { getSavingPlans, getBranches, getFDPlans, getAbout } = require('../controllers/publicController');
+const {
+  getSavingPlans,
+  getBranches,
+  getFDPlans,
+  getAbout,
+  verifyReceipt,
+  calculateFixedDeposit,
+  calculateSavings
+} = require('../controllers/publicController');
+const { validateFdCalculator, validateSavingsCalculator } = require('../middleware/validation');
 
 /**
  * GET /api/public/saving-plans
@@ -23,10 +32,28 @@ router.get('/branches', getBranches);
  */
 router.get('/fd-plans', getFDPlans);
 
+/**
+ * GET /api/public/calculators/fd?plan_id=&principal=
+ * Month-by-month interest on an FD opened today
+ */
+router.get('/calculators/fd', validateFdCalculator, calculateFixedDeposit);
+
+/**
+ * GET /api/public/calculators/savings?plan_id=&monthly_deposit=&months=
+ * Month-by-month balance of a savings account with a fixed monthly deposit
+ */
+router.get('/calculators/savings', validateSavingsCalculator, calculateSavings);
+
 /**
  * GET /api/public/about
  * Get bank information
  */
 router.get('/about', getAbout);
 
+/**
+ * GET /api/public/receipts/verify/:code
+ * Check the verification code printed on a transaction receipt
+ */
+router.get('/receipts/verify/:code', verifyReceipt);
+
 module.exports = router;
@@ -0,0 +1,40 @@
+// =============================================================================
+// APPROVAL SCHEDULER
+// =============================================================================
+// Periodically expires stale maker-checker requests (releasing their holds)
+// and manager holds past their expiry
+// =============================================================================
+
+const cron = require('node-cron');
+const { expireStaleApprovals } = require('../services/approvals');
+const { expireHolds } = require('../services/holds');
+
+/**
+ * Initialize and start the approval expiry scheduler
+ *
+ * Environment Variables:
+ * - APPROVAL_EXPIRY_CRON : Cron schedule for the sweep (default: '*\/15 * * * *' - every 15 minutes)
+ * - APPROVAL_EXPIRY_HOURS : Hours a request may stay pending (default: 24, see services/approvals.js)
+**/
+const startApprovalScheduler = () => {
+  const EXPIRY_CRON = process.env.APPROVAL_EXPIRY_CRON || '*/15 * * * *';
+
+  cron.schedule(EXPIRY_CRON, async () => {
+    try {
+      const expired = await expireStaleApprovals();
+      if (expired > 0) {
+        console.log(`⌛ Expired ${expired} stale approval request(s)`);
+      }
+      const expiredHolds = await expireHolds();
+      if (expiredHolds > 0) {
+        console.log(`⌛ Expired ${expiredHolds} account hold(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Approval Expiry Scheduler Error:', error);
+    }
+  });
+
+  console.log(`✅ Approval Expiry Sweep: Scheduled at '${EXPIRY_CRON}'`);
+};
+
+module.exports = { startApprovalScheduler };
@@ -0,0 +1,33 @@
+// =============================================================================
+// FEE SCHEDULER
+// =============================================================================
+// Monthly account maintenance fees (see services/fees.js)
+// =============================================================================
+
+const cron = require('node-cron');
+const { processMonthlyMaintenanceFees } = require('../services/fees');
+
+/**
+ * Initialize and start the maintenance fee scheduler
+ *
+ * Environment Variables:
+ * - MAINTENANCE_FEE_CRON : Cron schedule for maintenance fees (default: '0 4 1 * *' - 4:00 AM on the 1st)
+ *
+ * Each account is charged at most once per calendar month, so a re-run (or a
+ * more frequent schedule) only picks up accounts that were missed.
+**/
+const startFeeScheduler = () => {
+  const MAINTENANCE_CRON = process.env.MAINTENANCE_FEE_CRON || '0 4 1 * *';
+
+  cron.schedule(MAINTENANCE_CRON, async () => {
+    try {
+      await processMonthlyMaintenanceFees();
+    } catch (error) {
+      console.error('❌ Maintenance Fee Scheduler Error:', error);
+    }
+  });
+
+  console.log(`✅ Maintenance Fee Processor: Scheduled at '${MAINTENANCE_CRON}'`);
+};
+
+module.exports = { startFeeScheduler };
@@ -0,0 +1,34 @@
+// =============================================================================
+// STANDING INSTRUCTION SCHEDULER
+// =============================================================================
+// Executes due recurring transfers (see services/standingInstructions.js)
+// =============================================================================
+
+const cron = require('node-cron');
+const { processStandingInstructions } = require('../services/standingInstructions');
+
+/**
+ * Initialize and start the standing instruction scheduler
+ *
+ * Environment Variables:
+ * - STANDING_INSTRUCTION_CRON : Cron schedule (default: '0 6 * * *' - 6:00 AM daily)
+ * - STANDING_INSTRUCTION_MAX_RETRIES : Retries of a failed run before the cycle is skipped (default: 3)
+ *
+ * A failed run is retried on the next scheduled run, so a schedule that runs
+ * several times a day (e.g. '0 6,12,18 * * *') retries sooner.
+**/
+const startStandingInstructionScheduler = () => {
+  const INSTRUCTION_CRON = process.env.STANDING_INSTRUCTION_CRON || '0 6 * * *';
+
+  cron.schedule(INSTRUCTION_CRON, async () => {
+    try {
+      await processStandingInstructions();
+    } catch (error) {
+      console.error('❌ Standing Instruction Scheduler Error:', error);
+    }
+  });
+
+  console.log(`✅ Standing Instruction Processor: Scheduled at '${INSTRUCTION_CRON}'`);
+};
+
+module.exports = { startStandingInstructionScheduler };
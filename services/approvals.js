@@ -0,0 +1,204 @@
+// =============================================================================
+// APPROVAL SERVICE - Maker-checker queue for high-value transactions
+// =============================================================================
+// Deposits/withdrawals above the branch threshold are stored as pending
+// requests instead of being posted. A Manager approves (the transaction is
+// posted then) or rejects them; untouched requests expire. Pending withdrawals
+// hold the funds so they cannot be spent twice in the meantime.
+// Functions taking a client must be called inside a transaction.
+// =============================================================================
+
+const pool = require('../config/database');
+const { getAvailableBalance, checkHeldFunds, placeHold, endHold } = require('./holds');
+const { chargeExcessWithdrawalFee } = require('./fees');
+
+const APPROVAL_EXPIRY_HOURS = parseInt(process.env.APPROVAL_EXPIRY_HOURS || '24', 10);
+
+// Threshold column for each kind of request
+const THRESHOLD_COLUMNS = {
+  Deposit: 'deposit_threshold',
+  Withdrawal: 'withdrawal_threshold',
+  PrematureFDClosure: 'fd_premature_threshold'
+};
+
+/**
+ * Approval threshold of a branch for a transaction type
+ * Returns null when that type never needs approval in the branch.
+ */
+const getApprovalThreshold = async (client, branchId, transactionType) => {
+  const result = await client.query(
+    'SELECT deposit_threshold, withdrawal_threshold, fd_premature_threshold FROM branch_approval_threshold WHERE branch_id = $1',
+    [branchId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const threshold = result.rows[0][THRESHOLD_COLUMNS[transactionType]];
+  return threshold === null ? null : parseFloat(threshold);
+};
+
+/**
+ * Whether a transaction of this type and amount needs Manager approval
+ */
+const requiresApproval = async (client, branchId, transactionType, amount) => {
+  const threshold = await getApprovalThreshold(client, branchId, transactionType);
+  return threshold !== null && parseFloat(amount) > threshold;
+};
+
+/**
+ * Queue a transaction for approval (withdrawals also hold the funds)
+ * Returns { error } when a withdrawal exceeds the available balance, else the
+ * created request { approval_id, expires_at, hold_id }.
+ */
+const createApprovalRequest = async (client, { accountId, transactionType, amount, description, employeeId }) => {
+  let holdId = null;
+
+  if (transactionType === 'Withdrawal') {
+    // Serialise with other debits on the account before checking funds
+    await client.query('SELECT 1 FROM account WHERE account_id = $1 FOR UPDATE', [accountId]);
+    const funds = await getAvailableBalance(client, accountId);
+    if (parseFloat(amount) > funds.available) {
+      return { error: `Insufficient available balance. Available: LKR ${funds.available.toFixed(2)}` };
+    }
+  }
+
+  const result = await client.query(
+    `INSERT INTO transaction_approval
+       (account_id, transaction_type, amount, description, requested_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' hours')::interval)
+     RETURNING approval_id, expires_at`,
+    [accountId, transactionType, amount, description, employeeId, String(APPROVAL_EXPIRY_HOURS)]
+  );
+  const approval = result.rows[0];
+
+  if (transactionType === 'Withdrawal') {
+    holdId = await placeHold(client, {
+      accountId,
+      amount,
+      reason: `Withdrawal awaiting approval #${approval.approval_id}`,
+      source: 'approval',
+      sourceId: approval.approval_id,
+      createdBy: employeeId
+    });
+    await client.query('UPDATE transaction_approval SET hold_id = $2 WHERE approval_id = $1', [approval.approval_id, holdId]);
+  }
+
+  return { approval_id: approval.approval_id, expires_at: approval.expires_at, hold_id: holdId };
+};
+
+/**
+ * Load an approval request with its account's branch
+ * Returns null when it does not exist.
+ */
+const findApproval = async (client, approvalId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT ap.*, a.branch_id, ap.expires_at < NOW() AS is_expired
+     FROM transaction_approval ap
+     JOIN account a ON ap.account_id = a.account_id
+     WHERE ap.approval_id = $1
+     ${forUpdate ? 'FOR UPDATE OF ap' : ''}`,
+    [approvalId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Mark a request decided and release its hold (if any)
+ */
+const closeApproval = async (client, approval, { status, deciderId, note, transactionId = null, holdStatus = 'released' }) => {
+  if (approval.hold_id) {
+    await endHold(client, approval.hold_id, holdStatus);
+  }
+  await client.query(
+    `UPDATE transaction_approval
+     SET status = $2, decided_by = $3, decided_at = NOW(), decision_note = $4, transaction_id = $5
+     WHERE approval_id = $1`,
+    [approval.approval_id, status, deciderId, note || null, transactionId]
+  );
+};
+
+/**
+ * Approve a pending request: post the transaction on behalf of the requester
+ * Returns { error, status } when held funds no longer cover a withdrawal.
+ * Database errors such as 'Insufficient balance' are thrown to the caller.
+ */
+const approveRequest = async (client, approval, deciderId, note) => {
+  // The hold is consumed by the posting itself
+  if (approval.hold_id) {
+    await endHold(client, approval.hold_id, 'consumed');
+  }
+
+  // Holds placed while the request waited (e.g. a court order) still apply
+  if (approval.transaction_type === 'Withdrawal') {
+    await client.query('SELECT 1 FROM account WHERE account_id = $1 FOR UPDATE', [approval.account_id]);
+    const holdError = await checkHeldFunds(client, approval.account_id, approval.amount);
+    if (holdError) {
+      return { error: holdError, status: 400 };
+    }
+  }
+
+  const postResult = await client.query(
+    'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
+    [approval.transaction_type, approval.amount, approval.description, approval.account_id, approval.requested_by]
+  );
+  const transactionId = postResult.rows[0].transaction_id;
+
+  const fee = approval.transaction_type === 'Withdrawal'
+    ? await chargeExcessWithdrawalFee(client, {
+      accountId: approval.account_id,
+      withdrawalTransactionId: transactionId,
+      employeeId: approval.requested_by
+    })
+    : null;
+
+  await closeApproval(client, { ...approval, hold_id: null }, { status: 'approved', deciderId, note, transactionId });
+
+  const balanceResult = await client.query('SELECT balance FROM account WHERE account_id = $1', [approval.account_id]);
+  return {
+    approval_id: approval.approval_id,
+    transaction_id: transactionId,
+    new_balance: parseFloat(balanceResult.rows[0].balance),
+    fee_charged: fee
+  };
+};
+
+/**
+ * Reject a pending request and release its hold
+ */
+const rejectRequest = (client, approval, deciderId, note) =>
+  closeApproval(client, approval, { status: 'rejected', deciderId, note });
+
+/**
+ * Expire pending requests past their expiry time and release their holds
+ * Uses its own transaction; returns the number of expired requests.
+ */
+const expireStaleApprovals = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE transaction_approval
+       SET status = 'expired', decided_at = NOW()
+       WHERE status = 'pending' AND expires_at < NOW()
+       RETURNING approval_id, hold_id`
+    );
+    for (const row of result.rows) {
+      if (row.hold_id) await endHold(client, row.hold_id, 'released');
+    }
+    await client.query('COMMIT');
+    return result.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  requiresApproval,
+  createApprovalRequest,
+  findApproval,
+  approveRequest,
+  rejectRequest,
+  expireStaleApprovals
+};
@@ -0,0 +1,266 @@
+// =============================================================================
+// BATCH SERVICE - Bulk deposit uploads (group collections)
+// =============================================================================
+// Every row is checked (shape, account active and in the caller's branch,
+// approval threshold, plan limits) and posted in its own savepoint through
+// create_transaction_with_validation. Rows that fail are rolled back to their
+// savepoint and reported; the rest are posted under one batch reference.
+// Only deposits can be uploaded: withdrawals need the customer at the counter.
+// Functions taking a client must be called inside a transaction.
+// =============================================================================
+
+const crypto = require('crypto');
+const { requiresApproval } = require('./approvals');
+const { checkPlanLimits } = require('./planLimits');
+const { checkTillForCash, recordCashMovement } = require('./tills');
+const { requestReversal } = require('./reversals');
+const { SAME_BUSINESS_DAY_SQL } = require('./businessDate');
+
+const BATCH_FIELDS = ['account_id', 'transaction_type', 'amount', 'description'];
+const MAX_AMOUNT = 10000000;
+// Checked on the number's decimal form; float arithmetic misjudges e.g. 1.15
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+const DEFAULT_DESCRIPTION = 'Group collection';
+
+// Database errors that only reject the row instead of failing the batch
+const ROW_ERRORS = ['Insufficient balance', 'Minimum balance required', 'Business date'];
+
+/**
+ * Generate a batch reference, e.g. BAT-20250101-1A2B3C4D
+ */
+const generateReference = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `BAT-${date}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Field errors of one upload row: [{ field, message }]
+ */
+const checkRowShape = (row) => {
+  const errors = [];
+
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return [{ field: 'row', message: 'Row must be an object' }];
+  }
+
+  Object.keys(row)
+    .filter(field => !BATCH_FIELDS.includes(field))
+    .forEach(field => errors.push({ field, message: 'Unknown field' }));
+
+  if (!Number.isInteger(row.account_id) || row.account_id < 1) {
+    errors.push({ field: 'account_id', message: 'Account ID must be a positive integer' });
+  }
+  if (row.transaction_type !== undefined && row.transaction_type !== null && row.transaction_type !== 'Deposit') {
+    errors.push({ field: 'transaction_type', message: 'Only deposits can be uploaded in bulk' });
+  }
+  if (typeof row.amount !== 'number' || !Number.isFinite(row.amount)) {
+    errors.push({ field: 'amount', message: 'Amount must be a number' });
+  } else if (row.amount < 0.01) {
+    errors.push({ field: 'amount', message: 'Amount must be greater than 0' });
+  } else if (row.amount > MAX_AMOUNT) {
+    errors.push({ field: 'amount', message: 'Amount exceeds maximum limit of LKR 10,000,000' });
+  } else if (!AMOUNT_PATTERN.test(String(row.amount))) {
+    errors.push({ field: 'amount', message: 'Amount cannot have more than 2 decimal places' });
+  }
+  if (row.description !== undefined && row.description !== null && String(row.description).length > 255) {
+    errors.push({ field: 'description', message: 'Description must not exceed 255 characters' });
+  }
+
+  return errors;
+};
+
+/**
+ * Validate and post an upload
+ * scopeBranchId limits accounts to one branch (null: any branch, Admin).
+ * Returns { error, status, errors } when nothing could be posted, else
+ * { batch, errors } with row-level errors [{ row, field, message }] (rows are 1-based).
+ */
+const postBatch = async (client, { rows, description, source, employeeId, branchId, scopeBranchId }) => {
+  const errors = [];
+  const items = [];
+
+  const shapeErrors = rows.map(checkRowShape);
+  const validAmounts = rows.filter((row, i) => shapeErrors[i].length === 0).map(row => row.amount);
+
+  // Bulk deposits are cash collected by the agent
+  if (validAmounts.length > 0) {
+    const tillError = await checkTillForCash(client, employeeId, 'Deposit', validAmounts.reduce((a, b) => a + b, 0));
+    if (tillError) {
+      return { error: tillError, status: 400, errors: [] };
+    }
+  }
+
+  const accountIds = [...new Set(rows.filter((row, i) => shapeErrors[i].length === 0).map(row => row.account_id))];
+  const accountsResult = await client.query(
+    'SELECT account_id, account_status, branch_id FROM account WHERE account_id = ANY($1::int[])',
+    [accountIds]
+  );
+  const accounts = new Map(accountsResult.rows.map(row => [Number(row.account_id), row]));
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const rowNumber = i + 1;
+    const item = {
+      row_number: rowNumber,
+      account_id: Number.isInteger(row && row.account_id) ? row.account_id : null,
+      transaction_type: 'Deposit',
+      amount: shapeErrors[i].some(e => e.field === 'amount') ? null : row.amount,
+      description: row && row.description ? String(row.description).trim() : DEFAULT_DESCRIPTION,
+      status: 'rejected',
+      transaction_id: null,
+      error_message: null
+    };
+    items.push(item);
+
+    const reject = (field, message) => {
+      errors.push({ row: rowNumber, field, message });
+      item.error_message = item.error_message || message;
+    };
+
+    if (shapeErrors[i].length > 0) {
+      shapeErrors[i].forEach(e => reject(e.field, e.message));
+      continue;
+    }
+
+    const account = accounts.get(row.account_id);
+    if (!account) {
+      reject('account_id', 'Account not found');
+      continue;
+    }
+    if (account.account_status !== 'Active') {
+      reject('account_id', 'Account is not active');
+      continue;
+    }
+    if (scopeBranchId && String(account.branch_id) !== String(scopeBranchId)) {
+      reject('account_id', 'Account does not belong to your branch');
+      continue;
+    }
+    if (await requiresApproval(client, account.branch_id, 'Deposit', row.amount)) {
+      reject('amount', 'Amount requires manager approval. Process it individually');
+      continue;
+    }
+
+    await client.query('SAVEPOINT batch_row');
+    try {
+      // Earlier rows of this batch are already posted, so they count towards the limits
+      const limitError = await checkPlanLimits(client, row.account_id, 'Deposit', row.amount);
+      if (limitError) {
+        await client.query('ROLLBACK TO SAVEPOINT batch_row');
+        reject('amount', limitError);
+        continue;
+      }
+
+      const postResult = await client.query(
+        'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
+        ['Deposit', row.amount, item.description, row.account_id, employeeId]
+      );
+      item.transaction_id = postResult.rows[0].transaction_id;
+
+      await recordCashMovement(client, {
+        employeeId,
+        transactionId: item.transaction_id,
+        transactionType: 'Deposit',
+        amount: row.amount
+      });
+
+      await client.query('RELEASE SAVEPOINT batch_row');
+      item.status = 'posted';
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT batch_row');
+      if (!ROW_ERRORS.some(message => error.message.includes(message))) throw error;
+      item.transaction_id = null;
+      reject('amount', error.message);
+    }
+  }
+
+  const posted = items.filter(item => item.status === 'posted');
+  if (posted.length === 0) {
+    return { error: 'No valid rows to post', status: 400, errors };
+  }
+
+  const totalAmount = posted.reduce((sum, item) => sum + item.amount, 0);
+  const batchResult = await client.query(
+    `INSERT INTO transaction_batch
+       (reference, branch_id, description, source, row_count, posted_count, rejected_count, total_amount, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [generateReference(), branchId, description || null, source, items.length, posted.length,
+      items.length - posted.length, totalAmount, employeeId]
+  );
+  const batch = batchResult.rows[0];
+
+  for (const item of items) {
+    await client.query(
+      `INSERT INTO transaction_batch_item
+         (batch_id, row_number, account_id, transaction_type, amount, description, status, transaction_id, error_message)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [batch.batch_id, item.row_number, item.account_id, item.transaction_type, item.amount,
+        item.description.slice(0, 255), item.status, item.transaction_id,
+        item.error_message ? item.error_message.slice(0, 255) : null]
+    );
+  }
+
+  return { batch, errors };
+};
+
+/**
+ * Load a batch with the status of its reversal (if any), or null
+ */
+const findBatch = async (client, batchId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT b.*, r.status AS reversal_status
+     FROM transaction_batch b
+     LEFT JOIN transaction_reversal r ON b.reversal_id = r.reversal_id
+     WHERE b.batch_id = $1
+     ${forUpdate ? 'FOR UPDATE OF b' : ''}`,
+    [batchId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Request the reversal of every posted transaction of a batch
+ * Returns { error, status } or { reversal_id, same_day }; the caller decides
+ * whether to complete it now or leave it for Manager approval.
+ */
+const requestBatchReversal = async (client, batch, { reason, employeeId }) => {
+  if (batch.reversal_id && batch.reversal_status !== 'rejected') {
+    return batch.reversal_status === 'completed'
+      ? { error: 'Batch has already been reversed', status: 409 }
+      : { error: 'A reversal for this batch is already awaiting approval', status: 409 };
+  }
+
+  const legsResult = await client.query(
+    `SELECT t.transaction_id, t.transaction_type, t.amount, t.account_id,
+            a.branch_id, a.account_status, ${SAME_BUSINESS_DAY_SQL} AS same_day
+     FROM transaction_batch_item i
+     JOIN transaction t ON i.transaction_id = t.transaction_id
+     JOIN account a ON t.account_id = a.account_id
+     WHERE i.batch_id = $1 AND i.status = 'posted'
+     ORDER BY t.transaction_id
+     FOR UPDATE OF t`,
+    [batch.batch_id]
+  );
+  const legs = legsResult.rows;
+
+  const request = await requestReversal(client, legs, {
+    transactionId: legs[0].transaction_id,
+    reason: `Batch ${batch.reference}: ${reason}`,
+    employeeId,
+    batchId: batch.batch_id
+  });
+  if (request.error) return request;
+
+  await client.query(
+    'UPDATE transaction_batch SET reversal_id = $2 WHERE batch_id = $1',
+    [batch.batch_id, request.reversal_id]
+  );
+
+  return { reversal_id: request.reversal_id, same_day: legs.every(leg => leg.same_day) };
+};
+
+module.exports = {
+  postBatch,
+  findBatch,
+  requestBatchReversal
+};
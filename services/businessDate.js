@@ -0,0 +1,168 @@
+// =============================================================================
+// BUSINESS DATE SERVICE - Branch business day and end-of-day (EOD) close
+// =============================================================================
+// Transactions are stamped with their branch's business date by a DB trigger
+// (migrations/012_business_dates.sql). Closing the day stores an EOD summary
+// and rolls the branch to the next business date; the closed day is locked.
+// Dates are handled as 'YYYY-MM-DD' strings.
+// Functions taking a client must be called inside a transaction.
+// =============================================================================
+
+// Signed effect of transaction `t` on its account's balance
+const BALANCE_EFFECT_SQL = `CASE WHEN t.transaction_type IN ('Withdrawal', 'Fee') THEN -t.amount ELSE t.amount END`;
+
+// Current business date of every branch as (branch_id, business_date);
+// branches without a business date yet are on the calendar date
+const BRANCH_BUSINESS_DATES_SQL = `(
+  SELECT b.branch_id, COALESCE(bbd.business_date, CURRENT_DATE) AS business_date
+  FROM branch b
+  LEFT JOIN branch_business_date bbd ON bbd.branch_id = b.branch_id
+)`;
+
+// Whether transaction `t` of account `a` was posted on its branch's current business date
+const SAME_BUSINESS_DAY_SQL = `t.business_date = COALESCE(
+  (SELECT bbd.business_date FROM branch_business_date bbd WHERE bbd.branch_id = a.branch_id), CURRENT_DATE)`;
+
+/**
+ * Current business date of a branch
+ * Branches without a business date yet start on the calendar date.
+ */
+const getBusinessDate = async (client, branchId, { forUpdate = false } = {}) => {
+  await client.query(
+    `INSERT INTO branch_business_date (branch_id, business_date)
+     VALUES ($1, CURRENT_DATE)
+     ON CONFLICT (branch_id) DO NOTHING`,
+    [branchId]
+  );
+  const result = await client.query(
+    `SELECT to_char(business_date, 'YYYY-MM-DD') AS business_date,
+            business_date > CURRENT_DATE AS ahead_of_calendar
+     FROM branch_business_date
+     WHERE branch_id = $1
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [branchId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Summary of a branch business day
+ * Opening/closing totals are the summed balances of the branch's accounts;
+ * the opening total is derived from the closing total and the day's postings.
+ */
+const buildDaySummary = async (client, branchId, businessDate) => {
+  const byType = await client.query(
+    `SELECT t.transaction_type, COUNT(*) AS count, COALESCE(SUM(t.amount), 0) AS total
+     FROM transaction t
+     JOIN account a ON t.account_id = a.account_id
+     WHERE a.branch_id = $1 AND t.business_date = $2
+     GROUP BY t.transaction_type
+     ORDER BY t.transaction_type`,
+    [branchId, businessDate]
+  );
+
+  // Closing total: current balances less anything posted after the day
+  const balances = await client.query(
+    `SELECT
+       (SELECT COALESCE(SUM(balance), 0) FROM account WHERE branch_id = $1) AS current_total,
+       (SELECT COALESCE(SUM(${BALANCE_EFFECT_SQL}), 0)
+        FROM transaction t JOIN account a ON t.account_id = a.account_id
+        WHERE a.branch_id = $1 AND t.business_date > $2) AS posted_after,
+       (SELECT COALESCE(SUM(${BALANCE_EFFECT_SQL}), 0)
+        FROM transaction t JOIN account a ON t.account_id = a.account_id
+        WHERE a.branch_id = $1 AND t.business_date = $2) AS net_movement`,
+    [branchId, businessDate]
+  );
+
+  const netMovement = parseFloat(balances.rows[0].net_movement);
+  const closingBalance = parseFloat(balances.rows[0].current_total) - parseFloat(balances.rows[0].posted_after);
+
+  const transactions = byType.rows.map(row => ({
+    transaction_type: row.transaction_type,
+    count: parseInt(row.count, 10),
+    total: parseFloat(row.total)
+  }));
+
+  return {
+    business_date: businessDate,
+    opening_balance: closingBalance - netMovement,
+    closing_balance: closingBalance,
+    net_movement: netMovement,
+    transaction_count: transactions.reduce((sum, row) => sum + row.count, 0),
+    transactions
+  };
+};
+
+/**
+ * Close the branch's current business day and roll to the next one
+ * `businessDate` is the day the caller expects to close, so a repeated
+ * request cannot close two days in a row.
+ * Returns { error, status } or the stored EOD record.
+ */
+const closeBusinessDay = async (client, { branchId, businessDate, employeeId }) => {
+  const current = await getBusinessDate(client, branchId, { forUpdate: true });
+
+  if (current.business_date !== businessDate) {
+    return {
+      error: `Business date ${businessDate} is not open. Current business date is ${current.business_date}`,
+      status: 409
+    };
+  }
+  if (current.ahead_of_calendar) {
+    return { error: `Business date ${businessDate} has not been reached yet`, status: 409 };
+  }
+
+  // Agents must balance their tills before the day is closed
+  const openTills = await client.query(
+    `SELECT COUNT(*) AS count FROM till_session WHERE branch_id = $1 AND status = 'open'`,
+    [branchId]
+  );
+  const openCount = parseInt(openTills.rows[0].count, 10);
+  if (openCount > 0) {
+    return { error: `${openCount} till(s) are still open. Close all tills before end-of-day`, status: 409 };
+  }
+
+  const summary = await buildDaySummary(client, branchId, businessDate);
+
+  const result = await client.query(
+    `INSERT INTO branch_eod (branch_id, business_date, next_business_date, summary, closed_by)
+     VALUES ($1, $2, $2::date + 1, $3, $4)
+     RETURNING eod_id, branch_id, to_char(business_date, 'YYYY-MM-DD') AS business_date,
+               to_char(next_business_date, 'YYYY-MM-DD') AS next_business_date, closed_by, closed_at`,
+    [branchId, businessDate, JSON.stringify(summary), employeeId]
+  );
+
+  await client.query(
+    `UPDATE branch_business_date SET business_date = business_date + 1, updated_at = NOW()
+     WHERE branch_id = $1`,
+    [branchId]
+  );
+
+  return { ...result.rows[0], summary };
+};
+
+/**
+ * Stored EOD record of a branch day, or null when the day is not closed
+ */
+const findEod = async (client, branchId, businessDate) => {
+  const result = await client.query(
+    `SELECT e.eod_id, e.branch_id, to_char(e.business_date, 'YYYY-MM-DD') AS business_date,
+            to_char(e.next_business_date, 'YYYY-MM-DD') AS next_business_date,
+            e.summary, e.closed_by, emp.first_name || ' ' || emp.last_name AS closed_by_name, e.closed_at
+     FROM branch_eod e
+     JOIN employee emp ON e.closed_by = emp.employee_id
+     WHERE e.branch_id = $1 AND e.business_date = $2`,
+    [branchId, businessDate]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  BALANCE_EFFECT_SQL,
+  BRANCH_BUSINESS_DATES_SQL,
+  SAME_BUSINESS_DAY_SQL,
+  getBusinessDate,
+  buildDaySummary,
+  closeBusinessDay,
+  findEod
+};
@@ -0,0 +1,90 @@
+// =============================================================================
+// CALCULATOR SERVICE - Interest projections for prospective customers
+// =============================================================================
+// Projections follow the crediting rules in services/interest.js: one credit
+// every 30-day cycle, on the balance at the time, rounded to cents.
+// - FD: interest on the principal is paid out each cycle; the last, shorter
+//   cycle ends on the maturity date. The principal is returned at maturity.
+// - Savings: each month's deposit is made at the start of its cycle and the
+//   credited interest stays in the account, so it earns interest from then on.
+// Projections assume today's plan rate for the whole term.
+// =============================================================================
+
+const { INTEREST_CYCLE_DAYS, roundAmount, periodInterest } = require('./interest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Project an FD from startDate to maturityDate ('YYYY-MM-DD')
+ * Returns { total_interest, maturity_amount, schedule[] } with one row per cycle.
+ */
+const projectFixedDeposit = ({ principal, rate, startDate, maturityDate }) => {
+  const maturity = parseDate(maturityDate);
+  const schedule = [];
+  let periodStart = parseDate(startDate);
+  let totalInterest = 0;
+
+  while (periodStart < maturity) {
+    const cycleEnd = new Date(periodStart.getTime() + INTEREST_CYCLE_DAYS * DAY_MS);
+    const periodEnd = cycleEnd < maturity ? cycleEnd : maturity;
+    const days = Math.round((periodEnd - periodStart) / DAY_MS);
+    const interest = periodInterest(principal, rate, days);
+
+    totalInterest = roundAmount(totalInterest + interest);
+    schedule.push({
+      month: schedule.length + 1,
+      period_start: formatDate(periodStart),
+      credit_date: formatDate(periodEnd),
+      days,
+      interest,
+      cumulative_interest: totalInterest
+    });
+    periodStart = periodEnd;
+  }
+
+  return {
+    total_interest: totalInterest,
+    maturity_amount: roundAmount(principal + totalInterest),
+    schedule
+  };
+};
+
+/**
+ * Project a savings account fed a fixed deposit every month, from a zero balance
+ * Returns { total_deposited, total_interest, closing_balance, schedule[] }.
+ */
+const projectSavings = ({ monthlyDeposit, rate, months }) => {
+  const schedule = [];
+  let balance = 0;
+  let totalDeposited = 0;
+  let totalInterest = 0;
+
+  for (let month = 1; month <= months; month++) {
+    balance = roundAmount(balance + monthlyDeposit);
+    totalDeposited = roundAmount(totalDeposited + monthlyDeposit);
+
+    const interest = periodInterest(balance, rate);
+    balance = roundAmount(balance + interest);
+    totalInterest = roundAmount(totalInterest + interest);
+
+    schedule.push({
+      month,
+      deposit: monthlyDeposit,
+      interest,
+      cumulative_interest: totalInterest,
+      closing_balance: balance
+    });
+  }
+
+  return {
+    total_deposited: totalDeposited,
+    total_interest: totalInterest,
+    closing_balance: balance,
+    schedule
+  };
+};
+
+module.exports = { projectFixedDeposit, projectSavings };
@@ -0,0 +1,198 @@
+// =============================================================================
+// FD CERTIFICATE SERVICE - Deposit certificates with serial numbers
+// =============================================================================
+// A certificate is issued once per FD (see migration 020) and rendered on
+// demand from the FD, so every print shows the same figures. The expected
+// maturity value is the principal plus the interest projected with the
+// crediting rules in services/interest.js (see services/calculators.js).
+// Every print is logged; prints after the first are reprints and are marked
+// DUPLICATE. Functions taking a client must be called inside a transaction.
+// =============================================================================
+
+const { BANK_NAME, formatAmount } = require('../utils/pdf');
+const { maskAccountNumber } = require('./receipts');
+const { projectFixedDeposit } = require('./calculators');
+
+/**
+ * Issue the FD's certificate if it has none; returns the fd_certificate row
+ */
+const issueCertificate = async (client, fdId, employeeId) => {
+  await client.query(
+    `INSERT INTO fd_certificate (fd_id, serial_no, issued_by)
+     VALUES ($1, 'FDC-' || to_char(NOW(), 'YYYY') || '-' || lpad(nextval('fd_certificate_serial_seq')::text, 6, '0'), $2)
+     ON CONFLICT (fd_id) DO NOTHING`,
+    [fdId, employeeId]
+  );
+  const result = await client.query('SELECT * FROM fd_certificate WHERE fd_id = $1 FOR UPDATE', [fdId]);
+  return result.rows[0];
+};
+
+/**
+ * Certificate data for an FD, or null when the FD does not exist
+ * serial_no is null until a certificate has been issued.
+ */
+const buildCertificate = async (client, fdId) => {
+  const fdResult = await client.query(
+    `SELECT fd.fd_id, fd.fd_balance, fd.fd_status, fd.auto_renewal_status,
+            to_char(fd.open_date, 'YYYY-MM-DD') AS open_date,
+            to_char(fd.maturity_date, 'YYYY-MM-DD') AS maturity_date,
+            fp.fd_options, fp.interest,
+            a.account_id, a.branch_id, COALESCE(b.name, 'Unknown') AS branch_name,
+            fc.certificate_id, fc.serial_no, fc.issued_at
+     FROM fixeddeposit fd
+     JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
+     JOIN account a ON fd.account_id = a.account_id
+     LEFT JOIN branch b ON a.branch_id = b.branch_id
+     LEFT JOIN fd_certificate fc ON fc.fd_id = fd.fd_id
+     WHERE fd.fd_id = $1`,
+    [fdId]
+  );
+  if (fdResult.rows.length === 0) return null;
+  const fd = fdResult.rows[0];
+
+  // Every holder of the funding account, joint holders included
+  const holdersResult = await client.query(
+    `SELECT c.first_name || ' ' || c.last_name AS name, c.nic
+     FROM takes t
+     JOIN customer c ON t.customer_id = c.customer_id
+     WHERE t.account_id = $1
+     ORDER BY c.customer_id`,
+    [fd.account_id]
+  );
+
+  const principal = parseFloat(fd.fd_balance);
+  const rate = parseFloat(fd.interest);
+  const projection = projectFixedDeposit({ principal, rate, startDate: fd.open_date, maturityDate: fd.maturity_date });
+
+  return {
+    fd_id: fd.fd_id,
+    certificate_id: fd.certificate_id,
+    serial_no: fd.serial_no,
+    issued_at: fd.issued_at,
+    fd_status: fd.fd_status,
+    branch_id: fd.branch_id,
+    branch_name: fd.branch_name,
+    account_number: maskAccountNumber(fd.account_id),
+    holders: holdersResult.rows,
+    plan: fd.fd_options,
+    interest_rate: rate,
+    principal,
+    open_date: fd.open_date,
+    maturity_date: fd.maturity_date,
+    auto_renewal: fd.auto_renewal_status === 'True',
+    expected_interest: projection.total_interest,
+    expected_maturity_value: projection.maturity_amount
+  };
+};
+
+/**
+ * Log a print of a certificate; returns the print number (1 = original)
+ * The certificate row must be locked (issueCertificate does so).
+ */
+const recordPrint = async (client, certificateId, { employeeId, reason }) => {
+  const result = await client.query(
+    `INSERT INTO fd_certificate_print (certificate_id, print_number, reason, printed_by)
+     SELECT $1, COALESCE(MAX(print_number), 0) + 1, $2, $3
+     FROM fd_certificate_print
+     WHERE certificate_id = $1
+     RETURNING print_number`,
+    [certificateId, reason || null, employeeId]
+  );
+  return result.rows[0].print_number;
+};
+
+/**
+ * Number of times a certificate has been printed
+ */
+const countPrints = async (client, certificateId) => {
+  const result = await client.query(
+    'SELECT COUNT(*)::int AS count FROM fd_certificate_print WHERE certificate_id = $1',
+    [certificateId]
+  );
+  return result.rows[0].count;
+};
+
+/**
+ * Print log of an FD's certificate, oldest first
+ */
+const getPrintLog = async (client, fdId) => {
+  const result = await client.query(
+    `SELECT p.print_id, p.print_number, p.reason, p.printed_at,
+            p.printed_by, e.first_name || ' ' || e.last_name AS printed_by_name
+     FROM fd_certificate fc
+     JOIN fd_certificate_print p ON p.certificate_id = fc.certificate_id
+     LEFT JOIN employee e ON p.printed_by = e.employee_id
+     WHERE fc.fd_id = $1
+     ORDER BY p.print_number`,
+    [fdId]
+  );
+  return result.rows;
+};
+
+/**
+ * Draw the certificate into a pdfkit document (A4)
+ * printNumber above 1 marks the copy as a duplicate.
+ */
+const renderCertificatePdf = (doc, certificate, printNumber) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  const row = (label, value) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(11).text(label, left + 20, y, { width: 180 });
+    doc.font('Helvetica-Bold').text(String(value), left + 200, y, { width: width - 220 });
+    doc.x = left;
+    doc.moveDown(0.5);
+  };
+
+  doc.rect(left - 10, doc.page.margins.top - 10, width + 20, 470).lineWidth(2).stroke();
+
+  doc.font('Helvetica-Bold').fontSize(20).text(BANK_NAME, { align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(certificate.branch_name, { align: 'center' });
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(16).text('Fixed Deposit Certificate', { align: 'center' });
+  doc.font('Courier-Bold').fontSize(11).text(`Serial No. ${certificate.serial_no}`, { align: 'center' });
+
+  if (printNumber > 1) {
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('red')
+      .text(`DUPLICATE - reprint ${printNumber - 1}`, { align: 'center' });
+    doc.fillColor('black');
+  }
+  doc.moveDown(1.2);
+
+  doc.font('Helvetica').fontSize(11)
+    .text('This is to certify that the following deposit has been received from', left + 20, doc.y, { width: width - 40 });
+  doc.moveDown(0.5);
+  for (const holder of certificate.holders) {
+    doc.font('Helvetica-Bold').fontSize(12).text(`${holder.name}  (${holder.nic})`, { align: 'center' });
+  }
+  doc.x = left;
+  doc.moveDown(1);
+
+  row('FD number', certificate.fd_id);
+  row('Savings account', certificate.account_number);
+  row('Plan', `${certificate.plan} at ${certificate.interest_rate}% p.a.`);
+  row('Principal', `LKR ${formatAmount(certificate.principal)}`);
+  row('Date of deposit', certificate.open_date);
+  row('Maturity date', certificate.maturity_date);
+  row('Expected interest', `LKR ${formatAmount(certificate.expected_interest)}`);
+  row('Expected maturity value', `LKR ${formatAmount(certificate.expected_maturity_value)}`);
+  row('Renewal at maturity', certificate.auto_renewal ? 'Automatic' : 'Paid out to savings account');
+
+  doc.moveDown(1);
+  doc.font('Helvetica').fontSize(8).fillColor('gray')
+    .text('Interest is credited to the savings account every 30 days at the plan rate. The expected values assume '
+      + 'the deposit is held to maturity; closing before maturity re-prices the interest and may carry a penalty.',
+    left + 20, doc.y, { width: width - 40 });
+  doc.fillColor('black');
+};
+
+module.exports = {
+  issueCertificate,
+  buildCertificate,
+  recordPrint,
+  countPrints,
+  getPrintLog,
+  renderCertificatePdf
+};
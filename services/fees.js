@@ -0,0 +1,277 @@
+// =============================================================================
+// FEE SERVICE - Fee schedule and fee posting
+// =============================================================================
+// Fees are looked up in fee_schedule (a saving plan's own row wins over the
+// all-plans row) and posted as 'Fee' transactions. A fee never takes the
+// balance below zero: it is capped at the current balance.
+// Posting follows deactivateAccount: the balance is updated directly (with
+// app.balance_update_allowed) because create_transaction_with_validation only
+// knows Deposit/Withdrawal/Interest.
+// Functions taking a client must be called inside a transaction.
+// =============================================================================
+
+const pool = require('../config/database');
+const { NOT_REVERSED_SQL } = require('./planLimits');
+
+const FEE_EVENTS = ['maintenance', 'excess_withdrawal', 'early_closure', 'fd_premature_closure'];
+
+const FEE_LABELS = {
+  maintenance: 'Monthly Maintenance Fee',
+  excess_withdrawal: 'Excess Withdrawal Fee',
+  early_closure: 'Early Closure Fee',
+  fd_premature_closure: 'FD Premature Closure Penalty'
+};
+
+/**
+ * Fee rule that applies to an account for an event, or null
+ * An inactive plan-specific row switches the fee off for that plan.
+ */
+const findFeeRule = async (client, accountId, eventType) => {
+  const result = await client.query(
+    `SELECT fs.*
+     FROM fee_schedule fs
+     JOIN account a ON a.account_id = $1
+     WHERE fs.event_type = $2
+       AND (fs.saving_plan_id = a.saving_plan_id OR fs.saving_plan_id IS NULL)
+     ORDER BY fs.saving_plan_id NULLS LAST
+     LIMIT 1`,
+    [accountId, eventType]
+  );
+  const rule = result.rows[0];
+  return rule && rule.active ? rule : null;
+};
+
+/**
+ * Fee amount for a rule; percentage fees are taken of `baseAmount`
+ */
+const computeFee = (rule, baseAmount = 0) => {
+  let fee = parseFloat(rule.amount);
+  if (rule.calc_type === 'percentage') {
+    fee = (parseFloat(baseAmount) * fee) / 100;
+    if (rule.min_fee !== null) fee = Math.max(fee, parseFloat(rule.min_fee));
+    if (rule.max_fee !== null) fee = Math.min(fee, parseFloat(rule.max_fee));
+  }
+  return Math.round(fee * 100) / 100;
+};
+
+/**
+ * Post a fee against an account and log it in fee_charge
+ * Returns { charge_id, transaction_id, amount }, or null when nothing could be
+ * charged (zero fee or empty account).
+ */
+const postFee = async (client, { accountId, rule, baseAmount, employeeId, period = null, sourceTransactionId = null }) => {
+  const accountResult = await client.query(
+    'SELECT balance FROM account WHERE account_id = $1 FOR UPDATE',
+    [accountId]
+  );
+  const balance = parseFloat(accountResult.rows[0].balance);
+  const amount = Math.min(computeFee(rule, baseAmount), balance);
+  if (amount <= 0) return null;
+
+  await client.query("SELECT set_config('app.balance_update_allowed','true', true)");
+  await client.query("SELECT set_config('app.balance_update_account_id', $1, true)", [accountId.toString()]);
+  await client.query('UPDATE account SET balance = balance - $1 WHERE account_id = $2', [amount, accountId]);
+
+  const description = period ? `${FEE_LABELS[rule.event_type]} - ${period}` : FEE_LABELS[rule.event_type];
+  const txResult = await client.query(
+    `INSERT INTO transaction (transaction_type, amount, time, description, account_id, employee_id)
+     VALUES ('Fee', $1, NOW(), $2, $3, $4) RETURNING transaction_id`,
+    [amount, description, accountId, employeeId]
+  );
+  const transactionId = txResult.rows[0].transaction_id;
+
+  const chargeResult = await client.query(
+    `INSERT INTO fee_charge (account_id, fee_id, event_type, amount, period, transaction_id, source_transaction_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING charge_id`,
+    [accountId, rule.fee_id, rule.event_type, amount, period, transactionId, sourceTransactionId]
+  );
+
+  return { charge_id: chargeResult.rows[0].charge_id, transaction_id: transactionId, amount };
+};
+
+/**
+ * Charge the excess-withdrawal fee after a withdrawal was posted, when the
+ * account has used up its free withdrawals for the month
+ * Returns the posted fee or null.
+ */
+const chargeExcessWithdrawalFee = async (client, { accountId, withdrawalTransactionId, employeeId }) => {
+  const rule = await findFeeRule(client, accountId, 'excess_withdrawal');
+  if (!rule) return null;
+
+  const result = await client.query(
+    `SELECT COUNT(*) AS count,
+            (SELECT amount FROM transaction WHERE transaction_id = $2) AS withdrawal_amount
+     FROM transaction t
+     WHERE t.account_id = $1
+       AND t.transaction_type = 'Withdrawal'
+       AND t.business_date >= date_trunc('month', (SELECT business_date FROM transaction WHERE transaction_id = $2))
+       AND ${NOT_REVERSED_SQL}`,
+    [accountId, withdrawalTransactionId]
+  );
+
+  if (parseInt(result.rows[0].count, 10) <= (rule.free_count || 0)) return null;
+
+  return postFee(client, {
+    accountId,
+    rule,
+    baseAmount: result.rows[0].withdrawal_amount,
+    employeeId,
+    sourceTransactionId: withdrawalTransactionId
+  });
+};
+
+/**
+ * Charge the early-closure fee when an account is closed within the rule's
+ * within_days of opening (any time when within_days is not set)
+ * Returns the posted fee or null.
+ */
+const chargeEarlyClosureFee = async (client, { accountId, employeeId }) => {
+  const rule = await findFeeRule(client, accountId, 'early_closure');
+  if (!rule) return null;
+
+  const result = await client.query(
+    `SELECT balance, ($2::int IS NULL OR open_date > CURRENT_DATE - $2::int) AS is_early
+     FROM account WHERE account_id = $1`,
+    [accountId, rule.within_days]
+  );
+  if (!result.rows[0].is_early) return null;
+
+  return postFee(client, { accountId, rule, baseAmount: result.rows[0].balance, employeeId });
+};
+
+/**
+ * Charge the premature-closure penalty of a fixed deposit to its savings
+ * account (percentage fees are taken of the FD principal)
+ * Returns the posted fee or null.
+ */
+const chargeFdPrematureClosureFee = async (client, { accountId, principal, employeeId, sourceTransactionId = null }) => {
+  const rule = await findFeeRule(client, accountId, 'fd_premature_closure');
+  if (!rule) return null;
+
+  return postFee(client, { accountId, rule, baseAmount: principal, employeeId, sourceTransactionId });
+};
+
+/**
+ * Charge this month's maintenance fee to every active account that has not
+ * been charged yet. Each account is posted in its own savepoint so one
+ * failure does not undo the rest.
+ */
+const processMonthlyMaintenanceFees = async () => {
+  console.log('🚀 Starting monthly maintenance fee processing...');
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const systemActorId = parseInt(process.env.SYSTEM_ACTOR_EMPLOYEE_ID || '1', 10);
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [systemActorId.toString()]);
+
+    const periodResult = await client.query(`SELECT to_char(CURRENT_DATE, 'YYYY-MM') AS period`);
+    const { period } = periodResult.rows[0];
+
+    const accounts = await client.query(
+      `SELECT a.account_id
+       FROM account a
+       WHERE a.account_status = 'Active'
+         AND NOT EXISTS (SELECT 1 FROM fee_charge fc
+                         WHERE fc.account_id = a.account_id
+                           AND fc.event_type = 'maintenance' AND fc.period = $1)
+       ORDER BY a.account_id`,
+      [period]
+    );
+
+    let chargedCount = 0;
+    let totalFees = 0;
+
+    for (const { account_id: accountId } of accounts.rows) {
+      const rule = await findFeeRule(client, accountId, 'maintenance');
+      if (!rule) continue;
+
+      try {
+        await client.query('SAVEPOINT maintenance_fee');
+        const fee = await postFee(client, { accountId, rule, employeeId: systemActorId, period });
+        await client.query('RELEASE SAVEPOINT maintenance_fee');
+        if (fee) {
+          chargedCount++;
+          totalFees += fee.amount;
+        }
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT maintenance_fee');
+        console.error(`❌ Failed to charge maintenance fee for account ${accountId}:`, error);
+      }
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`✅ Maintenance fees for ${period} completed!`);
+    console.log(`📊 Accounts Charged: ${chargedCount}`);
+    console.log(`💰 Total Fees: LKR ${totalFees.toLocaleString()}`);
+
+    return { success: true, charged: chargedCount, totalFees, period };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Error in maintenance fee processing:', error);
+    return { success: false, error: error.message };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Load a fee charge with its account's branch, or null
+ */
+const findCharge = async (client, chargeId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT fc.*, a.branch_id, a.account_status
+     FROM fee_charge fc
+     JOIN account a ON fc.account_id = a.account_id
+     WHERE fc.charge_id = $1
+     ${forUpdate ? 'FOR UPDATE OF fc' : ''}`,
+    [chargeId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Waive a charged fee: refund it to the account with a Deposit
+ * Returns { error, status } or { charge_id, waiver_transaction_id, amount }
+ */
+const waiveFee = async (client, charge, { employeeId, reason }) => {
+  if (charge.status === 'waived') {
+    return { error: 'Fee has already been waived', status: 409 };
+  }
+  if (charge.account_status !== 'Active') {
+    return { error: 'Fees on closed accounts cannot be refunded', status: 409 };
+  }
+
+  const txResult = await client.query(
+    'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) AS transaction_id',
+    ['Deposit', charge.amount, `Fee Waiver - ${FEE_LABELS[charge.event_type]} (charge #${charge.charge_id})`,
+      charge.account_id, employeeId]
+  );
+  const waiverTransactionId = txResult.rows[0].transaction_id;
+
+  await client.query(
+    `UPDATE fee_charge
+     SET status = 'waived', waived_by = $2, waived_at = NOW(), waive_reason = $3, waiver_transaction_id = $4
+     WHERE charge_id = $1`,
+    [charge.charge_id, employeeId, reason, waiverTransactionId]
+  );
+
+  return {
+    charge_id: charge.charge_id,
+    waiver_transaction_id: waiverTransactionId,
+    amount: parseFloat(charge.amount)
+  };
+};
+
+module.exports = {
+  FEE_EVENTS,
+  findFeeRule,
+  computeFee,
+  chargeExcessWithdrawalFee,
+  chargeEarlyClosureFee,
+  chargeFdPrematureClosureFee,
+  processMonthlyMaintenanceFees,
+  findCharge,
+  waiveFee
+};
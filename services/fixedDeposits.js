@@ -0,0 +1,454 @@
+// =============================================================================
+// FIXED DEPOSIT SERVICE - Auto-renewal, maturity reporting and closure
+// =============================================================================
+// renewMaturedDeposits runs in the daily FD job before
+// process_matured_fixed_deposits(), so FDs flagged for auto-renewal are rolled
+// into a new term instead of being paid out. A renewal closes the matured FD
+// and opens a new one on the same plan (the fd_autocalc_maturity_date trigger
+// sets its maturity date) starting on the old maturity date, so terms stay
+// contiguous even if the job ran late. Each renewal is logged in fd_renewal.
+// Closing an FD before maturity re-prices the interest for the days held at
+// the plan's premature rate (see migration 018); closures are logged in
+// fd_closure and large ones wait for a Manager.
+// An FD belongs to the savings account in fixeddeposit.account_id; an account
+// may hold any number of FDs (see migration 019).
+// Functions taking a client must be called inside a transaction.
+// =============================================================================
+
+const { checkHeldFunds } = require('./holds');
+const { BRANCH_BUSINESS_DATES_SQL } = require('./businessDate');
+const { findFeeRule, computeFee, chargeFdPrematureClosureFee } = require('./fees');
+
+const AUTO_RENEW_SQL = `fd.auto_renewal_status::text = 'True'`;
+
+// Percentage points below the plan rate for plans without a premature rate
+const PREMATURE_RATE_REDUCTION = parseFloat(process.env.FD_PREMATURE_RATE_REDUCTION || '2');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Move the FD's last interest credit from the savings account into the new
+ * principal. Returns { amount, transactionId }; amount is 0 when there is
+ * nothing to capitalise or the account can no longer cover it.
+ */
+const capitaliseLastInterest = async (client, fd, employeeId) => {
+  const interestResult = await client.query(
+    `SELECT interest_amount FROM fd_interest_calculations
+     WHERE fd_id = $1 AND status = 'credited'
+     ORDER BY calculation_date DESC
+     LIMIT 1`,
+    [fd.fd_id]
+  );
+  const amount = interestResult.rows.length > 0 ? parseFloat(interestResult.rows[0].interest_amount) : 0;
+  if (amount <= 0) return { amount: 0, transactionId: null };
+
+  if (await checkHeldFunds(client, fd.account_id, amount)) {
+    return { amount: 0, transactionId: null };
+  }
+
+  await client.query('SAVEPOINT fd_capitalise');
+  try {
+    const postResult = await client.query(
+      'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
+      ['Withdrawal', amount, `FD Renewal - Interest Capitalised (${fd.fd_id})`, fd.account_id, employeeId]
+    );
+    await client.query('RELEASE SAVEPOINT fd_capitalise');
+    return { amount, transactionId: postResult.rows[0].transaction_id };
+  } catch (error) {
+    // e.g. the interest was already spent: renew the principal only
+    await client.query('ROLLBACK TO SAVEPOINT fd_capitalise');
+    return { amount: 0, transactionId: null };
+  }
+};
+
+/**
+ * Roll one matured FD into a new term; returns the fd_renewal row
+ */
+const renewDeposit = async (client, fd, employeeId) => {
+  const capitalised = fd.capitalise_interest
+    ? await capitaliseLastInterest(client, fd, employeeId)
+    : { amount: 0, transactionId: null };
+  const newPrincipal = parseFloat(fd.fd_balance) + capitalised.amount;
+
+  const fdResult = await client.query(
+    `INSERT INTO fixeddeposit
+       (fd_balance, auto_renewal_status, fd_status, open_date, fd_plan_id, capitalise_interest, account_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING fd_id, maturity_date`,
+    [newPrincipal, 'True', 'Active', fd.maturity_date, fd.fd_plan_id, fd.capitalise_interest, fd.account_id]
+  );
+  const newFd = fdResult.rows[0];
+
+  await client.query('UPDATE fixeddeposit SET fd_status = $1 WHERE fd_id = $2', ['Closed', fd.fd_id]);
+
+  const renewalResult = await client.query(
+    `INSERT INTO fd_renewal
+       (previous_fd_id, new_fd_id, account_id, fd_plan_id, interest_rate, previous_principal,
+        capitalised_interest, new_principal, previous_maturity_date, new_maturity_date,
+        capitalisation_transaction_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [fd.fd_id, newFd.fd_id, fd.account_id, fd.fd_plan_id, fd.interest, fd.fd_balance,
+      capitalised.amount, newPrincipal, fd.maturity_date, newFd.maturity_date, capitalised.transactionId]
+  );
+  return renewalResult.rows[0];
+};
+
+/**
+ * Renew every auto-renewal FD that has matured by its branch's business date
+ * An FD that cannot be renewed, or has a closure awaiting approval, is left
+ * for process_matured_fixed_deposits() to pay out (see migration 021).
+ * Returns { renewed, totalPrincipal }.
+ */
+const renewMaturedDeposits = async (client, { employeeId }) => {
+  const due = await client.query(
+    `SELECT fd.fd_id, fd.fd_balance, fd.fd_plan_id, fd.maturity_date, fd.capitalise_interest,
+            fp.interest, a.account_id
+     FROM fixeddeposit fd
+     JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
+     JOIN account a ON a.account_id = fd.account_id AND a.account_status = 'Active'
+     JOIN ${BRANCH_BUSINESS_DATES_SQL} bd ON bd.branch_id = a.branch_id
+     WHERE fd.fd_status = 'Active' AND ${AUTO_RENEW_SQL} AND fd.maturity_date <= bd.business_date
+       AND NOT EXISTS (SELECT 1 FROM fd_closure c WHERE c.fd_id = fd.fd_id AND c.status = 'pending')
+     ORDER BY fd.maturity_date, fd.fd_id
+     FOR UPDATE OF fd`
+  );
+
+  let renewed = 0;
+  let totalPrincipal = 0;
+
+  for (const fd of due.rows) {
+    await client.query('SAVEPOINT fd_renewal');
+    try {
+      const renewal = await renewDeposit(client, fd, employeeId);
+      await client.query('RELEASE SAVEPOINT fd_renewal');
+      renewed++;
+      totalPrincipal += parseFloat(renewal.new_principal);
+      console.log(`🔁 Renewed FD ${fd.fd_id} as FD ${renewal.new_fd_id} (LKR ${renewal.new_principal} at ${fd.interest}%)`);
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT fd_renewal');
+      console.error(`❌ Failed to renew FD ${fd.fd_id}, it will be paid out:`, error);
+    }
+  }
+
+  return { renewed, totalPrincipal };
+};
+
+/**
+ * Active FDs maturing within the next `days` days of their branch's business
+ * date (including overdue ones)
+ * branchId limits the list to one branch (null: all branches).
+ * Each row says whether the FD will be renewed or paid out.
+ */
+const getUpcomingMaturities = async (client, { branchId, days }) => {
+  const result = await client.query(
+    `SELECT fd.fd_id, a.account_id, a.branch_id, COALESCE(b.name, 'Unknown') AS branch_name,
+            fd.fd_balance, fp.fd_options, fp.interest AS current_rate,
+            to_char(fd.open_date, 'YYYY-MM-DD') AS open_date,
+            to_char(fd.maturity_date, 'YYYY-MM-DD') AS maturity_date,
+            fd.maturity_date - COALESCE(bd.business_date, CURRENT_DATE) AS days_to_maturity,
+            CASE WHEN ${AUTO_RENEW_SQL} AND NOT EXISTS (
+                   SELECT 1 FROM fd_closure c WHERE c.fd_id = fd.fd_id AND c.status = 'pending'
+                 ) THEN 'renew' ELSE 'payout' END AS action,
+            fd.capitalise_interest
+     FROM fixeddeposit fd
+     JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
+     JOIN account a ON a.account_id = fd.account_id
+     LEFT JOIN branch b ON a.branch_id = b.branch_id
+     LEFT JOIN ${BRANCH_BUSINESS_DATES_SQL} bd ON bd.branch_id = a.branch_id
+     WHERE fd.fd_status = 'Active'
+       AND fd.maturity_date <= COALESCE(bd.business_date, CURRENT_DATE) + $2::int
+       AND ($1::int IS NULL OR a.branch_id = $1)
+     ORDER BY fd.maturity_date, fd.fd_id`,
+    [branchId, days]
+  );
+
+  const summary = { renew: { count: 0, principal: 0 }, payout: { count: 0, principal: 0 } };
+  for (const row of result.rows) {
+    summary[row.action].count++;
+    summary[row.action].principal += parseFloat(row.fd_balance);
+  }
+
+  return { days, summary, maturities: result.rows };
+};
+
+/**
+ * Renewal chain of an FD, oldest term first (empty when never renewed)
+ */
+const getRenewalHistory = async (client, fdId) => {
+  const result = await client.query(
+    `WITH RECURSIVE earlier AS (
+       SELECT r.* FROM fd_renewal r WHERE r.new_fd_id = $1
+       UNION ALL
+       SELECT r.* FROM fd_renewal r JOIN earlier e ON r.new_fd_id = e.previous_fd_id
+     ), later AS (
+       SELECT r.* FROM fd_renewal r WHERE r.previous_fd_id = $1
+       UNION ALL
+       SELECT r.* FROM fd_renewal r JOIN later l ON r.previous_fd_id = l.new_fd_id
+     )
+     SELECT * FROM (SELECT * FROM earlier UNION SELECT * FROM later) chain
+     ORDER BY renewed_at, renewal_id`,
+    [fdId]
+  );
+  return result.rows;
+};
+
+/**
+ * Load an active FD (locked) with its plan rates and savings account, or null
+ * is_premature and days_held are as of the account branch's business date.
+ */
+const findActiveDeposit = async (client, fdId) => {
+  const result = await client.query(
+    `SELECT fd.fd_id, fd.fd_balance, fd.open_date, fd.maturity_date, fd.fd_plan_id,
+            fp.fd_options, fp.interest AS contract_rate,
+            COALESCE(pr.premature_rate, GREATEST(fp.interest - $2, 0)) AS premature_rate,
+            a.account_id, a.branch_id,
+            fd.maturity_date > COALESCE(bd.business_date, CURRENT_DATE) AS is_premature,
+            COALESCE(bd.business_date, CURRENT_DATE) - fd.open_date::date AS days_held
+     FROM fixeddeposit fd
+     JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
+     LEFT JOIN fdplan_premature_rate pr ON fd.fd_plan_id = pr.fd_plan_id
+     LEFT JOIN account a ON a.account_id = fd.account_id
+     LEFT JOIN ${BRANCH_BUSINESS_DATES_SQL} bd ON bd.branch_id = a.branch_id
+     WHERE fd.fd_id = $1 AND fd.fd_status = 'Active'
+     FOR UPDATE OF fd`,
+    [fdId, PREMATURE_RATE_REDUCTION]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Breakdown of closing an FD on the current business date
+ * At or after maturity the principal is returned as is. Before maturity the
+ * interest for the days held is recomputed at the premature rate: interest
+ * credited above that is clawed back from the principal, interest earned but
+ * not yet credited is topped up. penalty_amount is the scheduled penalty fee
+ * (charged to the savings account, capped at its balance when posted).
+ */
+const quoteClosure = async (client, fd) => {
+  const principal = parseFloat(fd.fd_balance);
+  const contractRate = parseFloat(fd.contract_rate);
+  const daysHeld = Math.max(0, parseInt(fd.days_held, 10));
+
+  const paidResult = await client.query(
+    `SELECT COALESCE(SUM(interest_amount), 0) AS paid
+     FROM fd_interest_calculations
+     WHERE fd_id = $1 AND status = 'credited'`,
+    [fd.fd_id]
+  );
+  const interestPaid = parseFloat(paidResult.rows[0].paid);
+
+  if (!fd.is_premature) {
+    return {
+      closure_type: 'matured',
+      principal,
+      contract_rate: contractRate,
+      applied_rate: contractRate,
+      days_held: daysHeld,
+      interest_paid: interestPaid,
+      interest_entitled: interestPaid,
+      interest_clawback: 0,
+      interest_topup: 0,
+      penalty_amount: 0,
+      payout_amount: principal
+    };
+  }
+
+  const appliedRate = parseFloat(fd.premature_rate);
+  const entitled = round2((principal * appliedRate * daysHeld) / (100 * 365));
+  const clawback = round2(Math.min(Math.max(0, interestPaid - entitled), principal));
+  const topup = round2(Math.max(0, entitled - interestPaid));
+
+  const rule = await findFeeRule(client, fd.account_id, 'fd_premature_closure');
+
+  return {
+    closure_type: 'premature',
+    principal,
+    contract_rate: contractRate,
+    applied_rate: appliedRate,
+    days_held: daysHeld,
+    interest_paid: interestPaid,
+    interest_entitled: entitled,
+    interest_clawback: clawback,
+    interest_topup: topup,
+    penalty_amount: rule ? computeFee(rule, principal) : 0,
+    payout_amount: round2(principal - clawback)
+  };
+};
+
+/**
+ * Pending closure of an FD, if any
+ */
+const findPendingClosure = async (client, fdId) => {
+  const result = await client.query(
+    "SELECT closure_id FROM fd_closure WHERE fd_id = $1 AND status = 'pending'",
+    [fdId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Queue a premature closure for Manager approval
+ * The FD stays active; the breakdown is recomputed when it is approved.
+ */
+const requestClosure = async (client, fd, { reason, employeeId }) => {
+  const quote = await quoteClosure(client, fd);
+  const result = await client.query(
+    `INSERT INTO fd_closure
+       (fd_id, account_id, closure_type, reason, principal, contract_rate, applied_rate, days_held,
+        interest_paid, interest_entitled, interest_clawback, interest_topup, penalty_amount,
+        payout_amount, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     RETURNING closure_id`,
+    [fd.fd_id, fd.account_id, quote.closure_type, reason || null, quote.principal, quote.contract_rate,
+      quote.applied_rate, quote.days_held, quote.interest_paid, quote.interest_entitled,
+      quote.interest_clawback, quote.interest_topup, quote.penalty_amount, quote.payout_amount, employeeId]
+  );
+  return { closure_id: result.rows[0].closure_id, ...quote };
+};
+
+/**
+ * Close an FD: pay the principal (less any clawback) and top-up interest into
+ * the savings account, charge the penalty and unlink the FD.
+ * closureId completes a queued request (deciderId approved it); otherwise a
+ * completed fd_closure row is written. Returns the breakdown as posted.
+ */
+const completeClosure = async (client, fd, { employeeId, reason, closureId = null, deciderId = null, note = null }) => {
+  const quote = await quoteClosure(client, fd);
+  const label = quote.closure_type === 'premature' ? 'FD Premature Closure' : 'FD Deactivation';
+
+  let payoutTransactionId = null;
+  if (quote.payout_amount > 0) {
+    const description = quote.interest_clawback > 0
+      ? `${label} - Principal Return (${fd.fd_id}) less interest adjustment LKR ${quote.interest_clawback.toFixed(2)}`
+      : `${label} - Principal Return (${fd.fd_id})`;
+    const payoutResult = await client.query(
+      'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
+      ['Deposit', quote.payout_amount, description, fd.account_id, employeeId]
+    );
+    payoutTransactionId = payoutResult.rows[0].transaction_id;
+  }
+
+  let topupTransactionId = null;
+  if (quote.interest_topup > 0) {
+    const topupResult = await client.query(
+      'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
+      ['Interest', quote.interest_topup, `${label} - Interest at ${quote.applied_rate}% (${fd.fd_id})`, fd.account_id, employeeId]
+    );
+    topupTransactionId = topupResult.rows[0].transaction_id;
+  }
+
+  const penalty = quote.closure_type === 'premature'
+    ? await chargeFdPrematureClosureFee(client, {
+      accountId: fd.account_id,
+      principal: quote.principal,
+      employeeId,
+      sourceTransactionId: payoutTransactionId
+    })
+    : null;
+  const breakdown = { ...quote, penalty_amount: penalty ? penalty.amount : 0 };
+
+  await client.query('UPDATE fixeddeposit SET fd_status = $1 WHERE fd_id = $2', ['Closed', fd.fd_id]);
+
+  const values = [breakdown.closure_type, breakdown.principal, breakdown.contract_rate, breakdown.applied_rate,
+    breakdown.days_held, breakdown.interest_paid, breakdown.interest_entitled, breakdown.interest_clawback,
+    breakdown.interest_topup, breakdown.penalty_amount, breakdown.payout_amount, payoutTransactionId,
+    topupTransactionId, penalty ? penalty.charge_id : null];
+
+  let closureResult;
+  if (closureId) {
+    closureResult = await client.query(
+      `UPDATE fd_closure
+       SET closure_type = $1, principal = $2, contract_rate = $3, applied_rate = $4, days_held = $5,
+           interest_paid = $6, interest_entitled = $7, interest_clawback = $8, interest_topup = $9,
+           penalty_amount = $10, payout_amount = $11, payout_transaction_id = $12,
+           topup_transaction_id = $13, penalty_charge_id = $14,
+           status = 'completed', decided_by = $15, decided_at = NOW(), decision_note = $16
+       WHERE closure_id = $17
+       RETURNING closure_id`,
+      [...values, deciderId, note || null, closureId]
+    );
+  } else {
+    closureResult = await client.query(
+      `INSERT INTO fd_closure
+         (closure_type, principal, contract_rate, applied_rate, days_held, interest_paid,
+          interest_entitled, interest_clawback, interest_topup, penalty_amount, payout_amount,
+          payout_transaction_id, topup_transaction_id, penalty_charge_id,
+          fd_id, account_id, reason, status, requested_by, decided_by, decided_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, 'completed', $18, $18, NOW())
+       RETURNING closure_id`,
+      [...values, fd.fd_id, fd.account_id, reason || null, employeeId]
+    );
+  }
+
+  return {
+    closure_id: closureResult.rows[0].closure_id,
+    ...breakdown,
+    payout_transaction_id: payoutTransactionId,
+    topup_transaction_id: topupTransactionId
+  };
+};
+
+/**
+ * Load a closure request with its account's branch, or null
+ */
+const findClosure = async (client, closureId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT c.*, a.branch_id
+     FROM fd_closure c
+     JOIN account a ON c.account_id = a.account_id
+     WHERE c.closure_id = $1
+     ${forUpdate ? 'FOR UPDATE OF c' : ''}`,
+    [closureId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Reject a pending closure request; the FD stays active
+ */
+const rejectClosure = async (client, closureId, deciderId, note) => {
+  await client.query(
+    `UPDATE fd_closure
+     SET status = 'rejected', decided_by = $2, decided_at = NOW(), decision_note = $3
+     WHERE closure_id = $1`,
+    [closureId, deciderId, note || null]
+  );
+};
+
+/**
+ * Fixed deposits funded from a savings account, newest first
+ * status limits the list to 'Active' or 'Closed' FDs (null: all).
+ */
+const getAccountDeposits = async (client, accountId, { status = null } = {}) => {
+  const result = await client.query(
+    `SELECT fd.fd_id, fd.fd_balance, fd.fd_status, fd.auto_renewal_status, fd.capitalise_interest,
+            to_char(fd.open_date, 'YYYY-MM-DD') AS open_date,
+            to_char(fd.maturity_date, 'YYYY-MM-DD') AS maturity_date,
+            fd.fd_plan_id, fp.fd_options, fp.interest,
+            COALESCE(SUM(ic.interest_amount) FILTER (WHERE ic.status = 'credited'), 0) AS interest_credited
+     FROM fixeddeposit fd
+     JOIN fdplan fp ON fd.fd_plan_id = fp.fd_plan_id
+     LEFT JOIN fd_interest_calculations ic ON ic.fd_id = fd.fd_id
+     WHERE fd.account_id = $1 AND ($2::text IS NULL OR fd.fd_status::text = $2)
+     GROUP BY fd.fd_id, fp.fd_options, fp.interest
+     ORDER BY fd.open_date DESC, fd.fd_id DESC`,
+    [accountId, status]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  PREMATURE_RATE_REDUCTION,
+  renewMaturedDeposits,
+  getUpcomingMaturities,
+  getRenewalHistory,
+  getAccountDeposits,
+  findActiveDeposit,
+  quoteClosure,
+  findPendingClosure,
+  requestClosure,
+  completeClosure,
+  findClosure,
+  rejectClosure
+};
@@ -0,0 +1,174 @@
+// =============================================================================
+// HOLD SERVICE - Funds reserved on an account
+// =============================================================================
+// A hold reserves part of an account's balance: a withdrawal waiting for
+// approval (source 'approval') or a hold placed by a manager for a court
+// order, as collateral or for another reason (MANUAL_HOLD_SOURCES). Held funds
+// stay in the balance but cannot be withdrawn, transferred, reversed out or
+// moved into a fixed deposit. Bank fees are still taken (see services/fees.js).
+// A hold stops blocking funds at expires_at; expireHolds marks it 'expired'.
+// =============================================================================
+
+const pool = require('../config/database');
+
+const MANUAL_HOLD_SOURCES = ['court_order', 'collateral', 'other'];
+
+// Holds that currently block funds (alias h)
+const ACTIVE_HOLD_SQL = `h.status = 'active' AND (h.expires_at IS NULL OR h.expires_at > NOW())`;
+
+/**
+ * Balance breakdown for an account
+ * Returns null when the account does not exist, else
+ * { balance, min_balance, held, available } where available excludes the
+ * plan minimum balance and active holds.
+ */
+const getAvailableBalance = async (client, accountId) => {
+  const result = await client.query(
+    `SELECT a.balance,
+            COALESCE(sp.min_balance, 0) AS min_balance,
+            COALESCE((SELECT SUM(h.amount) FROM account_hold h
+                      WHERE h.account_id = a.account_id AND ${ACTIVE_HOLD_SQL}), 0) AS held
+     FROM account a
+     LEFT JOIN savingplan sp ON a.saving_plan_id = sp.saving_plan_id
+     WHERE a.account_id = $1`,
+    [accountId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const balance = parseFloat(result.rows[0].balance);
+  const minBalance = parseFloat(result.rows[0].min_balance);
+  const held = parseFloat(result.rows[0].held);
+  return {
+    balance,
+    min_balance: minBalance,
+    held,
+    available: Math.max(0, balance - minBalance - held)
+  };
+};
+
+/**
+ * Check a debit against held funds
+ * Returns an error message when active holds leave too little to cover the
+ * amount, otherwise null (plain balance/minimum checks stay with the database).
+ */
+const checkHeldFunds = async (client, accountId, amount) => {
+  const funds = await getAvailableBalance(client, accountId);
+  if (!funds || funds.held <= 0 || parseFloat(amount) <= funds.available) return null;
+  return `Insufficient available balance. LKR ${funds.held.toFixed(2)} is on hold; available: LKR ${funds.available.toFixed(2)}`;
+};
+
+/**
+ * Place a hold and return its id
+ */
+const placeHold = async (client, { accountId, amount, reason, source, sourceId, createdBy }) => {
+  const result = await client.query(
+    `INSERT INTO account_hold (account_id, amount, reason, source, source_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING hold_id`,
+    [accountId, amount, reason || null, source, sourceId || null, createdBy || null]
+  );
+  return result.rows[0].hold_id;
+};
+
+/**
+ * End an active hold: 'released' (funds free again) or 'consumed' (debited)
+ */
+const endHold = async (client, holdId, status = 'released') => {
+  await client.query(
+    `UPDATE account_hold SET status = $2, released_at = NOW()
+     WHERE hold_id = $1 AND status = 'active'`,
+    [holdId, status]
+  );
+};
+
+/**
+ * Place a manager hold (court order, collateral, other) on an active account
+ * The amount may exceed the available balance: later credits stay blocked.
+ * Returns { error, status } or the new hold.
+ */
+const placeManualHold = async (client, { accountId, amount, source, reason, expiresAt, employeeId }) => {
+  const accountResult = await client.query(
+    'SELECT account_status FROM account WHERE account_id = $1 FOR UPDATE',
+    [accountId]
+  );
+  if (accountResult.rows.length === 0 || accountResult.rows[0].account_status !== 'Active') {
+    return { error: 'Active account not found', status: 400 };
+  }
+
+  if (expiresAt) {
+    const expiryResult = await client.query('SELECT $1::timestamp <= NOW() AS in_past', [expiresAt]);
+    if (expiryResult.rows[0].in_past) {
+      return { error: 'Expiry must be in the future', status: 400 };
+    }
+  }
+
+  const result = await client.query(
+    `INSERT INTO account_hold (account_id, amount, reason, source, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [accountId, amount, reason, source, expiresAt || null, employeeId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Load a hold with its account's branch, or null
+ */
+const findHold = async (client, holdId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT h.*, a.branch_id
+     FROM account_hold h
+     JOIN account a ON h.account_id = a.account_id
+     WHERE h.hold_id = $1
+     ${forUpdate ? 'FOR UPDATE OF h' : ''}`,
+    [holdId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Release an active manager hold
+ * Approval holds end with their request (approve/reject/expiry) instead.
+ * Returns { error, status } or the updated hold.
+ */
+const releaseManualHold = async (client, hold, { employeeId, note }) => {
+  if (!MANUAL_HOLD_SOURCES.includes(hold.source)) {
+    return { error: 'This hold belongs to a pending request and is released when the request is decided', status: 409 };
+  }
+  if (hold.status !== 'active') {
+    return { error: `Hold is already ${hold.status}`, status: 409 };
+  }
+
+  const result = await client.query(
+    `UPDATE account_hold
+     SET status = 'released', released_at = NOW(), released_by = $2, release_note = $3
+     WHERE hold_id = $1
+     RETURNING *`,
+    [hold.hold_id, employeeId, note || null]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Mark holds past their expiry as 'expired'
+ * Returns the number of holds expired.
+ */
+const expireHolds = async () => {
+  const result = await pool.query(
+    `UPDATE account_hold SET status = 'expired', released_at = expires_at
+     WHERE status = 'active' AND expires_at <= NOW()`
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  ACTIVE_HOLD_SQL,
+  getAvailableBalance,
+  checkHeldFunds,
+  placeHold,
+  endHold,
+  placeManualHold,
+  findHold,
+  releaseManualHold,
+  expireHolds
+};
@@ -7,12 +7,33 @@
 // =============================================================================
 
 const pool = require('../config/database');
+const { renewMaturedDeposits } = require('./fixedDeposits');
+const { BRANCH_BUSINESS_DATES_SQL } = require('./businessDate');
+
+// Crediting rules of the DB functions the jobs below call (calculate_fd_interest_due,
+// migration 019, and calculate_savings_interest_due), mirrored for the public
+// calculators: interest is credited every 30 days on the balance at the time,
+// at rate% per annum over a 365-day year, rounded to cents.
+const INTEREST_CYCLE_DAYS = 30;
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Round half away from zero to cents, as NUMERIC ROUND(x, 2) does
+ */
+const roundAmount = (value) => Math.sign(value) * Math.round((Math.abs(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Interest credited for one period of `days` days
+ */
+const periodInterest = (balance, rate, days = INTEREST_CYCLE_DAYS) =>
+  roundAmount(balance * rate / 100 * days / DAYS_PER_YEAR);
 
 /**
  * Process daily FD interest for all eligible fixed deposits
  * - Calculates interest based on 30-day cycles per account
  * - Credits interest to linked savings accounts
- * - Processes matured FDs and returns principal
+ * - Renews matured FDs flagged for auto-renewal
+ * - Processes the other matured FDs and returns principal
  * - Logs detailed processing information
  */
 const processDailyFDInterest = async () => {
@@ -21,12 +42,20 @@ const processDailyFDInterest = async () => {
   try {
     await client.query('BEGIN');
     const today = new Date();
-    const processDate = today.toISOString().split('T')[0];
 
-    // Calculate interest due for all FDs
+    // Maturity payouts in process_matured_fixed_deposits() are posted as this actor
+    await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [
+      String(parseInt(process.env.SYSTEM_ACTOR_EMPLOYEE_ID || '1', 10))
+    ]);
+
+    // Interest due for all FDs (each credited to its own savings account), as of
+    // the business date of that account's branch
     const interestCalculations = await client.query(
-      `SELECT * FROM calculate_fd_interest_due($1::DATE) WHERE interest_amount > 0`,
-      [processDate]
+      `SELECT to_char(bd.business_date, 'YYYY-MM-DD') AS process_date, c.*
+       FROM ${BRANCH_BUSINESS_DATES_SQL} bd
+       CROSS JOIN LATERAL calculate_fd_interest_due(bd.business_date) c
+       JOIN account a ON a.account_id = c.linked_account_id AND a.branch_id = bd.branch_id
+       WHERE c.interest_amount > 0`
     );
 
     let creditedCount = 0;
@@ -47,7 +76,7 @@ const processDailyFDInterest = async () => {
           `INSERT INTO fd_interest_calculations 
            (fd_id, calculation_date, interest_amount, days_in_period, credited_to_account_id, status, credited_at)
            VALUES ($1, $2, $3, $4, $5, 'credited', $6)`,
-          [calc.fd_id, processDate, calc.interest_amount, calc.days_in_period, calc.linked_account_id, today]
+          [calc.fd_id, calc.process_date, calc.interest_amount, calc.days_in_period, calc.linked_account_id, today]
         );
         
         creditedCount++;
@@ -60,11 +89,16 @@ const processDailyFDInterest = async () => {
           `INSERT INTO fd_interest_calculations 
            (fd_id, calculation_date, interest_amount, days_in_period, credited_to_account_id, status)
            VALUES ($1, $2, $3, $4, $5, 'failed')`,
-          [calc.fd_id, processDate, calc.interest_amount, calc.days_in_period, calc.linked_account_id]
+          [calc.fd_id, calc.process_date, calc.interest_amount, calc.days_in_period, calc.linked_account_id]
         );
       }
     }
 
+    // Roll auto-renewal FDs into a new term before maturity payout picks them up
+    const renewals = await renewMaturedDeposits(client, {
+      employeeId: parseInt(process.env.SYSTEM_ACTOR_EMPLOYEE_ID || '1', 10)
+    });
+
     // Process matured FDs
     const maturedResult = await client.query('SELECT * FROM process_matured_fixed_deposits()');
     const maturedData = maturedResult.rows[0];
@@ -75,6 +109,7 @@ const processDailyFDInterest = async () => {
     console.log(`✅ Daily FD interest processing completed!`);
     console.log(`📊 FDs Processed: ${creditedCount}`);
     console.log(`💰 Total Interest Credited: LKR ${totalInterest.toLocaleString()}`);
+    console.log(`🔁 FDs Renewed: ${renewals.renewed} (LKR ${renewals.totalPrincipal.toLocaleString()})`);
     console.log(`🏁 Matured FDs Processed: ${maturedData.processed_count}`);
     console.log(`💵 Principal Returned: LKR ${maturedData.total_principal_returned.toLocaleString()}`);
 
@@ -82,9 +117,11 @@ const processDailyFDInterest = async () => {
       success: true,
       processed: creditedCount,
       totalInterest: totalInterest,
+      renewed: renewals.renewed,
+      renewedPrincipal: renewals.totalPrincipal,
       maturedProcessed: maturedData.processed_count,
       principalReturned: maturedData.total_principal_returned,
-      period: processDate,
+      period: [...new Set(interestCalculations.rows.map(calc => calc.process_date))],
     };
   } catch (error) {
     await client.query('ROLLBACK');
@@ -108,13 +145,16 @@ const processDailySavingsInterest = async () => {
   try {
     await client.query('BEGIN');
     const today = new Date();
-    const processDate = today.toISOString().split('T')[0];
 
-    // Calculate interest due for all savings accounts
+    // Interest due for all savings accounts, as of their branch's business date
     const interestCalculations = await client.query(
-      `SELECT * FROM calculate_savings_interest_due($1::DATE) WHERE interest_amount > 0`,
-      [processDate]
+      `SELECT to_char(bd.business_date, 'YYYY-MM-DD') AS process_date, c.*
+       FROM ${BRANCH_BUSINESS_DATES_SQL} bd
+       CROSS JOIN LATERAL calculate_savings_interest_due(bd.business_date) c
+       JOIN account a ON a.account_id = c.account_id AND a.branch_id = bd.branch_id
+       WHERE c.interest_amount > 0`
     );
+    const periods = [...new Set(interestCalculations.rows.map(calc => calc.process_date))];
 
     let creditedCount = 0;
     let totalInterest = 0;
@@ -134,7 +174,7 @@ const processDailySavingsInterest = async () => {
           `INSERT INTO savings_interest_calculations 
            (account_id, calculation_date, interest_amount, interest_rate, plan_type, status, credited_at)
            VALUES ($1, $2, $3, $4, $5, 'credited', $6)`,
-          [calc.account_id, processDate, calc.interest_amount, calc.interest_rate, calc.plan_type, today]
+          [calc.account_id, calc.process_date, calc.interest_amount, calc.interest_rate, calc.plan_type, today]
         );
         
         creditedCount++;
@@ -147,7 +187,7 @@ const processDailySavingsInterest = async () => {
           `INSERT INTO savings_interest_calculations 
            (account_id, calculation_date, interest_amount, interest_rate, plan_type, status)
            VALUES ($1, $2, $3, $4, $5, 'failed')`,
-          [calc.account_id, processDate, calc.interest_amount, calc.interest_rate, calc.plan_type]
+          [calc.account_id, calc.process_date, calc.interest_amount, calc.interest_rate, calc.plan_type]
         );
       }
     }
@@ -158,13 +198,13 @@ const processDailySavingsInterest = async () => {
     console.log(`✅ Daily savings interest processing completed!`);
     console.log(`📊 Accounts Processed: ${creditedCount}`);
     console.log(`💰 Total Interest Credited: LKR ${totalInterest.toLocaleString()}`);
-    console.log(`📅 Date: ${processDate}`);
+    console.log(`📅 Business date(s): ${periods.join(', ') || '-'}`);
 
     return {
       success: true,
       processed: creditedCount,
       totalInterest: totalInterest,
-      period: processDate,
+      period: periods,
     };
   } catch (error) {
     await client.query('ROLLBACK');
@@ -175,4 +215,11 @@ const processDailySavingsInterest = async () => {
   }
 };
 
-module.exports = { processDailyFDInterest, processDailySavingsInterest };
\ No newline at end of file
+module.exports = {
+  INTEREST_CYCLE_DAYS,
+  DAYS_PER_YEAR,
+  roundAmount,
+  periodInterest,
+  processDailyFDInterest,
+  processDailySavingsInterest
+};
\ No newline at end of file
@@ -0,0 +1,134 @@
+// =============================================================================
+// LOGIN THROTTLE SERVICE - Brute-force protection and login history
+// =============================================================================
+// Failed attempts are counted per username and per client IP:
+// - from the 2nd consecutive failure a progressive delay applies
+//   (1s, 2s, 4s, ... capped at LOGIN_MAX_DELAY_SECONDS) before the next try
+// - at LOGIN_MAX_FAILURES (username) / LOGIN_IP_MAX_FAILURES (IP) the key is
+//   locked for LOGIN_LOCKOUT_MINUTES
+// - counters reset after LOGIN_FAILURE_WINDOW_MINUTES without a failure
+// =============================================================================
+
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10);
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '30', 10);
+
+const usernameKey = (username) => String(username || '').trim().toLowerCase();
+
+const progressiveDelaySeconds = (failedCount) =>
+  failedCount < 2 ? 0 : Math.min(2 ** (failedCount - 2), MAX_DELAY_SECONDS);
+
+/**
+ * Check whether a login attempt may proceed
+ * Returns { allowed: true } or { allowed: false, reason: 'locked' | 'throttled', retry_after }
+ */
+const checkLoginAllowed = async (client, username, ip) => {
+  const result = await client.query(
+    `SELECT scope, failed_count,
+            CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS locked_seconds,
+            EXTRACT(EPOCH FROM (NOW() - last_failed_at)) AS seconds_since_failure
+     FROM login_throttle
+     WHERE ((scope = 'username' AND throttle_key = $1) OR (scope = 'ip' AND throttle_key = $2))
+       AND (last_failed_at > NOW() - ($3 || ' minutes')::interval OR locked_until > NOW())`,
+    [usernameKey(username), ip || '', String(FAILURE_WINDOW_MINUTES)]
+  );
+
+  let retryAfter = 0;
+  let reason = null;
+
+  for (const row of result.rows) {
+    if (row.locked_seconds > 0) {
+      if (reason !== 'locked' || row.locked_seconds > retryAfter) retryAfter = row.locked_seconds;
+      reason = 'locked';
+      continue;
+    }
+    if (reason === 'locked') continue;
+
+    const wait = Math.ceil(progressiveDelaySeconds(row.failed_count) - parseFloat(row.seconds_since_failure));
+    if (wait > 0 && wait > retryAfter) {
+      retryAfter = wait;
+      reason = 'throttled';
+    }
+  }
+
+  return reason ? { allowed: false, reason, retry_after: retryAfter } : { allowed: true };
+};
+
+const bumpFailure = async (client, scope, key, maxFailures) => {
+  const result = await client.query(
+    `INSERT INTO login_throttle (scope, throttle_key, failed_count)
+     VALUES ($1, $2, 1)
+     ON CONFLICT (scope, throttle_key) DO UPDATE SET
+       failed_count = CASE
+         WHEN login_throttle.last_failed_at < NOW() - ($3 || ' minutes')::interval THEN 1
+         ELSE login_throttle.failed_count + 1
+       END,
+       first_failed_at = CASE
+         WHEN login_throttle.last_failed_at < NOW() - ($3 || ' minutes')::interval THEN NOW()
+         ELSE login_throttle.first_failed_at
+       END,
+       last_failed_at = NOW()
+     RETURNING failed_count`,
+    [scope, key, String(FAILURE_WINDOW_MINUTES)]
+  );
+
+  if (result.rows[0].failed_count >= maxFailures) {
+    await client.query(
+      `UPDATE login_throttle SET locked_until = NOW() + ($3 || ' minutes')::interval
+       WHERE scope = $1 AND throttle_key = $2`,
+      [scope, key, String(LOCKOUT_MINUTES)]
+    );
+  }
+};
+
+/**
+ * Count a failed attempt against both the username and the client IP
+ */
+const recordFailure = async (client, username, ip) => {
+  await bumpFailure(client, 'username', usernameKey(username), MAX_FAILURES);
+  if (ip) {
+    await bumpFailure(client, 'ip', ip, IP_MAX_FAILURES);
+  }
+};
+
+/**
+ * Clear the username counter after a successful login
+ * The IP counter is left to decay so one valid account cannot reset it.
+ */
+const recordSuccess = async (client, username) => {
+  await client.query(
+    `DELETE FROM login_throttle WHERE scope = 'username' AND throttle_key = $1`,
+    [usernameKey(username)]
+  );
+};
+
+/**
+ * Remove a username lockout (admin unlock)
+ */
+const clearUsernameLockout = async (client, username) => {
+  await client.query(
+    `DELETE FROM login_throttle WHERE scope = 'username' AND throttle_key = $1`,
+    [usernameKey(username)]
+  );
+};
+
+/**
+ * Append an entry to login_history
+ */
+const recordLoginEvent = async (client, { employeeId, username, success, reason, ip, userAgent }) => {
+  await client.query(
+    `INSERT INTO login_history (employee_id, username, success, failure_reason, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [employeeId || null, username || null, success, reason || null, ip || null, userAgent || null]
+  );
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailure,
+  recordSuccess,
+  clearUsernameLockout,
+  recordLoginEvent
+};
@@ -0,0 +1,138 @@
+// =============================================================================
+// MFA SERVICE - TOTP enrollment and second-factor verification
+// =============================================================================
+
+const crypto = require('crypto');
+const {
+  generateSecret,
+  buildProvisioningUri,
+  verifyCode,
+  generateRecoveryCodes
+} = require('./totp');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+
+/**
+ * Get 2FA state for an employee
+ * - enabled:  employee has a confirmed TOTP secret
+ * - required: the employee's role is forced to use 2FA by admin policy
+ */
+const getMfaStatus = async (client, employeeId, role) => {
+  const result = await client.query(
+    `SELECT
+       COALESCE((SELECT enabled FROM employee_mfa WHERE employee_id = $1), FALSE) AS enabled,
+       COALESCE((SELECT mfa_required FROM mfa_role_policy WHERE role = $2), FALSE) AS required`,
+    [employeeId, role]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Create (or replace) a pending TOTP secret and a fresh set of recovery codes
+ * Returns the secret, provisioning URI and plaintext recovery codes (shown once)
+ */
+const startEnrollment = async (client, employeeId, username) => {
+  const secret = generateSecret();
+  const recoveryCodes = generateRecoveryCodes();
+
+  await client.query(
+    `INSERT INTO employee_mfa (employee_id, secret, enabled)
+     VALUES ($1, $2, FALSE)
+     ON CONFLICT (employee_id)
+     DO UPDATE SET secret = EXCLUDED.secret, enabled = FALSE, last_used_step = NULL,
+                   created_at = NOW(), confirmed_at = NULL`,
+    [employeeId, secret]
+  );
+
+  await client.query('DELETE FROM mfa_recovery_code WHERE employee_id = $1', [employeeId]);
+  for (const code of recoveryCodes) {
+    await client.query(
+      'INSERT INTO mfa_recovery_code (employee_id, code_hash) VALUES ($1, $2)',
+      [employeeId, hashRecoveryCode(code)]
+    );
+  }
+
+  return {
+    secret,
+    otpauth_uri: buildProvisioningUri(secret, username),
+    recovery_codes: recoveryCodes
+  };
+};
+
+/**
+ * Check a TOTP code against the stored secret, rejecting replays of a used step
+ * Marks the step as used on success.
+ */
+const checkTotp = async (client, employeeId, code, { requireEnabled }) => {
+  const result = await client.query(
+    'SELECT secret, enabled, last_used_step FROM employee_mfa WHERE employee_id = $1 FOR UPDATE',
+    [employeeId]
+  );
+  if (result.rows.length === 0) return false;
+
+  const mfa = result.rows[0];
+  if (requireEnabled && !mfa.enabled) return false;
+
+  const step = verifyCode(mfa.secret, code);
+  if (step === null) return false;
+  if (mfa.last_used_step !== null && step <= Number(mfa.last_used_step)) return false;
+
+  await client.query('UPDATE employee_mfa SET last_used_step = $2 WHERE employee_id = $1', [employeeId, step]);
+  return true;
+};
+
+/**
+ * Confirm a pending enrollment with a first valid code
+ */
+const confirmEnrollment = async (client, employeeId, code) => {
+  const ok = await checkTotp(client, employeeId, code, { requireEnabled: false });
+  if (!ok) return false;
+
+  await client.query(
+    'UPDATE employee_mfa SET enabled = TRUE, confirmed_at = NOW() WHERE employee_id = $1',
+    [employeeId]
+  );
+  return true;
+};
+
+/**
+ * Verify the second factor at login: a TOTP code or an unused recovery code
+ */
+const verifySecondFactor = async (client, employeeId, { code, recovery_code }) => {
+  if (code) {
+    return checkTotp(client, employeeId, code, { requireEnabled: true });
+  }
+
+  if (recovery_code) {
+    const result = await client.query(
+      `UPDATE mfa_recovery_code SET used_at = NOW()
+       WHERE code_id = (
+         SELECT code_id FROM mfa_recovery_code
+         WHERE employee_id = $1 AND code_hash = $2 AND used_at IS NULL
+         LIMIT 1
+       )
+       RETURNING code_id`,
+      [employeeId, hashRecoveryCode(recovery_code)]
+    );
+    return result.rows.length > 0;
+  }
+
+  return false;
+};
+
+/**
+ * Remove an employee's TOTP secret and recovery codes
+ */
+const disableMfa = async (client, employeeId) => {
+  await client.query('DELETE FROM mfa_recovery_code WHERE employee_id = $1', [employeeId]);
+  await client.query('DELETE FROM employee_mfa WHERE employee_id = $1', [employeeId]);
+};
+
+module.exports = {
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableMfa
+};
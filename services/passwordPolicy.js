@@ -0,0 +1,142 @@
+// =============================================================================
+// PASSWORD POLICY SERVICE - Strength rules, reuse history and password updates
+// =============================================================================
+// Environment Variables:
+// - PASSWORD_MIN_LENGTH        : minimum length (default 8)
+// - PASSWORD_REQUIRE_UPPERCASE : '1' to require an uppercase letter (default 1)
+// - PASSWORD_REQUIRE_LOWERCASE : '1' to require a lowercase letter (default 1)
+// - PASSWORD_REQUIRE_DIGIT     : '1' to require a digit (default 1)
+// - PASSWORD_REQUIRE_SYMBOL    : '1' to require a symbol (default 0)
+// - PASSWORD_HISTORY_COUNT     : previous passwords that cannot be reused (default 5)
+// =============================================================================
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const flag = (name, fallback) => (process.env[name] || fallback) === '1';
+
+const POLICY = {
+  min_length: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+  require_uppercase: flag('PASSWORD_REQUIRE_UPPERCASE', '1'),
+  require_lowercase: flag('PASSWORD_REQUIRE_LOWERCASE', '1'),
+  require_digit: flag('PASSWORD_REQUIRE_DIGIT', '1'),
+  require_symbol: flag('PASSWORD_REQUIRE_SYMBOL', '0'),
+  history_count: parseInt(process.env.PASSWORD_HISTORY_COUNT || '5', 10)
+};
+
+/**
+ * Check a password against the strength rules
+ * Returns an array of human-readable violations (empty when compliant)
+ */
+const validatePasswordStrength = (password, { username } = {}) => {
+  const errors = [];
+  const value = String(password || '');
+
+  if (value.length < POLICY.min_length) {
+    errors.push(`Password must be at least ${POLICY.min_length} characters`);
+  }
+  if (POLICY.require_uppercase && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (POLICY.require_lowercase && !/[a-z]/.test(value)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (POLICY.require_digit && !/[0-9]/.test(value)) {
+    errors.push('Password must contain a digit');
+  }
+  if (POLICY.require_symbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (username && value.toLowerCase().includes(String(username).toLowerCase())) {
+    errors.push('Password must not contain the username');
+  }
+
+  return errors;
+};
+
+/**
+ * Check whether a password matches the current or one of the last N passwords
+ */
+const isPasswordReused = async (client, employeeId, password) => {
+  const result = await client.query(
+    `(SELECT password AS password_hash FROM employee WHERE employee_id = $1)
+     UNION ALL
+     (SELECT password_hash FROM password_history
+      WHERE employee_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2)`,
+    [employeeId, POLICY.history_count]
+  );
+
+  for (const row of result.rows) {
+    if (row.password_hash && await bcrypt.compare(password, row.password_hash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Replace an employee's password, keeping the old hash in history
+ * mustChange: force a change on next login (temporary passwords)
+ */
+const setPassword = async (client, employeeId, password, { mustChange = false } = {}) => {
+  await client.query(
+    `INSERT INTO password_history (employee_id, password_hash)
+     SELECT employee_id, password FROM employee WHERE employee_id = $1`,
+    [employeeId]
+  );
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await client.query(
+    `UPDATE employee
+     SET password = $2, must_change_password = $3, password_changed_at = NOW()
+     WHERE employee_id = $1`,
+    [employeeId, hashedPassword, mustChange]
+  );
+
+  // Keep only as much history as the policy needs
+  await client.query(
+    `DELETE FROM password_history
+     WHERE employee_id = $1
+       AND history_id NOT IN (
+         SELECT history_id FROM password_history
+         WHERE employee_id = $1
+         ORDER BY created_at DESC
+         LIMIT $2
+       )`,
+    [employeeId, POLICY.history_count]
+  );
+};
+
+/**
+ * Generate a random temporary password that satisfies the policy
+ */
+const generateTemporaryPassword = () => {
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+  const upper = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+  const lower = 'abcdefghijkmnpqrstuvwxyz';
+  const digits = '23456789';
+  const symbols = '!@#$%&*?';
+  const all = upper + lower + digits + symbols;
+
+  const chars = [pick(upper), pick(lower), pick(digits), pick(symbols)];
+  while (chars.length < Math.max(POLICY.min_length, 12)) {
+    chars.push(pick(all));
+  }
+
+  // Fisher-Yates shuffle so the required classes are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+};
+
+module.exports = {
+  POLICY,
+  validatePasswordStrength,
+  isPasswordReused,
+  setPassword,
+  generateTemporaryPassword
+};
@@ -0,0 +1,50 @@
+// =============================================================================
+// PERMISSION SERVICE - Role to permission-set lookups
+// =============================================================================
+// Role permissions are read from role_permission and cached in memory for a
+// short time (PERMISSION_CACHE_SECONDS, default 60) so every request does not
+// hit the database. Role edits call invalidatePermissionCache().
+// =============================================================================
+
+const pool = require('../config/database');
+
+const SUPERUSER_ROLE = 'Admin';
+const CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_SECONDS || '60', 10) * 1000;
+
+const cache = new Map();
+
+/**
+ * Get the permission keys granted to a role (as a Set)
+ */
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const result = await pool.query(
+    'SELECT permission_key FROM role_permission WHERE role_name = $1',
+    [role]
+  );
+  const permissions = new Set(result.rows.map(r => r.permission_key));
+  cache.set(role, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Check whether a role holds a permission (Admin holds all)
+ */
+const roleHasPermission = async (role, permission) => {
+  if (role === SUPERUSER_ROLE) return true;
+  const permissions = await getRolePermissions(role);
+  return permissions.has(permission);
+};
+
+const invalidatePermissionCache = () => cache.clear();
+
+module.exports = {
+  SUPERUSER_ROLE,
+  getRolePermissions,
+  roleHasPermission,
+  invalidatePermissionCache
+};
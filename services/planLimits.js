@@ -0,0 +1,128 @@
+// =============================================================================
+// PLAN LIMIT SERVICE - Per saving plan transaction limits
+// =============================================================================
+// Limits live in savingplan_limit (NULL = unlimited):
+// - max_single_withdrawal       : largest single debit
+// - max_daily_withdrawal_count  : debits per business day
+// - max_daily_withdrawal_total  : total debited per business day
+// - max_monthly_deposit_total   : total credited per business month
+// Days and months follow the branch's business date (migration 012), so limits
+// reset at end-of-day close. Requests still pending approval count as used;
+// interest credits and reversed transactions do not count.
+// =============================================================================
+
+const { BRANCH_BUSINESS_DATES_SQL } = require('./businessDate');
+
+const formatLkr = (value) => `LKR ${parseFloat(value).toFixed(2)}`;
+
+// Usage excludes reversed transactions and reversing entries, once the
+// reversal is completed (a pending reversal still counts). Refers to `t`.
+const NOT_REVERSED_SQL = `NOT EXISTS (
+  SELECT 1 FROM transaction_reversal_entry tre
+  WHERE tre.reversing_transaction_id IS NOT NULL
+    AND t.transaction_id IN (tre.original_transaction_id, tre.reversing_transaction_id))`;
+
+// Amounts of the account's ($1) unexpired pending requests of type $3,
+// except approval $4
+const PENDING_REQUESTS_SQL = `SELECT ta.amount
+  FROM transaction_approval ta
+  WHERE ta.account_id = $1
+    AND ta.transaction_type = $3
+    AND ta.status = 'pending'
+    AND ta.expires_at > NOW()
+    AND ta.approval_id IS DISTINCT FROM $4::bigint`;
+
+/**
+ * Limits for an account's saving plan (null when the plan has none)
+ */
+const getAccountLimits = async (client, accountId) => {
+  const result = await client.query(
+    `SELECT sp.plan_type, l.*,
+            to_char(COALESCE(bd.business_date, CURRENT_DATE), 'YYYY-MM-DD') AS business_date
+     FROM account a
+     JOIN savingplan sp ON a.saving_plan_id = sp.saving_plan_id
+     JOIN savingplan_limit l ON l.saving_plan_id = sp.saving_plan_id
+     LEFT JOIN ${BRANCH_BUSINESS_DATES_SQL} bd ON bd.branch_id = a.branch_id
+     WHERE a.account_id = $1`,
+    [accountId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Check a debit or credit against the account's plan limits
+ * transactionType: 'Withdrawal' (any debit) or 'Deposit' (any credit)
+ * excludeApprovalId leaves out the pending request being approved.
+ * Returns an error message naming the breached limit, or null when allowed.
+ */
+const checkPlanLimits = async (client, accountId, transactionType, amount, { excludeApprovalId = null } = {}) => {
+  const limits = await getAccountLimits(client, accountId);
+  if (!limits) return null;
+
+  const value = parseFloat(amount);
+  const plan = `${limits.plan_type} plan`;
+
+  if (transactionType === 'Withdrawal') {
+    if (limits.max_single_withdrawal !== null && value > parseFloat(limits.max_single_withdrawal)) {
+      return `Withdrawal exceeds the ${plan} max single withdrawal of ${formatLkr(limits.max_single_withdrawal)}`;
+    }
+
+    if (limits.max_daily_withdrawal_count === null && limits.max_daily_withdrawal_total === null) return null;
+
+    const usage = await client.query(
+      `SELECT COUNT(*) AS count, COALESCE(SUM(u.amount), 0) AS total
+       FROM (
+         SELECT t.amount
+         FROM transaction t
+         WHERE t.account_id = $1
+           AND t.transaction_type = 'Withdrawal'
+           AND t.business_date = $2
+           AND ${NOT_REVERSED_SQL}
+         UNION ALL
+         ${PENDING_REQUESTS_SQL}
+       ) u`,
+      [accountId, limits.business_date, 'Withdrawal', excludeApprovalId]
+    );
+    const count = parseInt(usage.rows[0].count, 10);
+    const total = parseFloat(usage.rows[0].total);
+
+    if (limits.max_daily_withdrawal_count !== null && count + 1 > limits.max_daily_withdrawal_count) {
+      return `Withdrawal exceeds the ${plan} max daily withdrawal count of ${limits.max_daily_withdrawal_count}`;
+    }
+    if (limits.max_daily_withdrawal_total !== null && total + value > parseFloat(limits.max_daily_withdrawal_total)) {
+      return `Withdrawal exceeds the ${plan} max daily withdrawal total of ${formatLkr(limits.max_daily_withdrawal_total)} `
+        + `(already withdrawn today: ${formatLkr(total)})`;
+    }
+    return null;
+  }
+
+  if (transactionType === 'Deposit' && limits.max_monthly_deposit_total !== null) {
+    const usage = await client.query(
+      `SELECT COALESCE(SUM(u.amount), 0) AS total
+       FROM (
+         SELECT t.amount
+         FROM transaction t
+         WHERE t.account_id = $1
+           AND t.transaction_type = 'Deposit'
+           AND DATE_TRUNC('month', t.business_date) = DATE_TRUNC('month', $2::date)
+           AND ${NOT_REVERSED_SQL}
+         UNION ALL
+         ${PENDING_REQUESTS_SQL}
+       ) u`,
+      [accountId, limits.business_date, 'Deposit', excludeApprovalId]
+    );
+    const total = parseFloat(usage.rows[0].total);
+
+    if (total + value > parseFloat(limits.max_monthly_deposit_total)) {
+      return `Deposit exceeds the ${plan} max monthly deposit total of ${formatLkr(limits.max_monthly_deposit_total)} `
+        + `(already deposited this month: ${formatLkr(total)})`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  NOT_REVERSED_SQL,
+  checkPlanLimits
+};
@@ -0,0 +1,214 @@
+// =============================================================================
+// RECEIPT SERVICE - Printable transaction receipts
+// =============================================================================
+// Receipts are rendered on demand from the transaction, so they can be
+// reprinted at any time. Each carries a verification code
+//   <transaction_id>-<first 12 hex chars of HMAC-SHA256>
+// which the public lookup recomputes; nothing extra is stored.
+// RECEIPT_SECRET signs the codes (falls back to JWT_SECRET).
+// =============================================================================
+
+const crypto = require('crypto');
+const { BANK_NAME, formatAmount } = require('../utils/pdf');
+
+// Characters per line on a 58mm thermal printer (Font A)
+const THERMAL_WIDTH = 32;
+
+const CODE_PATTERN = /^(\d{1,10})-([0-9A-F]{12})$/;
+const MAX_TRANSACTION_ID = 2147483647; // transaction_id is an INTEGER
+
+/**
+ * Show only the last 4 digits of an account number
+ */
+const maskAccountNumber = (accountId) => `****${String(accountId).slice(-4)}`;
+
+const signReceipt = (tx) =>
+  crypto
+    .createHmac('sha256', process.env.RECEIPT_SECRET || process.env.JWT_SECRET)
+    .update(`${tx.transaction_id}|${tx.account_id}|${tx.transaction_type}|${parseFloat(tx.amount).toFixed(2)}`)
+    .digest('hex')
+    .slice(0, 12)
+    .toUpperCase();
+
+/**
+ * Verification code printed on a transaction's receipt
+ */
+const receiptCode = (tx) => `${tx.transaction_id}-${signReceipt(tx)}`;
+
+const loadTransaction = async (client, transactionId) => {
+  const result = await client.query(
+    `SELECT t.transaction_id, t.transaction_type, t.amount, t.time, t.description, t.account_id,
+            to_char(t.business_date, 'YYYY-MM-DD') AS business_date,
+            a.branch_id, COALESCE(b.name, 'Unknown') AS branch_name,
+            e.first_name || ' ' || e.last_name AS agent_name,
+            ft.reference AS transfer_reference,
+            EXISTS (SELECT 1 FROM transaction_reversal_entry re
+                    WHERE re.original_transaction_id = t.transaction_id
+                      AND re.reversing_transaction_id IS NOT NULL) AS reversed,
+            -- Balance right after this transaction: current balance less later postings
+            a.balance - COALESCE((
+              SELECT SUM(CASE WHEN l.transaction_type IN ('Withdrawal', 'Fee') THEN -l.amount ELSE l.amount END)
+              FROM transaction l
+              WHERE l.account_id = t.account_id AND l.transaction_id > t.transaction_id
+            ), 0) AS balance_after
+     FROM transaction t
+     JOIN account a ON t.account_id = a.account_id
+     LEFT JOIN branch b ON a.branch_id = b.branch_id
+     LEFT JOIN employee e ON t.employee_id = e.employee_id
+     LEFT JOIN fund_transfer ft
+       ON t.transaction_id IN (ft.debit_transaction_id, ft.credit_transaction_id)
+     WHERE t.transaction_id = $1`,
+    [transactionId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Receipt data for a transaction, or null when it does not exist
+ */
+const buildReceipt = async (client, transactionId) => {
+  const tx = await loadTransaction(client, transactionId);
+  if (!tx) return null;
+
+  return {
+    transaction_id: tx.transaction_id,
+    transaction_type: tx.transaction_type,
+    amount: parseFloat(tx.amount),
+    time: tx.time,
+    business_date: tx.business_date,
+    description: tx.description,
+    transfer_reference: tx.transfer_reference,
+    branch_id: tx.branch_id,
+    branch_name: tx.branch_name,
+    agent_name: tx.agent_name,
+    account_number: maskAccountNumber(tx.account_id),
+    new_balance: parseFloat(tx.balance_after),
+    reversed: tx.reversed,
+    verification_code: receiptCode(tx)
+  };
+};
+
+/**
+ * Check a receipt verification code
+ * Returns the public receipt details, or null when the code is not valid.
+ * Balances and names are left out: anyone holding the receipt can look it up.
+ */
+const verifyReceiptCode = async (client, code) => {
+  const match = CODE_PATTERN.exec(String(code).trim().toUpperCase());
+  if (!match || Number(match[1]) > MAX_TRANSACTION_ID) return null;
+
+  const tx = await loadTransaction(client, match[1]);
+  if (!tx) return null;
+
+  const expected = Buffer.from(signReceipt(tx));
+  const given = Buffer.from(match[2]);
+  if (!crypto.timingSafeEqual(expected, given)) return null;
+
+  return {
+    transaction_id: tx.transaction_id,
+    transaction_type: tx.transaction_type,
+    amount: parseFloat(tx.amount),
+    time: tx.time,
+    business_date: tx.business_date,
+    branch_name: tx.branch_name,
+    account_number: maskAccountNumber(tx.account_id),
+    reversed: tx.reversed
+  };
+};
+
+const formatTime = (time) => new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+
+const center = (text) => {
+  const pad = Math.max(0, Math.floor((THERMAL_WIDTH - text.length) / 2));
+  return `${' '.repeat(pad)}${text}`.slice(0, THERMAL_WIDTH);
+};
+
+// Label on the left, value right-aligned; long values wrap to their own line
+const labelValue = (label, value) => {
+  const text = String(value);
+  if (label.length + text.length + 1 > THERMAL_WIDTH) {
+    return `${label}\n${text.padStart(THERMAL_WIDTH)}`;
+  }
+  return `${label}${text.padStart(THERMAL_WIDTH - label.length)}`;
+};
+
+/**
+ * Plain-text receipt for 58mm thermal printers (32 columns)
+ */
+const toThermalText = (receipt) => {
+  const rule = '-'.repeat(THERMAL_WIDTH);
+  const lines = [
+    center(BANK_NAME),
+    center(receipt.branch_name),
+    rule,
+    center(`${receipt.transaction_type.toUpperCase()} RECEIPT`),
+    rule,
+    labelValue('Date', formatTime(receipt.time)),
+    labelValue('Business date', receipt.business_date),
+    labelValue('Txn ID', receipt.transaction_id),
+    labelValue('Account', receipt.account_number),
+    ...(receipt.transfer_reference ? [labelValue('Transfer ref', receipt.transfer_reference)] : []),
+    rule,
+    labelValue('Amount LKR', formatAmount(receipt.amount)),
+    labelValue('New balance LKR', formatAmount(receipt.new_balance)),
+    rule,
+    labelValue('Agent', receipt.agent_name || '-'),
+    ...(receipt.reversed ? [center('*** REVERSED ***')] : []),
+    '',
+    center('Verification code'),
+    center(receipt.verification_code),
+    center('Verify at /api/public/receipts'),
+    ''
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Draw the receipt into a pdfkit document (A6)
+ */
+const renderReceiptPdf = (doc, receipt) => {
+  const row = (label, value) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(9).text(label, 30, y, { width: 110 });
+    doc.font('Helvetica-Bold').text(String(value), 140, y, { width: 127, align: 'right' });
+    doc.x = 30;
+    doc.moveDown(0.3);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(13).text(BANK_NAME, { align: 'center' });
+  doc.font('Helvetica').fontSize(9).text(receipt.branch_name, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(11).text(`${receipt.transaction_type} Receipt`, { align: 'center' });
+  doc.moveDown(0.8);
+
+  row('Date', formatTime(receipt.time));
+  row('Business date', receipt.business_date);
+  row('Transaction ID', receipt.transaction_id);
+  row('Account', receipt.account_number);
+  if (receipt.transfer_reference) {
+    row('Transfer reference', receipt.transfer_reference);
+  }
+  row('Amount', `LKR ${formatAmount(receipt.amount)}`);
+  row('New balance', `LKR ${formatAmount(receipt.new_balance)}`);
+  row('Agent', receipt.agent_name || '-');
+
+  if (receipt.reversed) {
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('red').text('REVERSED', { align: 'center' });
+    doc.fillColor('black');
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(8).text('Verification code', { align: 'center' });
+  doc.font('Courier-Bold').fontSize(11).text(receipt.verification_code, { align: 'center' });
+  doc.font('Helvetica').fontSize(7).fillColor('gray')
+    .text('Check this receipt at /api/public/receipts/verify/<code>', { align: 'center' });
+};
+
+module.exports = {
+  maskAccountNumber,
+  buildReceipt,
+  verifyReceiptCode,
+  toThermalText,
+  renderReceiptPdf
+};
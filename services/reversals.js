@@ -0,0 +1,299 @@
+// =============================================================================
+// REVERSAL SERVICE - Reversing entries for mistaken transactions
+// =============================================================================
+// A reversal posts the opposite entry through create_transaction_with_validation
+// (so a reversed deposit still cannot take an account below its plan minimum)
+// and links it to the original in transaction_reversal_entry. One leg of a
+// fund transfer is never reversed alone: both legs are reversed together.
+// Transactions owned by another flow (FD funding and payouts, renewal
+// capitalisation, fee waivers, bulk batch rows) are refused and the caller is
+// pointed to that flow; reversing a withdrawal also waives the fee it caused.
+// All functions must be called inside a transaction (BEGIN ... COMMIT).
+// =============================================================================
+
+const { reverseCashMovement } = require('./tills');
+const { checkHeldFunds } = require('./holds');
+const { waiveFee } = require('./fees');
+const { SAME_BUSINESS_DAY_SQL } = require('./businessDate');
+
+// Opposite entry posted for each reversible transaction type
+const REVERSAL_TYPES = {
+  Deposit: 'Withdrawal',
+  Withdrawal: 'Deposit',
+  Interest: 'Withdrawal'
+};
+
+/**
+ * Load a transaction and, for transfers, its partner leg (locked for update)
+ * Returns [] when the transaction does not exist.
+ * Each leg carries the account's branch_id and whether it was posted on the
+ * branch's current business date.
+ */
+const loadReversalLegs = async (client, transactionId) => {
+  const result = await client.query(
+    `SELECT t.transaction_id, t.transaction_type, t.amount, t.time, t.account_id,
+            a.branch_id, a.account_status, ${SAME_BUSINESS_DAY_SQL} AS same_day
+     FROM transaction t
+     JOIN account a ON t.account_id = a.account_id
+     WHERE t.transaction_id = $1
+        OR t.transaction_id IN (
+          SELECT CASE WHEN ft.debit_transaction_id = $1 THEN ft.credit_transaction_id
+                      ELSE ft.debit_transaction_id END
+          FROM fund_transfer ft
+          WHERE $1 IN (ft.debit_transaction_id, ft.credit_transaction_id)
+        )
+     ORDER BY t.transaction_id
+     FOR UPDATE OF t`,
+    [transactionId]
+  );
+  return result.rows;
+};
+
+/**
+ * Reversing entries that debit an account may not take held funds
+ * Checked when the reversal is requested and again when it is posted, since
+ * holds may be placed in between. Returns an error message or null.
+ */
+const checkReversalHolds = async (client, legs) => {
+  const debits = new Map();
+  legs
+    .filter(leg => REVERSAL_TYPES[leg.transaction_type] === 'Withdrawal')
+    .forEach(leg => debits.set(leg.account_id, (debits.get(leg.account_id) || 0) + parseFloat(leg.amount)));
+  for (const [accountId, amount] of debits) {
+    // Serialise with other debits on the account before checking funds
+    await client.query('SELECT 1 FROM account WHERE account_id = $1 FOR UPDATE', [accountId]);
+    const holdError = await checkHeldFunds(client, accountId, amount);
+    if (holdError) return holdError;
+  }
+  return null;
+};
+
+/**
+ * Message for the first transaction owned by another flow, or null
+ * Rows of batchId are allowed: they are reversed with their batch.
+ */
+const findOwnedTransaction = async (client, ids, batchId) => {
+  const result = await client.query(
+    `SELECT 'fd_funding' AS owner, funding_transaction_id AS transaction_id, fd_id::bigint AS owner_id
+     FROM fixeddeposit WHERE funding_transaction_id = ANY($1::int[])
+     UNION ALL
+     SELECT 'fd_payout', t.id, c.fd_id
+     FROM fd_closure c, LATERAL (VALUES (c.payout_transaction_id), (c.topup_transaction_id)) t(id)
+     WHERE t.id = ANY($1::int[])
+     UNION ALL
+     SELECT 'fd_renewal', capitalisation_transaction_id, new_fd_id
+     FROM fd_renewal WHERE capitalisation_transaction_id = ANY($1::int[])
+     UNION ALL
+     SELECT 'fee_waiver', waiver_transaction_id, charge_id
+     FROM fee_charge WHERE waiver_transaction_id = ANY($1::int[])
+     UNION ALL
+     SELECT 'batch', transaction_id, batch_id
+     FROM transaction_batch_item WHERE transaction_id = ANY($1::int[]) AND batch_id IS DISTINCT FROM $2::bigint
+     LIMIT 1`,
+    [ids, batchId || null]
+  );
+  if (result.rows.length === 0) return null;
+
+  const { owner, transaction_id: id, owner_id: ownerId } = result.rows[0];
+  switch (owner) {
+    case 'fd_funding':
+      return `Transaction #${id} funded fixed deposit #${ownerId}. Close the FD instead (POST /api/agent/fixed-deposits/deactivate)`;
+    case 'fd_payout':
+      return `Transaction #${id} is a closure payout of fixed deposit #${ownerId} and cannot be reversed`;
+    case 'fd_renewal':
+      return `Transaction #${id} capitalised interest into renewed fixed deposit #${ownerId} and cannot be reversed`;
+    case 'fee_waiver':
+      return `Transaction #${id} refunds waived fee charge #${ownerId} and cannot be reversed`;
+    default:
+      return `Transaction #${id} belongs to bulk batch #${ownerId}. Reverse the batch instead (POST /api/agent/transactions/bulk/${ownerId}/reverse)`;
+  }
+};
+
+/**
+ * Record a pending reversal request for the given legs
+ * batchId is set when the legs are the rows of that bulk batch.
+ * Returns { error, status } when the legs cannot be reversed, else { reversal_id }
+ */
+const requestReversal = async (client, legs, { transactionId, reason, employeeId, batchId = null }) => {
+  const ids = legs.map(leg => leg.transaction_id);
+
+  const unsupported = legs.find(leg => !REVERSAL_TYPES[leg.transaction_type]);
+  if (unsupported) {
+    return { error: `${unsupported.transaction_type} transactions cannot be reversed`, status: 400 };
+  }
+
+  // Covers the payout posted when the account was closed
+  if (legs.some(leg => leg.account_status !== 'Active')) {
+    return { error: 'Transactions on closed accounts cannot be reversed', status: 400 };
+  }
+
+  const ownedError = await findOwnedTransaction(client, ids, batchId);
+  if (ownedError) {
+    return { error: ownedError, status: 400 };
+  }
+
+  const reversingResult = await client.query(
+    'SELECT 1 FROM transaction_reversal_entry WHERE reversing_transaction_id = ANY($1::int[])',
+    [ids]
+  );
+  if (reversingResult.rows.length > 0) {
+    return { error: 'Reversing entries cannot be reversed', status: 400 };
+  }
+
+  const existingResult = await client.query(
+    `SELECT r.status
+     FROM transaction_reversal_entry e
+     JOIN transaction_reversal r ON e.reversal_id = r.reversal_id
+     WHERE e.original_transaction_id = ANY($1::int[])`,
+    [ids]
+  );
+  if (existingResult.rows.length > 0) {
+    return existingResult.rows.some(row => row.status === 'completed')
+      ? { error: 'Transaction has already been reversed', status: 409 }
+      : { error: 'A reversal for this transaction is already awaiting approval', status: 409 };
+  }
+
+  const holdError = await checkReversalHolds(client, legs);
+  if (holdError) {
+    return { error: holdError, status: 400 };
+  }
+
+  const reversalResult = await client.query(
+    `INSERT INTO transaction_reversal (transaction_id, reason, requested_by)
+     VALUES ($1, $2, $3)
+     RETURNING reversal_id`,
+    [transactionId, reason, employeeId]
+  );
+  const reversalId = reversalResult.rows[0].reversal_id;
+
+  for (const id of ids) {
+    await client.query(
+      'INSERT INTO transaction_reversal_entry (original_transaction_id, reversal_id) VALUES ($1, $2)',
+      [id, reversalId]
+    );
+  }
+
+  return { reversal_id: reversalId };
+};
+
+/**
+ * Load a reversal request with the branch of the requested transaction
+ * Returns null when it does not exist.
+ */
+const findReversal = async (client, reversalId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT r.*, t.account_id, a.branch_id
+     FROM transaction_reversal r
+     JOIN transaction t ON r.transaction_id = t.transaction_id
+     JOIN account a ON t.account_id = a.account_id
+     WHERE r.reversal_id = $1
+     ${forUpdate ? 'FOR UPDATE OF r' : ''}`,
+    [reversalId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Waive the fees a reversed withdrawal caused (e.g. excess withdrawal)
+ * Returns the waived charges.
+ */
+const waiveLinkedFees = async (client, transactionId, employeeId) => {
+  const chargesResult = await client.query(
+    `SELECT fc.*, a.account_status
+     FROM fee_charge fc
+     JOIN account a ON fc.account_id = a.account_id
+     WHERE fc.source_transaction_id = $1 AND fc.status = 'charged'
+     FOR UPDATE OF fc`,
+    [transactionId]
+  );
+
+  const waived = [];
+  for (const charge of chargesResult.rows) {
+    const result = await waiveFee(client, charge, { employeeId, reason: `Reversal of #${transactionId}` });
+    if (!result.error) waived.push(result);
+  }
+  return waived;
+};
+
+/**
+ * Post the reversing entries of a pending request and mark it completed
+ * Fees caused by a reversed withdrawal are waived in the same transaction.
+ * Returns { error, status } when held funds no longer allow the reversal.
+ * Database errors such as 'Insufficient balance' are thrown to the caller.
+ */
+const completeReversal = async (client, reversalId, deciderId, note) => {
+  const entriesResult = await client.query(
+    `SELECT e.original_transaction_id, t.transaction_type, t.amount, t.account_id, r.reason
+     FROM transaction_reversal_entry e
+     JOIN transaction t ON e.original_transaction_id = t.transaction_id
+     JOIN transaction_reversal r ON e.reversal_id = r.reversal_id
+     WHERE e.reversal_id = $1
+     ORDER BY e.original_transaction_id`,
+    [reversalId]
+  );
+
+  const holdError = await checkReversalHolds(client, entriesResult.rows);
+  if (holdError) {
+    return { error: holdError, status: 400 };
+  }
+
+  const entries = [];
+  for (const entry of entriesResult.rows) {
+    const description = `Reversal of #${entry.original_transaction_id}: ${entry.reason}`.slice(0, 255);
+    const postResult = await client.query(
+      'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
+      [REVERSAL_TYPES[entry.transaction_type], entry.amount, description, entry.account_id, deciderId]
+    );
+    const reversingId = postResult.rows[0].transaction_id;
+
+    await client.query(
+      'UPDATE transaction_reversal_entry SET reversing_transaction_id = $2 WHERE original_transaction_id = $1',
+      [entry.original_transaction_id, reversingId]
+    );
+    // Cash handed back (or taken back) over the same till, if still open
+    await reverseCashMovement(client, entry.original_transaction_id, reversingId);
+
+    const feesWaived = entry.transaction_type === 'Withdrawal'
+      ? await waiveLinkedFees(client, entry.original_transaction_id, deciderId)
+      : [];
+
+    const balanceResult = await client.query('SELECT balance FROM account WHERE account_id = $1', [entry.account_id]);
+    entries.push({
+      original_transaction_id: entry.original_transaction_id,
+      reversing_transaction_id: reversingId,
+      account_id: entry.account_id,
+      new_balance: parseFloat(balanceResult.rows[0].balance),
+      fees_waived: feesWaived
+    });
+  }
+
+  await client.query(
+    `UPDATE transaction_reversal
+     SET status = 'completed', decided_by = $2, decided_at = NOW(), decision_note = $3
+     WHERE reversal_id = $1`,
+    [reversalId, deciderId, note || null]
+  );
+
+  return { reversal_id: reversalId, entries };
+};
+
+/**
+ * Reject a pending request; its transactions may be requested again later
+ */
+const rejectReversal = async (client, reversalId, deciderId, note) => {
+  await client.query('DELETE FROM transaction_reversal_entry WHERE reversal_id = $1', [reversalId]);
+  await client.query(
+    `UPDATE transaction_reversal
+     SET status = 'rejected', decided_by = $2, decided_at = NOW(), decision_note = $3
+     WHERE reversal_id = $1`,
+    [reversalId, deciderId, note || null]
+  );
+};
+
+module.exports = {
+  loadReversalLegs,
+  requestReversal,
+  findReversal,
+  completeReversal,
+  rejectReversal
+};
@@ -0,0 +1,231 @@
+// =============================================================================
+// STANDING INSTRUCTION SERVICE - Recurring account-to-account transfers
+// =============================================================================
+// Due instructions are executed through executeTransfer, so holds, plan
+// limits and minimum balances apply exactly as for a counter transfer.
+// A run rejected for business reasons (funds, holds, limits) is logged as
+// failed and leaves next_run_date unchanged so the next scheduler run retries
+// it; after MAX_RETRIES retries the cycle is skipped. Instructions whose
+// accounts were closed are cancelled. Unexpected errors are not logged as
+// runs: the instruction's transaction is rolled back and the error reported.
+// =============================================================================
+
+const pool = require('../config/database');
+const { executeTransfer } = require('./transfers');
+
+const MAX_RETRIES = parseInt(process.env.STANDING_INSTRUCTION_MAX_RETRIES || '3', 10);
+
+// Database errors that fail the run (and are retried) instead of aborting it
+const RUN_ERRORS = ['Insufficient balance', 'Minimum balance required', 'Business date'];
+
+// Run date of cycle n (0-based): start_date + n periods
+const cycleDateSql = (cycle) => `(start_date + (${cycle}) * CASE frequency
+  WHEN 'daily' THEN INTERVAL '1 day'
+  WHEN 'weekly' THEN INTERVAL '7 days'
+  ELSE INTERVAL '1 month' END)::date`;
+
+/**
+ * Create a standing instruction
+ * Returns { error, status } or the new instruction.
+ */
+const createInstruction = async (client, { fromAccountId, toAccountId, amount, description, frequency, startDate, endDate, employeeId }) => {
+  const accountsResult = await client.query(
+    'SELECT account_id, account_status FROM account WHERE account_id = ANY($1::int[])',
+    [[fromAccountId, toAccountId]]
+  );
+  const accounts = new Map(accountsResult.rows.map(row => [Number(row.account_id), row]));
+
+  if (!accounts.has(Number(fromAccountId)) || accounts.get(Number(fromAccountId)).account_status !== 'Active') {
+    return { error: 'Source account not found or closed', status: 400 };
+  }
+  if (!accounts.has(Number(toAccountId)) || accounts.get(Number(toAccountId)).account_status !== 'Active') {
+    return { error: 'Destination account not found or closed', status: 400 };
+  }
+
+  const dateResult = await client.query('SELECT $1::date < CURRENT_DATE AS in_past', [startDate]);
+  if (dateResult.rows[0].in_past) {
+    return { error: 'Start date cannot be in the past', status: 400 };
+  }
+
+  const result = await client.query(
+    `INSERT INTO standing_instruction
+       (from_account_id, to_account_id, amount, description, frequency,
+        start_date, end_date, next_run_date, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $6, $8)
+     RETURNING *`,
+    [fromAccountId, toAccountId, amount, description || null, frequency, startDate, endDate || null, employeeId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Load a standing instruction with its source account's branch, or null
+ */
+const findInstruction = async (client, instructionId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT si.*, a.branch_id
+     FROM standing_instruction si
+     JOIN account a ON si.from_account_id = a.account_id
+     WHERE si.instruction_id = $1
+     ${forUpdate ? 'FOR UPDATE OF si' : ''}`,
+    [instructionId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Cancel an active standing instruction
+ * Returns { error, status } or the updated instruction.
+ */
+const cancelInstruction = async (client, instruction, { employeeId, reason }) => {
+  if (instruction.status !== 'active') {
+    return { error: `Standing instruction is already ${instruction.status}`, status: 409 };
+  }
+
+  const result = await client.query(
+    `UPDATE standing_instruction
+     SET status = 'cancelled', cancelled_by = $2, cancelled_at = NOW(), cancel_reason = $3
+     WHERE instruction_id = $1
+     RETURNING *`,
+    [instruction.instruction_id, employeeId, reason || null]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Move an instruction to its next cycle; completes it after end_date
+ */
+const advanceCycle = async (client, instructionId) => {
+  await client.query(
+    `UPDATE standing_instruction
+     SET cycle_count = cycle_count + 1,
+         failed_attempts = 0,
+         next_run_date = ${cycleDateSql('cycle_count + 1')},
+         status = CASE WHEN end_date IS NOT NULL AND ${cycleDateSql('cycle_count + 1')} > end_date
+                       THEN 'completed' ELSE status END
+     WHERE instruction_id = $1`,
+    [instructionId]
+  );
+};
+
+const logRun = (client, instruction, { status, transferId = null, errorMessage = null }) =>
+  client.query(
+    `INSERT INTO standing_instruction_run
+       (instruction_id, scheduled_date, attempt, status, transfer_id, error_message)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [instruction.instruction_id, instruction.next_run_date, instruction.failed_attempts + 1,
+      status, transferId, errorMessage ? errorMessage.slice(0, 255) : null]
+  );
+
+/**
+ * Execute one due instruction inside the caller's transaction
+ * Returns 'success', 'failed', 'skipped' (cycle given up) or 'cancelled'.
+ */
+const runInstruction = async (client, instruction, employeeId) => {
+  const accountsResult = await client.query(
+    `SELECT COUNT(*) AS active_count FROM account
+     WHERE account_id IN ($1, $2) AND account_status = 'Active'`,
+    [instruction.from_account_id, instruction.to_account_id]
+  );
+  if (parseInt(accountsResult.rows[0].active_count, 10) < 2) {
+    await logRun(client, instruction, { status: 'failed', errorMessage: 'Account closed' });
+    await cancelInstruction(client, instruction, { employeeId, reason: 'Account closed' });
+    return 'cancelled';
+  }
+
+  let transfer;
+  await client.query('SAVEPOINT standing_instruction');
+  try {
+    transfer = await executeTransfer(client, {
+      fromAccountId: instruction.from_account_id,
+      toAccountId: instruction.to_account_id,
+      amount: instruction.amount,
+      description: instruction.description || `Standing instruction #${instruction.instruction_id}`,
+      employeeId
+    });
+  } catch (error) {
+    // Anything else is a bug or a broken constraint: roll the instruction's
+    // work back and let the caller report it rather than record a retry
+    if (!RUN_ERRORS.some(message => error.message.includes(message))) throw error;
+    transfer = { error: error.message };
+  }
+
+  if (!transfer.error) {
+    await client.query('RELEASE SAVEPOINT standing_instruction');
+    await logRun(client, instruction, { status: 'success', transferId: transfer.transfer_id });
+    await advanceCycle(client, instruction.instruction_id);
+    return 'success';
+  }
+
+  await client.query('ROLLBACK TO SAVEPOINT standing_instruction');
+  await logRun(client, instruction, { status: 'failed', errorMessage: transfer.error });
+
+  if (instruction.failed_attempts >= MAX_RETRIES) {
+    await advanceCycle(client, instruction.instruction_id);
+    return 'skipped';
+  }
+
+  await client.query(
+    'UPDATE standing_instruction SET failed_attempts = failed_attempts + 1 WHERE instruction_id = $1',
+    [instruction.instruction_id]
+  );
+  return 'failed';
+};
+
+/**
+ * Execute every instruction due today (one run per instruction per call)
+ * Each instruction is committed on its own.
+ */
+const processStandingInstructions = async () => {
+  console.log('🚀 Starting standing instruction processing...');
+  const systemActorId = parseInt(process.env.SYSTEM_ACTOR_EMPLOYEE_ID || '1', 10);
+  const counts = { success: 0, failed: 0, skipped: 0, cancelled: 0, errors: 0 };
+
+  const due = await pool.query(
+    `SELECT instruction_id FROM standing_instruction
+     WHERE status = 'active' AND next_run_date <= CURRENT_DATE
+     ORDER BY next_run_date, instruction_id`
+  );
+
+  for (const { instruction_id: instructionId } of due.rows) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query("SELECT set_config('app.actor_employee_id', $1, true)", [systemActorId.toString()]);
+
+      // Re-check under lock: another run may have handled it meanwhile
+      const result = await client.query(
+        `SELECT * FROM standing_instruction
+         WHERE instruction_id = $1 AND status = 'active' AND next_run_date <= CURRENT_DATE
+         FOR UPDATE SKIP LOCKED`,
+        [instructionId]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        continue;
+      }
+
+      const outcome = await runInstruction(client, result.rows[0], systemActorId);
+      await client.query('COMMIT');
+      counts[outcome]++;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      counts.errors++;
+      console.error(`❌ Failed to process standing instruction ${instructionId}:`, error);
+    } finally {
+      client.release();
+    }
+  }
+
+  console.log(`✅ Standing instructions completed!`);
+  console.log(`📊 Executed: ${counts.success}, Failed (will retry): ${counts.failed}, Skipped: ${counts.skipped}, Cancelled: ${counts.cancelled}, Errors: ${counts.errors}`);
+
+  return { success: true, ...counts };
+};
+
+module.exports = {
+  createInstruction,
+  findInstruction,
+  cancelInstruction,
+  processStandingInstructions
+};
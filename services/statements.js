@@ -0,0 +1,204 @@
+// =============================================================================
+// STATEMENT SERVICE - Account statements with running balances
+// =============================================================================
+// A statement covers business dates `from`..`to` (inclusive). The opening
+// balance is the current balance less every posting from `from` onwards, and
+// each line carries the balance after it was posted. Balances and totals are
+// computed in SQL as NUMERIC so they are exact to the cent.
+// Output as JSON (buildStatement), CSV (toStatementCsv) or PDF (renderStatementPdf).
+// =============================================================================
+
+const { toCsv } = require('../utils/csv');
+const { BANK_NAME, ensureSpace, formatAmount } = require('../utils/pdf');
+const { BALANCE_EFFECT_SQL } = require('./businessDate');
+
+/**
+ * Build the statement of an account for a business date range
+ * Returns null when the account does not exist.
+ */
+const buildStatement = async (client, accountId, { from, to }) => {
+  const accountResult = await client.query(
+    `SELECT a.account_id, a.balance, a.account_status, a.open_date, a.branch_id,
+            COALESCE(b.name, 'Unknown') AS branch_name,
+            COALESCE(sp.plan_type::text, 'Unknown') AS plan_type,
+            a.balance - (SELECT COALESCE(SUM(${BALANCE_EFFECT_SQL}), 0)
+                         FROM transaction t
+                         WHERE t.account_id = a.account_id AND t.business_date >= $2) AS opening_balance
+     FROM account a
+     LEFT JOIN branch b ON a.branch_id = b.branch_id
+     LEFT JOIN savingplan sp ON a.saving_plan_id = sp.saving_plan_id
+     WHERE a.account_id = $1`,
+    [accountId, from]
+  );
+  if (accountResult.rows.length === 0) return null;
+
+  const account = accountResult.rows[0];
+  const openingBalance = parseFloat(account.opening_balance);
+
+  const holders = await client.query(
+    `SELECT c.customer_id, c.first_name, c.last_name, c.nic
+     FROM takes tk
+     JOIN customer c ON tk.customer_id = c.customer_id
+     WHERE tk.account_id = $1
+     ORDER BY c.last_name, c.first_name`,
+    [accountId]
+  );
+
+  const txResult = await client.query(
+    `SELECT t.transaction_id, to_char(t.business_date, 'YYYY-MM-DD') AS business_date, t.time,
+            t.transaction_type, t.amount, t.description,
+            ft.reference AS transfer_reference,
+            $4::numeric + SUM(${BALANCE_EFFECT_SQL}) OVER (ORDER BY t.business_date, t.time, t.transaction_id) AS running_balance
+     FROM transaction t
+     LEFT JOIN fund_transfer ft
+       ON t.transaction_id IN (ft.debit_transaction_id, ft.credit_transaction_id)
+     WHERE t.account_id = $1 AND t.business_date BETWEEN $2 AND $3
+     ORDER BY t.business_date, t.time, t.transaction_id`,
+    [accountId, from, to, account.opening_balance]
+  );
+
+  const totalsResult = await client.query(
+    `SELECT COALESCE(SUM(t.amount) FILTER (WHERE t.transaction_type NOT IN ('Withdrawal', 'Fee')), 0) AS total_credits,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.transaction_type IN ('Withdrawal', 'Fee')), 0) AS total_debits,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.transaction_type = 'Interest'), 0) AS interest_credited,
+            COALESCE(SUM(t.amount) FILTER (WHERE t.transaction_type = 'Fee'), 0) AS fees_charged,
+            $4::numeric + COALESCE(SUM(${BALANCE_EFFECT_SQL}), 0) AS closing_balance
+     FROM transaction t
+     WHERE t.account_id = $1 AND t.business_date BETWEEN $2 AND $3`,
+    [accountId, from, to, account.opening_balance]
+  );
+  const totals = totalsResult.rows[0];
+
+  const transactions = txResult.rows.map(row => {
+    const amount = parseFloat(row.amount);
+    const isDebit = row.transaction_type === 'Withdrawal' || row.transaction_type === 'Fee';
+    return {
+      transaction_id: row.transaction_id,
+      business_date: row.business_date,
+      time: row.time,
+      transaction_type: row.transaction_type,
+      description: row.description,
+      transfer_reference: row.transfer_reference,
+      debit: isDebit ? amount : null,
+      credit: isDebit ? null : amount,
+      running_balance: parseFloat(row.running_balance)
+    };
+  });
+
+  return {
+    account: {
+      account_id: account.account_id,
+      account_status: account.account_status,
+      open_date: account.open_date,
+      branch_name: account.branch_name,
+      plan_type: account.plan_type,
+      holders: holders.rows
+    },
+    period: { from, to },
+    opening_balance: openingBalance,
+    closing_balance: parseFloat(totals.closing_balance),
+    total_credits: parseFloat(totals.total_credits),
+    total_debits: parseFloat(totals.total_debits),
+    interest_credited: parseFloat(totals.interest_credited),
+    fees_charged: parseFloat(totals.fees_charged),
+    transaction_count: transactions.length,
+    transactions,
+    generated_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Statement as CSV: one row per transaction, opening/closing rows around them
+ */
+const toStatementCsv = (statement) => {
+  const rows = [
+    [statement.period.from, '', 'Opening balance', '', '', '', statement.opening_balance.toFixed(2)],
+    ...statement.transactions.map(tx => [
+      tx.business_date,
+      tx.transaction_id,
+      tx.description,
+      tx.transaction_type,
+      tx.debit !== null ? tx.debit.toFixed(2) : '',
+      tx.credit !== null ? tx.credit.toFixed(2) : '',
+      tx.running_balance.toFixed(2)
+    ]),
+    [statement.period.to, '', 'Closing balance', '', '', '', statement.closing_balance.toFixed(2)]
+  ];
+  return toCsv(['date', 'transaction_id', 'description', 'type', 'debit', 'credit', 'balance'], rows);
+};
+
+// Statement table columns: [label, x, width, align]
+const COLUMNS = [
+  ['Date', 50, 65, 'left'],
+  ['Description', 118, 187, 'left'],
+  ['Debit', 308, 75, 'right'],
+  ['Credit', 386, 75, 'right'],
+  ['Balance', 464, 81, 'right']
+];
+
+const drawRow = (doc, values, { bold = false } = {}) => {
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  const heights = COLUMNS.map(([, x, width, align], i) => {
+    doc.text(values[i], x, y, { width, align });
+    return doc.y - y;
+  });
+  doc.x = 50;
+  doc.y = y + Math.max(...heights) + 4;
+};
+
+/**
+ * Draw the statement into a pdfkit document
+ */
+const renderStatementPdf = (doc, statement) => {
+  const { account } = statement;
+  const holderNames = account.holders.map(h => `${h.first_name} ${h.last_name}`).join(', ');
+
+  doc.font('Helvetica-Bold').fontSize(16).text(BANK_NAME);
+  doc.font('Helvetica').fontSize(12).text('Account Statement');
+  doc.moveDown();
+
+  doc.fontSize(10)
+    .text(`Account number: ${account.account_id}`)
+    .text(`Account holder(s): ${holderNames || '-'}`)
+    .text(`Branch: ${account.branch_name}`)
+    .text(`Plan: ${account.plan_type}    Status: ${account.account_status}`)
+    .text(`Period: ${statement.period.from} to ${statement.period.to}`);
+  doc.moveDown();
+
+  const header = COLUMNS.map(([label]) => label);
+  drawRow(doc, header, { bold: true });
+  drawRow(doc, [statement.period.from, 'Opening balance', '', '', formatAmount(statement.opening_balance)]);
+
+  for (const tx of statement.transactions) {
+    if (ensureSpace(doc, 30)) {
+      drawRow(doc, header, { bold: true });
+    }
+    drawRow(doc, [
+      tx.business_date,
+      tx.transfer_reference ? `${tx.description} (${tx.transfer_reference})` : tx.description || tx.transaction_type,
+      tx.debit !== null ? formatAmount(tx.debit) : '',
+      tx.credit !== null ? formatAmount(tx.credit) : '',
+      formatAmount(tx.running_balance)
+    ]);
+  }
+
+  drawRow(doc, [statement.period.to, 'Closing balance', '', '', formatAmount(statement.closing_balance)], { bold: true });
+
+  ensureSpace(doc, 80);
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(10)
+    .text(`Total credits: LKR ${formatAmount(statement.total_credits)}`)
+    .text(`Total debits: LKR ${formatAmount(statement.total_debits)}`)
+    .text(`Interest credited in period: LKR ${formatAmount(statement.interest_credited)}`)
+    .text(`Fees charged in period: LKR ${formatAmount(statement.fees_charged)}`);
+  doc.moveDown();
+  doc.fontSize(8).fillColor('gray')
+    .text(`Generated ${statement.generated_at}. This is a computer generated statement.`);
+};
+
+module.exports = {
+  buildStatement,
+  toStatementCsv,
+  renderStatementPdf
+};
@@ -0,0 +1,147 @@
+// =============================================================================
+// TILL SERVICE - Agent cash drawer sessions
+// =============================================================================
+// Cash deposits put cash into the agent's till, cash withdrawals take it out.
+// Movements are recorded against the agent's open session (if any). With
+// TILL_REQUIRED=1 agents must open a till before processing cash transactions.
+// Functions taking a client must be called inside a transaction.
+// =============================================================================
+
+const TILL_REQUIRED = process.env.TILL_REQUIRED === '1';
+
+// Cash direction of each transaction type handled over the counter
+const CASH_DIRECTIONS = {
+  Deposit: 'in',
+  Withdrawal: 'out'
+};
+
+/**
+ * The employee's open till session, or null
+ */
+const findOpenSession = async (client, employeeId, { forUpdate = false } = {}) => {
+  const result = await client.query(
+    `SELECT * FROM till_session
+     WHERE employee_id = $1 AND status = 'open'
+     ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [employeeId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Cash totals of a session: { cash_in, cash_out, movement_count, expected_cash }
+ */
+const getSessionTotals = async (client, session) => {
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount) FILTER (WHERE direction = 'in'), 0) AS cash_in,
+            COALESCE(SUM(amount) FILTER (WHERE direction = 'out'), 0) AS cash_out,
+            COUNT(*) AS movement_count
+     FROM till_movement
+     WHERE till_session_id = $1`,
+    [session.till_session_id]
+  );
+  const cashIn = parseFloat(result.rows[0].cash_in);
+  const cashOut = parseFloat(result.rows[0].cash_out);
+  return {
+    cash_in: cashIn,
+    cash_out: cashOut,
+    movement_count: parseInt(result.rows[0].movement_count, 10),
+    expected_cash: parseFloat(session.opening_float) + cashIn - cashOut
+  };
+};
+
+/**
+ * Check the agent's till before a cash transaction
+ * Returns an error message, or null when the transaction may go ahead.
+ */
+const checkTillForCash = async (client, employeeId, transactionType, amount) => {
+  const session = await findOpenSession(client, employeeId, { forUpdate: true });
+
+  if (!session) {
+    return TILL_REQUIRED ? 'Open a till session before processing cash transactions' : null;
+  }
+
+  if (CASH_DIRECTIONS[transactionType] === 'out') {
+    const { expected_cash: expectedCash } = await getSessionTotals(client, session);
+    if (parseFloat(amount) > expectedCash) {
+      return `Insufficient cash in till. Expected cash on hand: LKR ${expectedCash.toFixed(2)}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Record the cash side of a posted transaction in the employee's open till
+ * Does nothing when the employee has no open till or the type moves no cash.
+ */
+const recordCashMovement = async (client, { employeeId, transactionId, transactionType, amount }) => {
+  const direction = CASH_DIRECTIONS[transactionType];
+  if (!direction) return null;
+
+  const session = await findOpenSession(client, employeeId);
+  if (!session) return null;
+
+  await client.query(
+    `INSERT INTO till_movement (till_session_id, transaction_id, direction, amount)
+     VALUES ($1, $2, $3, $4)`,
+    [session.till_session_id, transactionId, direction, amount]
+  );
+  return session.till_session_id;
+};
+
+/**
+ * Reverse the cash side of a transaction: a movement in the opposite direction
+ * in the same session, if that session is still open
+ */
+const reverseCashMovement = async (client, originalTransactionId, reversingTransactionId) => {
+  await client.query(
+    `INSERT INTO till_movement (till_session_id, transaction_id, direction, amount)
+     SELECT m.till_session_id, $2, CASE m.direction WHEN 'in' THEN 'out' ELSE 'in' END, m.amount
+     FROM till_movement m
+     JOIN till_session s ON m.till_session_id = s.till_session_id
+     WHERE m.transaction_id = $1 AND s.status = 'open'`,
+    [originalTransactionId, reversingTransactionId]
+  );
+};
+
+/**
+ * Open a till session; returns null when the employee already has one open
+ */
+const openSession = async (client, { employeeId, branchId, openingFloat }) => {
+  const result = await client.query(
+    `INSERT INTO till_session (employee_id, branch_id, opening_float)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (employee_id) WHERE status = 'open' DO NOTHING
+     RETURNING *`,
+    [employeeId, branchId, openingFloat]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Close a session with the counted cash and store the variance
+ */
+const closeSession = async (client, session, { declaredCash, note }) => {
+  const totals = await getSessionTotals(client, session);
+  const variance = parseFloat(declaredCash) - totals.expected_cash;
+
+  const result = await client.query(
+    `UPDATE till_session
+     SET status = 'closed', closed_at = NOW(), expected_cash = $2,
+         declared_cash = $3, variance = $4, close_note = $5
+     WHERE till_session_id = $1
+     RETURNING *`,
+    [session.till_session_id, totals.expected_cash, declaredCash, variance, note || null]
+  );
+  return { ...result.rows[0], ...totals };
+};
+
+module.exports = {
+  findOpenSession,
+  getSessionTotals,
+  checkTillForCash,
+  recordCashMovement,
+  reverseCashMovement,
+  openSession,
+  closeSession
+};
@@ -0,0 +1,220 @@
+// =============================================================================
+// TOKEN SERVICE - Access tokens, sessions and rotating refresh tokens
+// =============================================================================
+// Login creates a session (token family) and issues:
+// - a short-lived JWT access token carrying the session id (`sid`)
+// - an opaque refresh token, stored server-side as a SHA-256 hash
+// Each refresh rotates the refresh token. Presenting a token that has already
+// been rotated means it was copied, so the whole session is revoked.
+// =============================================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '7', 10);
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token bound to a session
+ * `pwc` marks tokens of employees who must change their password first
+ */
+const signAccessToken = (user, sessionId) => {
+  const token = jwt.sign(
+    { id: user.employee_id, role: user.role, sid: sessionId, pwc: !!user.must_change_password },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, expires_in: exp - iat };
+};
+
+/**
+ * Sign a challenge token for an intermediate login step
+ * purpose: 'mfa_verify' (enter a TOTP code) or 'mfa_enroll' (2FA setup is mandatory)
+ * Challenge tokens carry no session id, so verifyToken never accepts them.
+ */
+const signChallengeToken = (user, purpose) => {
+  const token = jwt.sign(
+    { id: user.employee_id, role: user.role, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { challenge_token: token, expires_in: exp - iat };
+};
+
+/**
+ * Verify a challenge token for the given purpose
+ * Returns the decoded payload, or null when invalid/expired/wrong purpose
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Mark a verified challenge token as used (see migration 024)
+ * Must be called inside a transaction; rolling back releases the token again.
+ * Returns false when the token was already used or carries no jti.
+ */
+const consumeChallengeToken = async (client, challenge) => {
+  if (!challenge.jti) return false;
+
+  await client.query('DELETE FROM mfa_challenge_use WHERE expires_at < NOW()');
+  const result = await client.query(
+    `INSERT INTO mfa_challenge_use (jti, employee_id, expires_at)
+     VALUES ($1, $2, to_timestamp($3))
+     ON CONFLICT (jti) DO NOTHING
+     RETURNING jti`,
+    [challenge.jti, challenge.id, challenge.exp]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Insert a new refresh token for a session and return the raw token
+ */
+const issueRefreshToken = async (client, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await client.query(
+    `INSERT INTO refresh_token (token_hash, session_id, expires_at)
+     VALUES ($1, $2, NOW() + ($3 || ' days')::interval)`,
+    [hashToken(refreshToken), sessionId, String(REFRESH_TOKEN_TTL_DAYS)]
+  );
+  return refreshToken;
+};
+
+/**
+ * Start a new session for an authenticated employee
+ * Returns { token, refresh_token, expires_in }
+ */
+const createSession = async (client, user, { ip, userAgent } = {}) => {
+  const sessionId = crypto.randomUUID();
+  await client.query(
+    `INSERT INTO auth_session (session_id, employee_id, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4)`,
+    [sessionId, user.employee_id, ip || null, userAgent || null]
+  );
+  const refreshToken = await issueRefreshToken(client, sessionId);
+  const { token, expires_in } = signAccessToken(user, sessionId);
+  return { token, refresh_token: refreshToken, expires_in };
+};
+
+/**
+ * Revoke a session (and therefore every refresh token in its family)
+ */
+const revokeSession = async (client, sessionId, reason) => {
+  await client.query(
+    `UPDATE auth_session SET revoked_at = NOW(), revoked_reason = $2
+     WHERE session_id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason]
+  );
+};
+
+/**
+ * Revoke every open session of an employee (password change/reset, 2FA reset)
+ */
+const revokeEmployeeSessions = async (client, employeeId, reason) => {
+  await client.query(
+    `UPDATE auth_session SET revoked_at = NOW(), revoked_reason = $2
+     WHERE employee_id = $1 AND revoked_at IS NULL`,
+    [employeeId, reason]
+  );
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Must be called inside a transaction.
+ * Returns { error } with one of: invalid, expired, revoked, reused, inactive
+ * or { user, token, refresh_token, expires_in } on success.
+ */
+const rotateRefreshToken = async (client, refreshToken) => {
+  const result = await client.query(
+    `SELECT rt.token_hash, rt.session_id, rt.rotated_at, rt.expires_at < NOW() AS expired,
+            s.revoked_at, e.employee_id, e.role, e.employee_status, e.must_change_password
+     FROM refresh_token rt
+     JOIN auth_session s ON rt.session_id = s.session_id
+     JOIN employee e ON s.employee_id = e.employee_id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt, s`,
+    [hashToken(refreshToken)]
+  );
+
+  if (result.rows.length === 0) return { error: 'invalid' };
+
+  const row = result.rows[0];
+
+  if (row.revoked_at) return { error: 'revoked' };
+
+  if (row.rotated_at) {
+    await revokeSession(client, row.session_id, 'refresh_token_reuse');
+    return { error: 'reused' };
+  }
+
+  if (row.expired) return { error: 'expired' };
+
+  if (row.employee_status && row.employee_status !== 'Active') {
+    await revokeSession(client, row.session_id, 'employee_inactive');
+    return { error: 'inactive' };
+  }
+
+  await client.query('UPDATE refresh_token SET rotated_at = NOW() WHERE token_hash = $1', [row.token_hash]);
+  await client.query('UPDATE auth_session SET last_used_at = NOW() WHERE session_id = $1', [row.session_id]);
+
+  const user = {
+    employee_id: row.employee_id,
+    role: row.role,
+    must_change_password: row.must_change_password
+  };
+  const newRefreshToken = await issueRefreshToken(client, row.session_id);
+  const { token, expires_in } = signAccessToken(user, row.session_id);
+
+  return { user, session_id: row.session_id, token, refresh_token: newRefreshToken, expires_in };
+};
+
+/**
+ * Look up the session a refresh token belongs to (without rotating it)
+ */
+const findSessionByRefreshToken = async (client, refreshToken) => {
+  const result = await client.query(
+    'SELECT session_id FROM refresh_token WHERE token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+  return result.rows.length > 0 ? result.rows[0].session_id : null;
+};
+
+/**
+ * Check that a session exists, is not revoked and belongs to an active employee
+ */
+const isSessionActive = async (sessionId) => {
+  const result = await pool.query(
+    `SELECT 1
+     FROM auth_session s
+     JOIN employee e ON s.employee_id = e.employee_id
+     WHERE s.session_id = $1
+       AND s.revoked_at IS NULL
+       AND (e.employee_status IS NULL OR e.employee_status = 'Active')`,
+    [sessionId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  signChallengeToken,
+  verifyChallengeToken,
+  consumeChallengeToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeEmployeeSessions,
+  findSessionByRefreshToken,
+  isSessionActive
+};
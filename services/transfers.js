@@ -0,0 +1,109 @@
+// =============================================================================
+// TRANSFER SERVICE - Account-to-account fund transfers
+// =============================================================================
+// Debits one account and credits another inside the caller's DB transaction.
+// Both legs go through create_transaction_with_validation, so the source
+// account's saving plan minimum balance is enforced by the database. The two
+// transaction rows are linked by a fund_transfer row with a shared reference.
+// =============================================================================
+
+const crypto = require('crypto');
+const { checkHeldFunds } = require('./holds');
+const { checkPlanLimits } = require('./planLimits');
+
+/**
+ * Generate a human-readable transfer reference, e.g. TRF-20250101-1A2B3C4D
+ */
+const generateReference = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `TRF-${date}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Transfer funds between two accounts
+ * Must be called inside a transaction (BEGIN ... COMMIT) by the caller.
+ * Returns { error } when either account is missing/inactive, or the transfer
+ * record with both new balances. Database errors such as 'Insufficient balance'
+ * or 'Minimum balance required' are thrown to the caller.
+ */
+const executeTransfer = async (client, { fromAccountId, toAccountId, amount, description, employeeId }) => {
+  if (Number(fromAccountId) === Number(toAccountId)) {
+    return { error: 'Cannot transfer to the same account' };
+  }
+
+  // Lock both accounts in a fixed order so concurrent transfers cannot deadlock
+  const accountsResult = await client.query(
+    `SELECT account_id, account_status
+     FROM account
+     WHERE account_id = ANY($1::int[])
+     ORDER BY account_id
+     FOR UPDATE`,
+    [[fromAccountId, toAccountId]]
+  );
+  const accounts = new Map(accountsResult.rows.map(row => [Number(row.account_id), row]));
+  const fromAccount = accounts.get(Number(fromAccountId));
+  const toAccount = accounts.get(Number(toAccountId));
+
+  if (!fromAccount || fromAccount.account_status !== 'Active') {
+    return { error: 'Source account not found or closed' };
+  }
+  if (!toAccount || toAccount.account_status !== 'Active') {
+    return { error: 'Destination account not found or closed' };
+  }
+
+  const holdError = await checkHeldFunds(client, fromAccountId, amount);
+  if (holdError) {
+    return { error: holdError };
+  }
+
+  const limitError = await checkPlanLimits(client, fromAccountId, 'Withdrawal', amount)
+    || await checkPlanLimits(client, toAccountId, 'Deposit', amount);
+  if (limitError) {
+    return { error: limitError };
+  }
+
+  const reference = generateReference();
+  const note = description ? ` - ${description}` : '';
+
+  const debitResult = await client.query(
+    'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
+    ['Withdrawal', amount, `Transfer to ${toAccountId} (${reference})${note}`, fromAccountId, employeeId]
+  );
+  const creditResult = await client.query(
+    'SELECT create_transaction_with_validation($1, $2, $3, $4, $5) as transaction_id',
+    ['Deposit', amount, `Transfer from ${fromAccountId} (${reference})${note}`, toAccountId, employeeId]
+  );
+
+  const transferResult = await client.query(
+    `INSERT INTO fund_transfer
+       (reference, from_account_id, to_account_id, amount, description,
+        debit_transaction_id, credit_transaction_id, employee_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING transfer_id, created_at`,
+    [reference, fromAccountId, toAccountId, amount, description || null,
+      debitResult.rows[0].transaction_id, creditResult.rows[0].transaction_id, employeeId]
+  );
+
+  const balancesResult = await client.query(
+    'SELECT account_id, balance FROM account WHERE account_id = ANY($1::int[])',
+    [[fromAccountId, toAccountId]]
+  );
+  const balances = new Map(balancesResult.rows.map(row => [Number(row.account_id), parseFloat(row.balance)]));
+
+  return {
+    transfer_id: transferResult.rows[0].transfer_id,
+    reference,
+    from_account_id: Number(fromAccountId),
+    to_account_id: Number(toAccountId),
+    amount: parseFloat(amount),
+    debit_transaction_id: debitResult.rows[0].transaction_id,
+    credit_transaction_id: creditResult.rows[0].transaction_id,
+    from_balance: balances.get(Number(fromAccountId)),
+    to_balance: balances.get(Number(toAccountId)),
+    created_at: transferResult.rows[0].created_at
+  };
+};
+
+module.exports = {
+  executeTransfer
+};
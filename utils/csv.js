@@ -0,0 +1,72 @@
+// =============================================================================
+// CSV UTILITY
+// =============================================================================
+
+/**
+ * Quote a value when it contains a separator, quote or line break (RFC 4180)
+ * Text starting with a formula character is prefixed with ' so spreadsheets
+ * do not evaluate it (descriptions are free text).
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from a header row and data rows (arrays of values)
+ */
+const toCsv = (headers, rows) =>
+  [headers, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Parse CSV text into rows of string values (RFC 4180: quoted fields may
+ * contain separators, doubled quotes and line breaks). Blank lines are skipped.
+ */
+const parseCsv = (input) => {
+  // Spreadsheet exports often start with a byte order mark
+  const text = input.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = { toCsv, parseCsv };
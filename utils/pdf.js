@@ -0,0 +1,51 @@
+// =============================================================================
+// PDF UTILITY - Shared helpers for generated documents (pdfkit)
+// =============================================================================
+// Statements, receipts and certificates are rendered straight into the HTTP
+// response. Table rows are laid out manually, so renderers use `ensureSpace`
+// to break pages before a row would run past the bottom margin.
+// =============================================================================
+
+const PDFDocument = require('pdfkit');
+
+const BANK_NAME = process.env.BANK_NAME || 'Microbanking System';
+
+/**
+ * Stream a PDF document to the response
+ * `render(doc)` draws the content; the document is ended afterwards.
+ */
+const sendPdf = (res, filename, render, options = {}) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, ...options });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+
+  render(doc);
+  doc.end();
+};
+
+/**
+ * Start a new page when fewer than `height` points are left on the current one
+ * Returns true when a page was added.
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Format an amount for documents: 1234.5 -> "1,234.50"
+ */
+const formatAmount = (amount) =>
+  Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+module.exports = {
+  BANK_NAME,
+  sendPdf,
+  ensureSpace,
+  formatAmount
+};